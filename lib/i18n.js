@@ -0,0 +1,390 @@
+/**
+ * i18n.js - Message catalog and locale negotiation for tapestry pages
+ *
+ * Holds the strings Linkitylink itself puts on a tapestry page, its error
+ * pages and inside the rendered SVG ("Tap to open", "Page 2 of 3", ...).
+ * Creator content - titles, links, groups - is never translated.
+ *
+ * The locale comes from a ?lang= query param when it names a supported
+ * language, otherwise from the Accept-Language header, otherwise English.
+ * Region subtags fall back to their language (pt-BR -> pt), and keys
+ * missing from a language fall back to English.
+ *
+ * Messages are plain text with {name} placeholders; escape the result
+ * before putting it in HTML or SVG. A message with plural forms is keyed
+ * by Intl.PluralRules category and picks its form from params.count.
+ *
+ * Usage:
+ *   import { resolveLocale, t, localeDirection } from './lib/i18n.js';
+ *
+ *   const locale = resolveLocale(req);                    // 'ar'
+ *   t(locale, 'svg.pageOf', { page: 2, count: 3 });       // 'الصفحة 2 من 3'
+ *   t(locale, 'linkCount', { count: 5 });                 // '5 روابط'
+ *   localeDirection(locale);                              // 'rtl'
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+// Languages written right to left
+const RTL_LOCALES = new Set(['ar', 'he']);
+
+const MESSAGES = {
+    en: {
+        'linkCount': { one: '{count} link', other: '{count} links' },
+        'socialProfileCount': { one: '{count} social profile', other: '{count} social profiles' },
+        'socialProfiles': 'Social profiles',
+        'untitled': 'Untitled',
+        'myLinks': 'My Links',
+        'page.description': '{links} · A Linkitylink tapestry',
+        'page.authenticated': 'Authenticated',
+        'page.demoMode': 'Demo Mode',
+        'page.demoTitle': 'Demo Links',
+        'page.showingLinks': 'Showing {shown} of {total} links',
+        'page.pageNav': 'Tapestry pages',
+        'page.linksNav': 'Links',
+        'page.ctaTitle': 'Weave Your Own Linkitylink',
+        'page.ctaBody': 'Cast the Linkitylink enchantment to create your mystical link tapestry. Visit The Enchantment Emporium in The Advancement app.',
+        'page.ctaButton': 'Visit The Enchantment Emporium',
+        'page.ctaTagline': '✨ Privacy-first • 🔐 Cryptographically secure • 🎨 Mystically beautiful',
+        'page.ctaAlert': 'Visit The Enchantment Emporium in The Advancement app to cast the Linkitylink enchantment!',
+        'page.wovenBy': 'Woven by {name}',
+        'page.footerTagline': 'The Enchantment Emporium • Linkitylink Tapestries',
+        'error.title': 'Error',
+        'error.pageTitle': 'Linkitylink Error',
+        'error.notFound': 'Tapestry not found',
+        'error.ambiguous': 'This link matches more than one tapestry. Pick yours:',
+        'error.malformed': 'That doesn\'t look like a tapestry link. Check it for typos.',
+        'error.upstreamError': 'The tapestry service returned an error. Please try again later.',
+        'error.unavailable': 'Tapestries are temporarily unavailable. Please try again in a moment.',
+        'error.loadFailed': 'Error loading tapestry',
+        'svg.tapToOpen': 'Tap to open',
+        'svg.click': 'Click',
+        'svg.pageOf': 'Page {page} of {count}',
+        'svg.linkRange': 'Links {first}–{last} of {total}',
+        'svg.desc': 'Linkitylink tapestry with {summary}',
+        'svg.linksAndProfiles': '{links} and {profiles}',
+        'svg.opensInNewTab': '{title} (opens in a new tab)'
+    },
+    es: {
+        'linkCount': { one: '{count} enlace', other: '{count} enlaces' },
+        'socialProfileCount': { one: '{count} perfil social', other: '{count} perfiles sociales' },
+        'socialProfiles': 'Perfiles sociales',
+        'untitled': 'Sin título',
+        'myLinks': 'Mis enlaces',
+        'page.description': '{links} · Un tapiz de Linkitylink',
+        'page.authenticated': 'Autenticado',
+        'page.demoMode': 'Modo demo',
+        'page.demoTitle': 'Enlaces de demostración',
+        'page.showingLinks': 'Mostrando {shown} de {total} enlaces',
+        'page.pageNav': 'Páginas del tapiz',
+        'page.linksNav': 'Enlaces',
+        'page.ctaTitle': 'Teje tu propio Linkitylink',
+        'page.ctaBody': 'Lanza el encantamiento Linkitylink para crear tu místico tapiz de enlaces. Visita The Enchantment Emporium en la app The Advancement.',
+        'page.ctaButton': 'Visita The Enchantment Emporium',
+        'page.ctaTagline': '✨ Privacidad primero • 🔐 Seguridad criptográfica • 🎨 Belleza mística',
+        'page.ctaAlert': '¡Visita The Enchantment Emporium en la app The Advancement para lanzar el encantamiento Linkitylink!',
+        'page.wovenBy': 'Tejido por {name}',
+        'page.footerTagline': 'The Enchantment Emporium • Tapices Linkitylink',
+        'error.title': 'Error',
+        'error.pageTitle': 'Error de Linkitylink',
+        'error.notFound': 'Tapiz no encontrado',
+        'error.ambiguous': 'Este enlace coincide con más de un tapiz. Elige el tuyo:',
+        'error.malformed': 'Eso no parece un enlace de tapiz. Revisa si tiene errores.',
+        'error.upstreamError': 'El servicio de tapices devolvió un error. Inténtalo de nuevo más tarde.',
+        'error.unavailable': 'Los tapices no están disponibles por el momento. Inténtalo de nuevo en unos instantes.',
+        'error.loadFailed': 'Error al cargar el tapiz',
+        'svg.tapToOpen': 'Toca para abrir',
+        'svg.click': 'Haz clic',
+        'svg.pageOf': 'Página {page} de {count}',
+        'svg.linkRange': 'Enlaces {first}–{last} de {total}',
+        'svg.desc': 'Tapiz de Linkitylink con {summary}',
+        'svg.linksAndProfiles': '{links} y {profiles}',
+        'svg.opensInNewTab': '{title} (se abre en una pestaña nueva)'
+    },
+    fr: {
+        'linkCount': { one: '{count} lien', other: '{count} liens' },
+        'socialProfileCount': { one: '{count} profil social', other: '{count} profils sociaux' },
+        'socialProfiles': 'Profils sociaux',
+        'untitled': 'Sans titre',
+        'myLinks': 'Mes liens',
+        'page.description': '{links} · Une tapisserie Linkitylink',
+        'page.authenticated': 'Authentifié',
+        'page.demoMode': 'Mode démo',
+        'page.demoTitle': 'Liens de démonstration',
+        'page.showingLinks': '{shown} liens affichés sur {total}',
+        'page.pageNav': 'Pages de la tapisserie',
+        'page.linksNav': 'Liens',
+        'page.ctaTitle': 'Tissez votre propre Linkitylink',
+        'page.ctaBody': 'Lancez l’enchantement Linkitylink pour créer votre tapisserie de liens mystique. Rendez-vous à The Enchantment Emporium dans l’app The Advancement.',
+        'page.ctaButton': 'Visiter The Enchantment Emporium',
+        'page.ctaTagline': '✨ Confidentialité d’abord • 🔐 Sécurité cryptographique • 🎨 Beauté mystique',
+        'page.ctaAlert': 'Rendez-vous à The Enchantment Emporium dans l’app The Advancement pour lancer l’enchantement Linkitylink !',
+        'page.wovenBy': 'Tissé par {name}',
+        'page.footerTagline': 'The Enchantment Emporium • Tapisseries Linkitylink',
+        'error.title': 'Erreur',
+        'error.pageTitle': 'Erreur Linkitylink',
+        'error.notFound': 'Tapisserie introuvable',
+        'error.ambiguous': 'Ce lien correspond à plusieurs tapisseries. Choisissez la vôtre :',
+        'error.malformed': 'Ce lien ne ressemble pas à un lien de tapisserie. Vérifiez qu\'il ne contient pas de faute.',
+        'error.upstreamError': 'Le service des tapisseries a renvoyé une erreur. Réessayez plus tard.',
+        'error.unavailable': 'Les tapisseries sont momentanément indisponibles. Réessayez dans un instant.',
+        'error.loadFailed': 'Erreur lors du chargement de la tapisserie',
+        'svg.tapToOpen': 'Touchez pour ouvrir',
+        'svg.click': 'Cliquez',
+        'svg.pageOf': 'Page {page} sur {count}',
+        'svg.linkRange': 'Liens {first}–{last} sur {total}',
+        'svg.desc': 'Tapisserie Linkitylink avec {summary}',
+        'svg.linksAndProfiles': '{links} et {profiles}',
+        'svg.opensInNewTab': '{title} (s’ouvre dans un nouvel onglet)'
+    },
+    de: {
+        'linkCount': { one: '{count} Link', other: '{count} Links' },
+        'socialProfileCount': { one: '{count} Social-Media-Profil', other: '{count} Social-Media-Profile' },
+        'socialProfiles': 'Social-Media-Profile',
+        'untitled': 'Ohne Titel',
+        'myLinks': 'Meine Links',
+        'page.description': '{links} · Ein Linkitylink-Wandteppich',
+        'page.authenticated': 'Authentifiziert',
+        'page.demoMode': 'Demomodus',
+        'page.demoTitle': 'Demo-Links',
+        'page.showingLinks': '{shown} von {total} Links angezeigt',
+        'page.pageNav': 'Seiten des Wandteppichs',
+        'page.linksNav': 'Links',
+        'page.ctaTitle': 'Webe deinen eigenen Linkitylink',
+        'page.ctaBody': 'Wirke den Linkitylink-Zauber, um deinen mystischen Link-Wandteppich zu erschaffen. Besuche The Enchantment Emporium in der App The Advancement.',
+        'page.ctaButton': 'Zu The Enchantment Emporium',
+        'page.ctaTagline': '✨ Privatsphäre zuerst • 🔐 Kryptografisch sicher • 🎨 Mystisch schön',
+        'page.ctaAlert': 'Besuche The Enchantment Emporium in der App The Advancement, um den Linkitylink-Zauber zu wirken!',
+        'page.wovenBy': 'Gewebt von {name}',
+        'page.footerTagline': 'The Enchantment Emporium • Linkitylink-Wandteppiche',
+        'error.title': 'Fehler',
+        'error.pageTitle': 'Linkitylink-Fehler',
+        'error.notFound': 'Wandteppich nicht gefunden',
+        'error.ambiguous': 'Dieser Link passt zu mehreren Wandteppichen. Wähle deinen aus:',
+        'error.malformed': 'Das sieht nicht nach einem Wandteppich-Link aus. Bitte auf Tippfehler prüfen.',
+        'error.upstreamError': 'Der Wandteppich-Dienst hat einen Fehler gemeldet. Bitte später erneut versuchen.',
+        'error.unavailable': 'Wandteppiche sind vorübergehend nicht verfügbar. Bitte gleich noch einmal versuchen.',
+        'error.loadFailed': 'Fehler beim Laden des Wandteppichs',
+        'svg.tapToOpen': 'Zum Öffnen tippen',
+        'svg.click': 'Klicken',
+        'svg.pageOf': 'Seite {page} von {count}',
+        'svg.linkRange': 'Links {first}–{last} von {total}',
+        'svg.desc': 'Linkitylink-Wandteppich mit {summary}',
+        'svg.linksAndProfiles': '{links} und {profiles}',
+        'svg.opensInNewTab': '{title} (öffnet in neuem Tab)'
+    },
+    pt: {
+        'linkCount': { one: '{count} link', other: '{count} links' },
+        'socialProfileCount': { one: '{count} perfil social', other: '{count} perfis sociais' },
+        'socialProfiles': 'Perfis sociais',
+        'untitled': 'Sem título',
+        'myLinks': 'Meus links',
+        'page.description': '{links} · Uma tapeçaria Linkitylink',
+        'page.authenticated': 'Autenticado',
+        'page.demoMode': 'Modo demonstração',
+        'page.demoTitle': 'Links de demonstração',
+        'page.showingLinks': 'Mostrando {shown} de {total} links',
+        'page.pageNav': 'Páginas da tapeçaria',
+        'page.linksNav': 'Links',
+        'page.ctaTitle': 'Teça seu próprio Linkitylink',
+        'page.ctaBody': 'Lance o encantamento Linkitylink para criar sua tapeçaria mística de links. Visite The Enchantment Emporium no app The Advancement.',
+        'page.ctaButton': 'Visitar The Enchantment Emporium',
+        'page.ctaTagline': '✨ Privacidade em primeiro lugar • 🔐 Segurança criptográfica • 🎨 Beleza mística',
+        'page.ctaAlert': 'Visite The Enchantment Emporium no app The Advancement para lançar o encantamento Linkitylink!',
+        'page.wovenBy': 'Tecido por {name}',
+        'page.footerTagline': 'The Enchantment Emporium • Tapeçarias Linkitylink',
+        'error.title': 'Erro',
+        'error.pageTitle': 'Erro do Linkitylink',
+        'error.notFound': 'Tapeçaria não encontrada',
+        'error.ambiguous': 'Este link corresponde a mais de uma tapeçaria. Escolha a sua:',
+        'error.malformed': 'Isso não parece um link de tapeçaria. Verifique se há erros de digitação.',
+        'error.upstreamError': 'O serviço de tapeçarias retornou um erro. Tente novamente mais tarde.',
+        'error.unavailable': 'As tapeçarias estão temporariamente indisponíveis. Tente novamente em instantes.',
+        'error.loadFailed': 'Erro ao carregar a tapeçaria',
+        'svg.tapToOpen': 'Toque para abrir',
+        'svg.click': 'Clique',
+        'svg.pageOf': 'Página {page} de {count}',
+        'svg.linkRange': 'Links {first}–{last} de {total}',
+        'svg.desc': 'Tapeçaria Linkitylink com {summary}',
+        'svg.linksAndProfiles': '{links} e {profiles}',
+        'svg.opensInNewTab': '{title} (abre em uma nova aba)'
+    },
+    ar: {
+        'linkCount': {
+            zero: '{count} رابط',
+            one: 'رابط واحد',
+            two: 'رابطان',
+            few: '{count} روابط',
+            many: '{count} رابطًا',
+            other: '{count} رابط'
+        },
+        'socialProfileCount': {
+            one: 'ملف اجتماعي واحد',
+            two: 'ملفان اجتماعيان',
+            few: '{count} ملفات اجتماعية',
+            many: '{count} ملفًا اجتماعيًا',
+            other: '{count} ملف اجتماعي'
+        },
+        'socialProfiles': 'الملفات الاجتماعية',
+        'untitled': 'بدون عنوان',
+        'myLinks': 'روابطي',
+        'page.description': '{links} · نسيج من Linkitylink',
+        'page.authenticated': 'تم التحقق',
+        'page.demoMode': 'وضع العرض التجريبي',
+        'page.demoTitle': 'روابط تجريبية',
+        'page.showingLinks': 'عرض {shown} من أصل {total} رابط',
+        'page.pageNav': 'صفحات النسيج',
+        'page.linksNav': 'الروابط',
+        'page.ctaTitle': 'انسج Linkitylink الخاص بك',
+        'page.ctaBody': 'ألقِ تعويذة Linkitylink لتصنع نسيج روابطك السحري. زر The Enchantment Emporium في تطبيق The Advancement.',
+        'page.ctaButton': 'زيارة The Enchantment Emporium',
+        'page.ctaTagline': '✨ الخصوصية أولًا • 🔐 آمن بالتشفير • 🎨 جمال ساحر',
+        'page.ctaAlert': 'زر The Enchantment Emporium في تطبيق The Advancement لإلقاء تعويذة Linkitylink!',
+        'page.wovenBy': 'من نسج {name}',
+        'page.footerTagline': 'The Enchantment Emporium • أنسجة Linkitylink',
+        'error.title': 'خطأ',
+        'error.pageTitle': 'خطأ في Linkitylink',
+        'error.notFound': 'لم يتم العثور على النسيج',
+        'error.ambiguous': 'يطابق هذا الرابط أكثر من نسيج. اختر نسيجك:',
+        'error.malformed': 'لا يبدو هذا رابط نسيج. تحقق من عدم وجود أخطاء فيه.',
+        'error.upstreamError': 'أعادت خدمة النسيج خطأً. يُرجى المحاولة لاحقًا.',
+        'error.unavailable': 'النسيج غير متاح مؤقتًا. يُرجى المحاولة بعد قليل.',
+        'error.loadFailed': 'حدث خطأ أثناء تحميل النسيج',
+        'svg.tapToOpen': 'اضغط للفتح',
+        'svg.click': 'انقر',
+        'svg.pageOf': 'الصفحة {page} من {count}',
+        'svg.linkRange': 'الروابط {first}–{last} من {total}',
+        'svg.desc': 'نسيج Linkitylink يضم {summary}',
+        'svg.linksAndProfiles': '{links} و{profiles}',
+        'svg.opensInNewTab': '{title} (يفتح في علامة تبويب جديدة)'
+    },
+    he: {
+        'linkCount': { one: 'קישור אחד', two: 'שני קישורים', other: '{count} קישורים' },
+        'socialProfileCount': { one: 'פרופיל חברתי אחד', two: 'שני פרופילים חברתיים', other: '{count} פרופילים חברתיים' },
+        'socialProfiles': 'פרופילים חברתיים',
+        'untitled': 'ללא כותרת',
+        'myLinks': 'הקישורים שלי',
+        'page.description': '{links} · שטיח קישורים של Linkitylink',
+        'page.authenticated': 'מאומת',
+        'page.demoMode': 'מצב הדגמה',
+        'page.demoTitle': 'קישורי הדגמה',
+        'page.showingLinks': 'מוצגים {shown} מתוך {total} קישורים',
+        'page.pageNav': 'עמודי השטיח',
+        'page.linksNav': 'קישורים',
+        'page.ctaTitle': 'ארגו Linkitylink משלכם',
+        'page.ctaBody': 'הטילו את לחש Linkitylink כדי ליצור שטיח קישורים מיסטי משלכם. בקרו ב-The Enchantment Emporium באפליקציית The Advancement.',
+        'page.ctaButton': 'לביקור ב-The Enchantment Emporium',
+        'page.ctaTagline': '✨ פרטיות קודם כול • 🔐 מאובטח קריפטוגרפית • 🎨 יופי מיסטי',
+        'page.ctaAlert': 'בקרו ב-The Enchantment Emporium באפליקציית The Advancement כדי להטיל את לחש Linkitylink!',
+        'page.wovenBy': 'נארג על ידי {name}',
+        'page.footerTagline': 'The Enchantment Emporium • שטיחי Linkitylink',
+        'error.title': 'שגיאה',
+        'error.pageTitle': 'שגיאת Linkitylink',
+        'error.notFound': 'השטיח לא נמצא',
+        'error.ambiguous': 'הקישור הזה מתאים ליותר משטיח אחד. בחרו את שלכם:',
+        'error.malformed': 'זה לא נראה כמו קישור לשטיח. כדאי לבדוק שאין בו שגיאות הקלדה.',
+        'error.upstreamError': 'שירות השטיחים החזיר שגיאה. נסו שוב מאוחר יותר.',
+        'error.unavailable': 'השטיחים אינם זמינים כרגע. נסו שוב בעוד רגע.',
+        'error.loadFailed': 'שגיאה בטעינת השטיח',
+        'svg.tapToOpen': 'הקישו לפתיחה',
+        'svg.click': 'לחצו',
+        'svg.pageOf': 'עמוד {page} מתוך {count}',
+        'svg.linkRange': 'קישורים {first}–{last} מתוך {total}',
+        'svg.desc': 'שטיח Linkitylink עם {summary}',
+        'svg.linksAndProfiles': '{links} ו-{profiles}',
+        'svg.opensInNewTab': '{title} (נפתח בכרטיסייה חדשה)'
+    }
+};
+
+export const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+/**
+ * Supported locale for a language tag, matching on the primary subtag
+ *
+ * @param {string} tag - e.g. "pt-BR", "AR"
+ * @returns {string|null} e.g. "pt", or null if unsupported
+ */
+export function matchLocale(tag) {
+    if (typeof tag !== 'string') return null;
+    const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+    return Object.hasOwn(MESSAGES, language) ? language : null;
+}
+
+/**
+ * Best supported locale from an Accept-Language header, by quality value
+ *
+ * @param {string} header - e.g. "he-IL,he;q=0.9,en;q=0.8"
+ * @returns {string|null}
+ */
+export function parseAcceptLanguage(header) {
+    if (typeof header !== 'string' || !header.trim()) return null;
+
+    const ranges = header.split(',').map((part, order) => {
+        const [tag, ...params] = part.trim().split(';');
+        const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+        const quality = q ? Number(q.slice(2)) : 1;
+        return { tag, quality: Number.isFinite(quality) ? quality : 0, order };
+    });
+
+    const match = ranges
+        .filter(range => range.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.order - b.order)
+        .map(range => matchLocale(range.tag))
+        .find(Boolean);
+
+    return match || null;
+}
+
+/**
+ * Locale for a request: ?lang= if supported, then Accept-Language, then English
+ *
+ * @param {Object} req - Express request
+ * @returns {string} One of SUPPORTED_LOCALES
+ */
+export function resolveLocale(req) {
+    return matchLocale(req.query?.lang)
+        || parseAcceptLanguage(req.get?.('accept-language'))
+        || DEFAULT_LOCALE;
+}
+
+/**
+ * Writing direction of a locale
+ *
+ * @param {string} locale
+ * @returns {'rtl'|'ltr'}
+ */
+export function localeDirection(locale) {
+    return RTL_LOCALES.has(locale) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Look up a message and fill in its placeholders
+ *
+ * @param {string} locale - One of SUPPORTED_LOCALES (anything else reads as English)
+ * @param {string} key - Message key, e.g. 'svg.pageOf'
+ * @param {Object} [params] - Placeholder values; `count` also selects the plural form
+ * @returns {string} Plain (unescaped) text; the key itself if no language has it
+ */
+export function t(locale, key, params = {}) {
+    const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+    let message = catalog[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(catalog === MESSAGES[locale] ? locale : DEFAULT_LOCALE)
+            .select(Number(params.count) || 0);
+        message = message[category] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        Object.hasOwn(params, name) ? String(params[name]) : placeholder);
+}
+
+export default {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    matchLocale,
+    parseAcceptLanguage,
+    resolveLocale,
+    localeDirection,
+    t
+};
@@ -0,0 +1,111 @@
+/**
+ * identifier-index.js - Prefix index for alphanumeric tapestry identifiers
+ *
+ * Tapestries are reachable at /t/<identifier>, where the identifier is a prefix
+ * of the tapestry BDO's pubKey. The index keeps pubKeys sorted, so every key
+ * sharing a prefix sits in one contiguous run found by binary search, and a
+ * key's shortest unambiguous prefix only depends on its two sorted neighbours.
+ *
+ * Usage:
+ *   import { IdentifierIndex, MIN_IDENTIFIER_LENGTH } from './lib/identifier-index.js';
+ *
+ *   const index = new IdentifierIndex();
+ *   index.add(pubKey);
+ *
+ *   index.uniquePrefix(pubKey);    // '02a1b2c3' - no other indexed key starts with it
+ *   index.match('02a1b2c3');       // ['02a1b2c3d4...'] (several keys when ambiguous)
+ */
+
+// Shortest identifier accepted, in hex characters. Compressed pubKeys start with 02 or 03,
+// so 8 characters leave 24 random bits.
+export const MIN_IDENTIFIER_LENGTH = 8;
+
+/**
+ * Length of the prefix two strings share
+ */
+function commonPrefixLength(a, b) {
+    const max = Math.min(a.length, b.length);
+    let length = 0;
+    while (length < max && a[length] === b[length]) length++;
+    return length;
+}
+
+export class IdentifierIndex {
+    constructor() {
+        this.keys = [];
+    }
+
+    get size() {
+        return this.keys.length;
+    }
+
+    /**
+     * Position of the first key not less than value
+     */
+    lowerBound(value) {
+        let low = 0;
+        let high = this.keys.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.keys[mid] < value) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    has(pubKey) {
+        return this.keys[this.lowerBound(pubKey)] === pubKey;
+    }
+
+    add(pubKey) {
+        const position = this.lowerBound(pubKey);
+        if (this.keys[position] !== pubKey) {
+            this.keys.splice(position, 0, pubKey);
+        }
+    }
+
+    delete(pubKey) {
+        const position = this.lowerBound(pubKey);
+        if (this.keys[position] === pubKey) {
+            this.keys.splice(position, 1);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Keys starting with a prefix, in sorted order
+     * @param {string} prefix
+     * @param {number} [limit=Infinity] - Stop after this many (2 is enough to detect ambiguity)
+     * @returns {string[]}
+     */
+    match(prefix, limit = Infinity) {
+        const matches = [];
+        for (let i = this.lowerBound(prefix); i < this.keys.length && matches.length < limit; i++) {
+            if (!this.keys[i].startsWith(prefix)) break;
+            matches.push(this.keys[i]);
+        }
+        return matches;
+    }
+
+    /**
+     * Shortest prefix of an indexed key that no other indexed key starts with
+     * @param {string} pubKey
+     * @param {number} [minLength=MIN_IDENTIFIER_LENGTH]
+     * @returns {string}
+     */
+    uniquePrefix(pubKey, minLength = MIN_IDENTIFIER_LENGTH) {
+        const position = this.lowerBound(pubKey);
+        const neighbours = [this.keys[position - 1], this.keys[position + (this.keys[position] === pubKey ? 1 : 0)]];
+        const shared = Math.max(0, ...neighbours.filter(Boolean).map(key => commonPrefixLength(pubKey, key)));
+        return pubKey.substring(0, Math.max(minLength, shared + 1));
+    }
+}
+
+export default {
+    MIN_IDENTIFIER_LENGTH,
+    IdentifierIndex
+};
@@ -0,0 +1,349 @@
+/**
+ * pdf-document.js - Minimal PDF writer for printable tapestry sheets
+ *
+ * Writes PDF 1.4 directly: pages with filled and stroked rectangles, text in
+ * the built-in Helvetica fonts (no embedding needed, WinAnsi characters only)
+ * and RGB images. Anything outside WinAnsi - emoji, most non-Latin scripts -
+ * should be rasterized and placed as an image instead; see canEncodeText.
+ *
+ * Coordinates are in points (1/72 inch) from the top-left corner of the page;
+ * they are flipped to PDF's bottom-left origin on output. Content streams and
+ * images are Flate-compressed with Node's zlib.
+ *
+ * Usage:
+ *   import { PDFDocument, PAPER_SIZES } from './lib/pdf-document.js';
+ *
+ *   const doc = new PDFDocument();
+ *   const page = doc.addPage(...PAPER_SIZES.a4);
+ *   page.rect(40, 40, 100, 100, { fill: '#4c1d95' });
+ *   page.text('Hello', 300, 200, { size: 24, bold: true, align: 'center' });
+ *   const pdf = doc.toBuffer();
+ */
+
+import { deflateSync } from 'zlib';
+
+// Page sizes in points [width, height]
+export const PAPER_SIZES = {
+    a4: [595.28, 841.89],
+    letter: [612, 792]
+};
+
+// Advance widths (1/1000 em) of printable ASCII, from the standard Helvetica AFM metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Widths outside the ASCII tables: a few wide punctuation marks, then a typical letter width
+const EXTRA_WIDTHS = { '…': 1000, '—': 1000, '™': 1000, '•': 350 };
+const FALLBACK_WIDTH = 556;
+
+const ELLIPSIS = '…';
+
+// WinAnsi codes of the characters that differ from Latin-1 (0x80-0x9F)
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+    'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+/**
+ * WinAnsi byte for a character, or null if the standard fonts can't show it
+ */
+function winAnsiCode(char) {
+    const code = char.codePointAt(0);
+    if ((code >= 0x20 && code < 0x7F) || (code >= 0xA0 && code <= 0xFF)) return code;
+    return WIN_ANSI_EXTRAS[char] ?? null;
+}
+
+/**
+ * Whether text can be drawn with the built-in fonts
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function canEncodeText(text) {
+    return Array.from(String(text)).every(char => winAnsiCode(char) !== null);
+}
+
+/**
+ * Width of text in the built-in fonts
+ *
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold=false]
+ * @returns {number} Width in points
+ */
+export function measurePDFText(text, size, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    const units = Array.from(String(text)).reduce((sum, char) => {
+        const code = char.codePointAt(0);
+        return sum + (code >= 0x20 && code < 0x7F ? widths[code - 0x20] : EXTRA_WIDTHS[char] ?? FALLBACK_WIDTH);
+    }, 0);
+    return (units * size) / 1000;
+}
+
+/**
+ * Shorten text with an ellipsis until it fits the built-in fonts' measured width
+ *
+ * @param {string} text
+ * @param {Object} options - { maxWidth, size, bold? }
+ * @returns {string}
+ */
+export function truncatePDFText(text, { maxWidth, size, bold = false }) {
+    const chars = Array.from(String(text));
+    if (measurePDFText(chars.join(''), size, bold) <= maxWidth) return chars.join('');
+
+    while (chars.length > 0 && measurePDFText(chars.join('').trimEnd() + ELLIPSIS, size, bold) > maxWidth) {
+        chars.pop();
+    }
+    return chars.join('').trimEnd() + ELLIPSIS;
+}
+
+/**
+ * Encode text as a PDF literal string in WinAnsi (unencodable characters become '?')
+ */
+function pdfString(text) {
+    let result = '(';
+    for (const char of Array.from(String(text))) {
+        const code = winAnsiCode(char) ?? 0x3F;
+        if (char === '(' || char === ')' || char === '\\') {
+            result += `\\${char}`;
+        } else if (code < 0x20 || code > 0x7E) {
+            result += `\\${code.toString(8).padStart(3, '0')}`;
+        } else {
+            result += String.fromCharCode(code);
+        }
+    }
+    return `${result})`;
+}
+
+/**
+ * Encode text for document metadata (UTF-16BE with a byte order mark, any script)
+ */
+function pdfTextString(text) {
+    const utf16 = Buffer.from(String(text), 'utf16le').swap16();
+    return `<FEFF${utf16.toString('hex').toUpperCase()}>`;
+}
+
+/**
+ * PDF color operands for a #rrggbb color
+ */
+function pdfColor(hex) {
+    const value = /^#[0-9a-f]{6}$/i.test(hex) ? hex : '#000000';
+    return [1, 3, 5]
+        .map(i => (parseInt(value.substring(i, i + 2), 16) / 255).toFixed(3))
+        .join(' ');
+}
+
+function formatNumber(value) {
+    return Number(value.toFixed(3)).toString();
+}
+
+/**
+ * A page being drawn; created by PDFDocument#addPage
+ */
+class PDFPage {
+    constructor(document, width, height) {
+        this.document = document;
+        this.width = width;
+        this.height = height;
+        this.operations = [];
+    }
+
+    /**
+     * Rectangle with an optional fill and/or stroke
+     *
+     * @param {Object} style - { fill?, stroke?, lineWidth?, dash? } (colors as #rrggbb, dash in points)
+     */
+    rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 1, dash = null } = {}) {
+        const ops = ['q'];
+        if (fill) ops.push(`${pdfColor(fill)} rg`);
+        if (stroke) {
+            ops.push(`${pdfColor(stroke)} RG`, `${formatNumber(lineWidth)} w`);
+            if (dash) ops.push(`[${formatNumber(dash)}] 0 d`);
+        }
+        ops.push(`${formatNumber(x)} ${formatNumber(this.height - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`);
+        ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S', 'Q');
+        this.operations.push(ops.join('\n'));
+        return this;
+    }
+
+    /**
+     * Fill several rectangles as one shape, so neighbours meet without hairline seams
+     *
+     * @param {Array<[number, number, number, number]>} rectangles - [x, y, width, height] each
+     * @param {string} fill - #rrggbb
+     */
+    rects(rectangles, fill) {
+        const ops = ['q', `${pdfColor(fill)} rg`];
+        for (const [x, y, width, height] of rectangles) {
+            ops.push(`${formatNumber(x)} ${formatNumber(this.height - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`);
+        }
+        ops.push('f', 'Q');
+        this.operations.push(ops.join('\n'));
+        return this;
+    }
+
+    /**
+     * Single line of text; y is the baseline
+     *
+     * @param {Object} style - { size?, bold?, color?, align? ('left' | 'center' | 'right') }
+     */
+    text(text, x, y, { size = 12, bold = false, color = '#000000', align = 'left' } = {}) {
+        const width = measurePDFText(text, size, bold);
+        const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+        this.operations.push([
+            'BT',
+            `/${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf`,
+            `${pdfColor(color)} rg`,
+            `${formatNumber(left)} ${formatNumber(this.height - y)} Td`,
+            `${pdfString(text)} Tj`,
+            'ET'
+        ].join('\n'));
+        return this;
+    }
+
+    /**
+     * Draw an image added with PDFDocument#addImage, scaled to the given box
+     */
+    image(image, x, y, width, height) {
+        this.operations.push([
+            'q',
+            `${formatNumber(width)} 0 0 ${formatNumber(height)} ${formatNumber(x)} ${formatNumber(this.height - y - height)} cm`,
+            `/${image.name} Do`,
+            'Q'
+        ].join('\n'));
+        return this;
+    }
+}
+
+/**
+ * A PDF built up page by page
+ */
+export class PDFDocument {
+    constructor({ title = null } = {}) {
+        this.title = title;
+        this.pages = [];
+        this.images = [];
+    }
+
+    /**
+     * Add a page
+     *
+     * @param {number} width - Points
+     * @param {number} height - Points
+     * @returns {PDFPage}
+     */
+    addPage(width, height) {
+        const page = new PDFPage(this, width, height);
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * Add an RGB image for use on any page (drawn once, referenced as often as needed)
+     *
+     * @param {{ width: number, height: number, rgb: Uint8Array }} bitmap - 8-bit RGB pixels, row by row
+     * @returns {{ name: string, width: number, height: number }}
+     */
+    addImage({ width, height, rgb }) {
+        const image = { name: `Im${this.images.length + 1}`, width, height, data: deflateSync(rgb) };
+        this.images.push(image);
+        return image;
+    }
+
+    /**
+     * Serialize the document
+     * @returns {Buffer}
+     */
+    toBuffer() {
+        const objects = [];  // Buffers, object number = index + 1
+        const add = (body) => {
+            objects.push(Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'));
+            return objects.length;
+        };
+        const stream = (dictionary, data) => Buffer.concat([
+            Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`, 'latin1'),
+            data,
+            Buffer.from('\nendstream', 'latin1')
+        ]);
+
+        // Reserve the catalog and page tree so pages can point at their parent
+        add('');
+        add('');
+        const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+        const imageRefs = this.images.map(image => `/${image.name} ${add(stream(
+            `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode`,
+            image.data
+        ))} 0 R`);
+
+        const resources = `<< /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> /XObject << ${imageRefs.join(' ')} >> >>`;
+
+        const pageRefs = this.pages.map(page => {
+            const content = add(stream('/Filter /FlateDecode', deflateSync(Buffer.from(page.operations.join('\n'), 'latin1'))));
+            return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}] /Resources ${resources} /Contents ${content} 0 R >>`);
+        });
+
+        objects[0] = Buffer.from('<< /Type /Catalog /Pages 2 0 R >>', 'latin1');
+        objects[1] = Buffer.from(`<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`, 'latin1');
+
+        const info = this.title
+            ? add(`<< /Title ${pdfTextString(this.title)} /Producer (Linkitylink) >>`)
+            : add('<< /Producer (Linkitylink) >>');
+
+        // Header (with a binary comment so transfer tools treat the file as binary), objects, xref
+        const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+        const offsets = [];
+        let offset = chunks[0].length;
+        objects.forEach((body, i) => {
+            const chunk = Buffer.concat([
+                Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+                body,
+                Buffer.from('\nendobj\n', 'latin1')
+            ]);
+            offsets.push(offset);
+            offset += chunk.length;
+            chunks.push(chunk);
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(value => `${String(value).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${info} 0 R >>`,
+            'startxref',
+            String(offset),
+            '%%EOF'
+        ].join('\n');
+        chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+        return Buffer.concat(chunks);
+    }
+}
+
+export default {
+    PAPER_SIZES,
+    PDFDocument,
+    canEncodeText,
+    measurePDFText,
+    truncatePDFText
+};
@@ -0,0 +1,255 @@
+/**
+ * png-renderer.js - Raster PNG export for Linkitylink tapestries
+ *
+ * Rasterizes tapestry SVG with resvg compiled to WebAssembly, so no native
+ * build or headless browser is needed. Output is cached in memory, keyed by
+ * a digest of the SVG and the size, so an edited tapestry never serves a
+ * stale image.
+ *
+ * WASM can't see system fonts, so font files are read from disk once and
+ * handed to resvg. Set LINKITYLINK_FONT_PATHS (colon-separated) to override
+ * the DejaVu defaults.
+ *
+ * Usage:
+ *   import { PNG_SIZES, resolvePNGSize, renderPNG } from './lib/png-renderer.js';
+ *
+ *   const size = resolvePNGSize(req.query.size);
+ *   if (req.get('If-None-Match') === pngETag(svgContent, size)) return res.status(304).end();
+ *   const { png, etag } = await renderPNG(svgContent, size);
+ */
+
+import { createHash } from 'crypto';
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+import { initWasm, Resvg } from '@resvg/resvg-wasm';
+
+const require = createRequire(import.meta.url);
+
+// Output sizes - width in pixels, plus a crop height for the social card size
+export const PNG_SIZES = {
+    small: { width: 350 },
+    medium: { width: 700 },
+    large: { width: 1400 },
+    og: { width: 1200, height: 630 }  // 1.91:1 Open Graph card, cropped from the top
+};
+
+export const DEFAULT_PNG_SIZE = 'medium';
+
+// Fonts loaded when LINKITYLINK_FONT_PATHS is not set (Debian package locations)
+const DEFAULT_FONT_PATHS = [
+    '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+    '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf',
+    '/usr/share/fonts/truetype/noto/NotoColorEmoji.ttf'
+];
+
+// Cache limits (least recently used entries are evicted first)
+const MAX_CACHE_ENTRIES = 200;
+const MAX_CACHE_BYTES = 64 * 1024 * 1024;
+
+// digest:size -> Buffer, in least-recently-used order
+const pngCache = new Map();
+let pngCacheBytes = 0;
+
+let wasmReady = null;
+let fontBuffers = null;
+
+/**
+ * Initialize the resvg WASM module (once)
+ */
+function ensureWasm() {
+    if (!wasmReady) {
+        wasmReady = readFile(require.resolve('@resvg/resvg-wasm/index_bg.wasm'))
+            .then(wasm => initWasm(wasm))
+            .catch(error => {
+                wasmReady = null;  // Allow a retry on the next request
+                throw error;
+            });
+    }
+    return wasmReady;
+}
+
+/**
+ * Read the font files (once), skipping any that are missing
+ */
+async function loadFonts() {
+    if (fontBuffers) return fontBuffers;
+
+    const configured = Boolean(process.env.LINKITYLINK_FONT_PATHS);
+    const paths = configured
+        ? process.env.LINKITYLINK_FONT_PATHS.split(':').filter(Boolean)
+        : DEFAULT_FONT_PATHS;
+
+    const loaded = await Promise.all(paths.map(async (path) => {
+        try {
+            return new Uint8Array(await readFile(path));
+        } catch (error) {
+            // Defaults are best-effort (e.g. the emoji font is often not installed)
+            if (configured) {
+                console.warn(`⚠️ PNG renderer could not load font ${path}: ${error.message}`);
+            }
+            return null;
+        }
+    }));
+
+    fontBuffers = loaded.filter(Boolean);
+    if (fontBuffers.length === 0) {
+        console.warn('⚠️ PNG renderer has no fonts - text will be missing from PNG exports');
+    }
+    return fontBuffers;
+}
+
+/**
+ * Map a ?size= value to a known size name
+ *
+ * @param {string} size - Requested size name
+ * @returns {string|null} Size name, DEFAULT_PNG_SIZE when omitted, or null if unknown
+ */
+export function resolvePNGSize(size) {
+    if (size === undefined || size === '') return DEFAULT_PNG_SIZE;
+    return Object.prototype.hasOwnProperty.call(PNG_SIZES, size) ? size : null;
+}
+
+/**
+ * Store a rendered PNG, evicting the least recently used entries over the limits
+ */
+function cachePNG(key, png) {
+    pngCache.set(key, png);
+    pngCacheBytes += png.length;
+
+    while (pngCache.size > MAX_CACHE_ENTRIES || pngCacheBytes > MAX_CACHE_BYTES) {
+        const [oldestKey, oldest] = pngCache.entries().next().value;
+        pngCache.delete(oldestKey);
+        pngCacheBytes -= oldest.length;
+    }
+}
+
+/**
+ * Parse an SVG with resvg at a fixed output width, cropping from the top to height if given
+ */
+async function createResvg(svg, width, height = null) {
+    await ensureWasm();
+    const options = {
+        fitTo: { mode: 'width', value: width },
+        font: {
+            fontBuffers: await loadFonts(),
+            defaultFontFamily: 'DejaVu Sans',
+            sansSerifFamily: 'DejaVu Sans'
+        }
+    };
+
+    const resvg = new Resvg(svg.trim(), options);
+
+    // Crop tall images to the fixed height (crop is in output pixels)
+    if (height && (resvg.height * width) / resvg.width > height) {
+        resvg.free();
+        return new Resvg(svg.trim(), { ...options, crop: { left: 0, top: 0, right: width, bottom: height } });
+    }
+    return resvg;
+}
+
+/**
+ * Cache key for an SVG at a size: a digest of the markup plus the size name
+ */
+function pngCacheKey(svg, size) {
+    const digest = createHash('sha256').update(svg).digest('hex').substring(0, 32);
+    return `${digest}:${size}`;
+}
+
+/**
+ * ETag of an SVG's PNG at a size, known without rendering it
+ *
+ * @param {string} svg - SVG markup
+ * @param {string} size - Key of PNG_SIZES
+ * @returns {string} Quoted ETag, the same one renderPNG returns
+ */
+export function pngETag(svg, size = DEFAULT_PNG_SIZE) {
+    return `"${pngCacheKey(svg, size)}"`;
+}
+
+/**
+ * Rasterize an SVG to PNG
+ *
+ * @param {string} svg - SVG markup
+ * @param {string} size - Key of PNG_SIZES
+ * @returns {Promise<{ png: Buffer, etag: string, cached: boolean }>}
+ */
+export async function renderPNG(svg, size = DEFAULT_PNG_SIZE) {
+    const { width, height } = PNG_SIZES[size] || PNG_SIZES[DEFAULT_PNG_SIZE];
+
+    const key = pngCacheKey(svg, size);
+    const etag = pngETag(svg, size);
+
+    const hit = pngCache.get(key);
+    if (hit) {
+        // Re-insert to mark as most recently used
+        pngCache.delete(key);
+        pngCache.set(key, hit);
+        return { png: hit, etag, cached: true };
+    }
+
+    const resvg = await createResvg(svg, width, height);
+
+    let png;
+    try {
+        const image = resvg.render();
+        png = Buffer.from(image.asPng());
+        image.free();
+    } finally {
+        resvg.free();
+    }
+
+    cachePNG(key, png);
+    return { png, etag, cached: false };
+}
+
+/**
+ * Rasterize an SVG to raw RGB pixels flattened onto a solid background (not cached)
+ * Used to place text and artwork the PDF fonts can't draw (emoji, tapestry previews).
+ *
+ * @param {string} svg - SVG markup
+ * @param {Object} options
+ * @param {number} options.width - Output width in pixels
+ * @param {number} [options.height] - Crop height in pixels (from the top)
+ * @param {string} [options.background='#ffffff'] - #rrggbb color under transparent areas
+ * @returns {Promise<{ width: number, height: number, rgb: Buffer }>}
+ */
+export async function rasterizeSVG(svg, { width, height = null, background = '#ffffff' }) {
+    const resvg = await createResvg(svg, width, height);
+    const ground = [1, 3, 5].map(i => parseInt(background.substring(i, i + 2), 16));
+
+    try {
+        const image = resvg.render();
+        // resvg's pixels are premultiplied RGBA, so compositing over the ground is one add per channel
+        const rgba = image.pixels;
+        const rgb = Buffer.alloc(image.width * image.height * 3);
+        for (let src = 0, dst = 0; src < rgba.length; src += 4, dst += 3) {
+            const uncovered = 255 - rgba[src + 3];
+            rgb[dst] = rgba[src] + Math.round((ground[0] * uncovered) / 255);
+            rgb[dst + 1] = rgba[src + 1] + Math.round((ground[1] * uncovered) / 255);
+            rgb[dst + 2] = rgba[src + 2] + Math.round((ground[2] * uncovered) / 255);
+        }
+        const result = { width: image.width, height: image.height, rgb };
+        image.free();
+        return result;
+    } finally {
+        resvg.free();
+    }
+}
+
+/**
+ * Cache statistics (for logging and health checks)
+ * @returns {{ entries: number, bytes: number }}
+ */
+export function getPNGCacheStats() {
+    return { entries: pngCache.size, bytes: pngCacheBytes };
+}
+
+export default {
+    PNG_SIZES,
+    DEFAULT_PNG_SIZE,
+    resolvePNGSize,
+    pngETag,
+    renderPNG,
+    rasterizeSVG,
+    getPNGCacheStats
+};
@@ -0,0 +1,290 @@
+/**
+ * print-sheet.js - Printable PDF posters and business card sheets for tapestries
+ *
+ * Lays out a tapestry's title, a QR code of its alphanumeric URL, its
+ * emojicode and the URL itself on A4 or Letter paper, entirely in-process:
+ *
+ *   poster - one page: title, a preview of the tapestry next to a large QR
+ *            code, then the emojicode and URL
+ *   cards  - ten 3.5" x 2" business cards (2 x 5) with dashed cut guides
+ *
+ * The QR code is drawn as vector rectangles and plain-ASCII text uses the
+ * PDF's built-in Helvetica, so both stay sharp at any print size. Emoji and
+ * other text Helvetica can't show, and the tapestry preview, are rasterized
+ * with resvg (see png-renderer.js) at print resolution; emoji need an emoji
+ * font in LINKITYLINK_FONT_PATHS, as for PNG export. Preview bitmaps are
+ * cached in memory, keyed by a digest of the SVG and the raster size (which
+ * follows from the layout and paper), so reprinting a tapestry doesn't
+ * rasterize it again.
+ *
+ * Usage:
+ *   import { PRINT_LAYOUTS, renderPrintPDF } from './lib/print-sheet.js';
+ *
+ *   const pdf = await renderPrintPDF(
+ *       { title, emojicode, url, svgContent, colors: { foreground: '#4c1d95' } },
+ *       { layout: 'cards', paper: 'letter' }
+ *   );
+ */
+
+import { createHash } from 'crypto';
+import { PAPER_SIZES, PDFDocument, canEncodeText, measurePDFText, truncatePDFText } from './pdf-document.js';
+import { rasterizeSVG } from './png-renderer.js';
+import { encodeQR } from './qr-code.js';
+import { measureText, truncateText } from './text-layout.js';
+import { escapeXML } from './xml-escape.js';
+
+export const PRINT_LAYOUTS = ['poster', 'cards'];
+export const PRINT_PAPERS = Object.keys(PAPER_SIZES);
+
+// Raster pixels per point for emoji, non-Latin text and the preview (4 = 288 dpi)
+const RASTER_SCALE = 4;
+
+// Quiet zone around printed QR codes, in modules
+const QR_MARGIN = 4;
+
+// Business card size in points (3.5" x 2") and the sheet grid
+const CARD_WIDTH = 252;
+const CARD_HEIGHT = 144;
+const CARD_COLUMNS = 2;
+const CARD_ROWS = 5;
+
+const TEXT_COLOR = '#222222';
+const MUTED_COLOR = '#666666';
+const GUIDE_COLOR = '#bbbbbb';
+
+// Preview cache limits (least recently used entries are evicted first)
+const MAX_PREVIEW_CACHE_ENTRIES = 50;
+const MAX_PREVIEW_CACHE_BYTES = 64 * 1024 * 1024;
+
+// digest:widthxheight -> { width, height, rgb }, in least-recently-used order
+const previewCache = new Map();
+let previewCacheBytes = 0;
+
+/**
+ * Prepare a line of text for drawing (possibly many times)
+ *
+ * Text Helvetica can show is drawn as PDF text; anything else becomes an image
+ * rendered once and placed wherever the label is drawn.
+ *
+ * @param {PDFDocument} doc
+ * @param {string} text
+ * @param {Object} style
+ * @param {number} style.size - Font size in points
+ * @param {number} style.maxWidth - Available width in points
+ * @param {boolean} [style.bold=false]
+ * @param {string} [style.color]
+ * @param {string} [style.align='left'] - 'left' or 'center' (relative to the x it's drawn at)
+ * @param {boolean} [style.shrink=false] - Reduce the font size to fit instead of truncating
+ *                                         (for URLs and emojicodes, which are useless cut short)
+ * @returns {Promise<{ width: number, draw: function(PDFPage, number, number) }>} draw(page, x, baseline)
+ */
+async function prepareLabel(doc, text, { size, maxWidth, bold = false, color = TEXT_COLOR, align = 'left', shrink = false }) {
+    if (canEncodeText(text)) {
+        const fontSize = shrink ? Math.min(size, (size * maxWidth) / measurePDFText(text, size, bold)) : size;
+        const fitted = shrink ? text : truncatePDFText(text, { maxWidth, size, bold });
+        return {
+            width: measurePDFText(fitted, fontSize, bold),
+            draw: (page, x, y) => page.text(fitted, x, y, { size: fontSize, bold, color, align })
+        };
+    }
+
+    const fontSize = shrink ? Math.min(size, (size * maxWidth) / measureText(text, size, { bold })) : size;
+    const fitted = shrink ? text : truncateText(text, { maxWidth, fontSize, bold }).text;
+
+    // measureText runs a little wide, so the box has room for the real glyphs
+    const width = Math.ceil(measureText(fitted, fontSize, { bold }) + fontSize * 0.5);
+    const height = Math.ceil(fontSize * 1.35);
+    const anchor = align === 'center' ? `x="${width / 2}" text-anchor="middle"` : 'x="0"';
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<text ${anchor} y="${fontSize}" font-family="DejaVu Sans" font-size="${fontSize}" font-weight="${bold ? 'bold' : 'normal'}" fill="${escapeXML(color)}">${escapeXML(fitted)}</text></svg>`;
+    const image = doc.addImage(await rasterizeSVG(svg, { width: width * RASTER_SCALE }));
+
+    return {
+        width,
+        draw: (page, x, y) => page.image(image, align === 'center' ? x - width / 2 : x, y - fontSize, width, height)
+    };
+}
+
+/**
+ * Draw a QR code with its quiet zone into a square box
+ */
+function drawQR(page, qr, x, y, box, { foreground = '#000000', background = '#ffffff' }) {
+    const moduleSize = box / (qr.size + QR_MARGIN * 2);
+    const rectangles = [];
+    qr.modules.forEach((row, rowIndex) => {
+        for (let col = 0; col < qr.size; col++) {
+            if (!row[col]) continue;
+            let end = col;
+            while (end + 1 < qr.size && row[end + 1]) end++;
+            rectangles.push([
+                x + (col + QR_MARGIN) * moduleSize,
+                y + (rowIndex + QR_MARGIN) * moduleSize,
+                (end - col + 1) * moduleSize,
+                moduleSize
+            ]);
+            col = end;
+        }
+    });
+
+    if (background.toLowerCase() !== '#ffffff') {
+        page.rect(x, y, box, box, { fill: background });
+    }
+    page.rects(rectangles, foreground);
+}
+
+/**
+ * Rasterize a tapestry preview, or reuse the bitmap from an earlier print of the same SVG and size
+ */
+async function rasterizePreview(svgContent, width, height) {
+    const digest = createHash('sha256').update(svgContent).digest('hex').substring(0, 32);
+    const key = `${digest}:${width}x${height}`;
+
+    const hit = previewCache.get(key);
+    if (hit) {
+        // Re-insert to mark as most recently used
+        previewCache.delete(key);
+        previewCache.set(key, hit);
+        return hit;
+    }
+
+    const bitmap = await rasterizeSVG(svgContent, { width, height });
+    previewCache.set(key, bitmap);
+    previewCacheBytes += bitmap.rgb.length;
+
+    while (previewCache.size > MAX_PREVIEW_CACHE_ENTRIES || previewCacheBytes > MAX_PREVIEW_CACHE_BYTES) {
+        const [oldestKey, oldest] = previewCache.entries().next().value;
+        previewCache.delete(oldestKey);
+        previewCacheBytes -= oldest.rgb.length;
+    }
+    return bitmap;
+}
+
+/**
+ * Rasterize the tapestry preview to fit a box, cropping tall tapestries from the top
+ *
+ * @returns {Promise<{ image: Object, width: number, height: number } | null>} Size in points
+ */
+async function preparePreview(doc, svgContent, maxWidth, maxHeight) {
+    if (typeof svgContent !== 'string' || !svgContent.trim()) return null;
+
+    const bitmap = await rasterizePreview(svgContent, Math.round(maxWidth * RASTER_SCALE), Math.round(maxHeight * RASTER_SCALE));
+    return {
+        image: doc.addImage(bitmap),
+        width: maxWidth,
+        height: (bitmap.height / bitmap.width) * maxWidth
+    };
+}
+
+/**
+ * One-page poster: title, preview and QR code side by side, emojicode and URL
+ */
+async function renderPoster(doc, tapestry, [pageWidth, pageHeight]) {
+    const page = doc.addPage(pageWidth, pageHeight);
+    const margin = 48;
+    const contentWidth = pageWidth - margin * 2;
+    const center = pageWidth / 2;
+    const accent = tapestry.colors.foreground || TEXT_COLOR;
+
+    const title = await prepareLabel(doc, tapestry.title, { size: 30, bold: true, color: accent, maxWidth: contentWidth, align: 'center' });
+    title.draw(page, center, 96);
+    page.text('Scan the code or visit the link to see all my links', center, 122, { size: 12, color: MUTED_COLOR, align: 'center' });
+
+    // Preview and QR code in two columns; without a preview the code is centered and larger
+    const gap = 28;
+    const column = (contentWidth - gap) / 2;
+    const preview = await preparePreview(doc, tapestry.svgContent, column, column * 1.6);
+    const rowHeight = preview ? Math.max(preview.height, column) : Math.min(contentWidth, 320);
+
+    // Center the code, emojicode and URL block in the space between the heading and the footer
+    const blockHeight = rowHeight + 100;
+    const top = 152 + Math.max(0, (pageHeight - 80 - 152 - blockHeight) / 2);
+
+    if (preview) {
+        const previewTop = top + (rowHeight - preview.height) / 2;
+        page.image(preview.image, margin, previewTop, preview.width, preview.height);
+        page.rect(margin, previewTop, preview.width, preview.height, { stroke: GUIDE_COLOR, lineWidth: 0.5 });
+        drawQR(page, tapestry.qr, margin + column + gap, top + (rowHeight - column) / 2, column, tapestry.colors);
+    } else {
+        drawQR(page, tapestry.qr, center - rowHeight / 2, top, rowHeight, tapestry.colors);
+    }
+
+    const emojicode = await prepareLabel(doc, tapestry.emojicode, { size: 32, maxWidth: contentWidth, align: 'center', shrink: true });
+    emojicode.draw(page, center, top + rowHeight + 64);
+
+    const url = await prepareLabel(doc, tapestry.url, { size: 16, maxWidth: contentWidth, align: 'center', shrink: true });
+    url.draw(page, center, top + rowHeight + 100);
+
+    page.text('Made with Linkitylink', center, pageHeight - 36, { size: 9, color: MUTED_COLOR, align: 'center' });
+}
+
+/**
+ * Sheet of business cards with dashed cut guides
+ * Each card: QR code on the left, title, prompt and emojicode on the right, URL along the bottom
+ */
+async function renderCards(doc, tapestry, [pageWidth, pageHeight]) {
+    const page = doc.addPage(pageWidth, pageHeight);
+    const originX = (pageWidth - CARD_WIDTH * CARD_COLUMNS) / 2;
+    const originY = (pageHeight - CARD_HEIGHT * CARD_ROWS) / 2;
+    const padding = 12;
+    const qrBox = 100;
+    const textX = padding + qrBox + 8;
+    const textWidth = CARD_WIDTH - textX - padding;
+    const accent = tapestry.colors.foreground || TEXT_COLOR;
+
+    // Prepared once; images are shared by all ten cards
+    const title = await prepareLabel(doc, tapestry.title, { size: 13, bold: true, color: accent, maxWidth: textWidth });
+    const prompt = await prepareLabel(doc, 'Scan or visit for my links', { size: 8, color: MUTED_COLOR, maxWidth: textWidth });
+    const emojicode = await prepareLabel(doc, tapestry.emojicode, { size: 13, maxWidth: textWidth, shrink: true });
+    const url = await prepareLabel(doc, tapestry.url, { size: 8, maxWidth: CARD_WIDTH - padding * 2, align: 'center', shrink: true });
+
+    for (let row = 0; row < CARD_ROWS; row++) {
+        for (let col = 0; col < CARD_COLUMNS; col++) {
+            const x = originX + col * CARD_WIDTH;
+            const y = originY + row * CARD_HEIGHT;
+
+            page.rect(x, y, CARD_WIDTH, CARD_HEIGHT, { stroke: GUIDE_COLOR, lineWidth: 0.5, dash: 3 });
+            drawQR(page, tapestry.qr, x + padding, y + padding, qrBox, tapestry.colors);
+            title.draw(page, x + textX, y + 40);
+            prompt.draw(page, x + textX, y + 56);
+            emojicode.draw(page, x + textX, y + 86);
+            url.draw(page, x + CARD_WIDTH / 2, y + CARD_HEIGHT - 18);
+        }
+    }
+}
+
+/**
+ * Render a printable PDF for a tapestry
+ *
+ * @param {Object} tapestry
+ * @param {string} tapestry.title
+ * @param {string} tapestry.emojicode
+ * @param {string} tapestry.url - Alphanumeric URL, encoded in the QR code
+ * @param {string} [tapestry.svgContent] - Rendered tapestry, previewed on the poster
+ * @param {Object} [tapestry.colors] - { foreground, background } for the QR code and title
+ * @param {Object} [options]
+ * @param {string} [options.layout='poster'] - One of PRINT_LAYOUTS
+ * @param {string} [options.paper='a4'] - One of PRINT_PAPERS
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export async function renderPrintPDF(tapestry, { layout = 'poster', paper = 'a4' } = {}) {
+    const doc = new PDFDocument({ title: tapestry.title });
+    const prepared = {
+        ...tapestry,
+        colors: tapestry.colors || {},
+        qr: encodeQR(tapestry.url, { ecc: 'M' })
+    };
+
+    if (layout === 'cards') {
+        await renderCards(doc, prepared, PAPER_SIZES[paper]);
+    } else {
+        await renderPoster(doc, prepared, PAPER_SIZES[paper]);
+    }
+
+    return doc.toBuffer();
+}
+
+export default {
+    PRINT_LAYOUTS,
+    PRINT_PAPERS,
+    renderPrintPDF
+};
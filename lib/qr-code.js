@@ -0,0 +1,501 @@
+/**
+ * qr-code.js - Self-contained QR code encoder and SVG renderer
+ *
+ * Encodes text as a QR code (ISO/IEC 18004, byte mode, versions 1-40) with
+ * no dependencies, then draws it as a compact SVG: one path for all dark
+ * modules, so it prints crisply at any size and rasterizes with resvg.
+ *
+ * A center mark (e.g. an emoji) covers some modules, so marked codes are
+ * encoded at error correction level H, which can recover up to 30% damage;
+ * the mark is sized to stay well under that.
+ *
+ * Usage:
+ *   import { encodeQR, renderQRSVG } from './lib/qr-code.js';
+ *
+ *   const qr = encodeQR('https://linkitylink.example/t/02a1b2c3', { ecc: 'H' });
+ *   const svg = renderQRSVG(qr, { foreground: '#4c1d95', mark: '🔗' });
+ */
+
+import { escapeXML } from './xml-escape.js';
+
+// Error correction levels and their 2-bit format indicators
+const ECC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Error correction codewords per block, indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+// Error correction blocks, indexed by version (index 0 unused)
+const NUM_ERROR_CORRECTION_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+// Mask penalty weights
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+// Mask conditions: a module is flipped when its condition is true
+const MASK_PATTERNS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function getBit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+}
+
+/**
+ * Modules available for data and error correction in a version
+ */
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+/**
+ * Data codewords (8-bit) a version holds at an error correction level
+ */
+function getNumDataCodewords(version, ecc) {
+    return Math.floor(getNumRawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[ecc][version] * NUM_ERROR_CORRECTION_BLOCKS[ecc][version];
+}
+
+/**
+ * Product of two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ */
+function reedSolomonMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Reed-Solomon generator polynomial of a degree (coefficients high to low, leading 1 omitted)
+ */
+function reedSolomonComputeDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = reedSolomonMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = reedSolomonMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Reed-Solomon error correction codewords for a block of data
+ */
+function reedSolomonComputeRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= reedSolomonMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+/**
+ * Split data into blocks, append error correction to each and interleave them
+ */
+function addEccAndInterleave(data, version, ecc) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecc][version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[ecc][version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = reedSolomonComputeDivisor(blockEccLength);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const blockData = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+        k += blockData.length;
+        const blockEcc = reedSolomonComputeRemainder(blockData, divisor);
+        if (i < numShortBlocks) blockData.push(0);  // Placeholder so all blocks line up
+        blocks.push(blockData.concat(blockEcc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the placeholder byte of short blocks
+            if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+/**
+ * Centers of the alignment patterns for a version (same list for rows and columns)
+ */
+function getAlignmentPatternPositions(version) {
+    if (version === 1) return [];
+
+    const size = version * 4 + 17;
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = size - 7; result.length < numAlign; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+}
+
+/**
+ * Module grid under construction: values plus which modules are function patterns
+ */
+class QRGrid {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const { size } = this;
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(size - 4, 3);
+        this.drawFinderPattern(3, size - 4);
+
+        // Alignment patterns, except where they would overlap a finder
+        const positions = getAlignmentPatternPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+                if (!overlapsFinder) this.drawAlignmentPattern(x, y);
+            });
+        });
+
+        // Reserve the format areas (real bits are drawn once the mask is chosen)
+        this.drawFormatBits('L', 0);
+        this.drawVersion();
+    }
+
+    drawFinderPattern(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    drawFormatBits(ecc, mask) {
+        // 5 data bits, 10 BCH error correction bits, then the fixed XOR mask
+        const data = (ECC_FORMAT_BITS[ecc] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const { size } = this;
+
+        // First copy, around the top-left finder
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, getBit(bits, i));
+        this.setFunctionModule(8, 7, getBit(bits, 6));
+        this.setFunctionModule(8, 8, getBit(bits, 7));
+        this.setFunctionModule(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, getBit(bits, i));
+
+        // Second copy, split between the other two finders
+        for (let i = 0; i < 8; i++) this.setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, size - 15 + i, getBit(bits, i));
+        this.setFunctionModule(8, size - 8, true);  // Always dark
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+
+        // 6 data bits and 12 BCH error correction bits
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = getBit(bits, i);
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, dark);
+            this.setFunctionModule(b, a, dark);
+        }
+    }
+
+    drawCodewords(codewords) {
+        const { size } = this;
+        let i = 0;
+
+        // Zigzag up and down two-module columns from the right, skipping the vertical timing column
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const condition = MASK_PATTERNS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && condition(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Penalty score of the current module pattern (lower is easier to scan)
+     */
+    getPenaltyScore() {
+        const { size, modules } = this;
+        let result = 0;
+
+        // Runs of five or more same-colored modules, and finder-like 1:1:3:1:1 patterns
+        const finderLike = [true, false, true, true, true, false, true];
+        const scanLine = (get) => {
+            let runColor = get(0);
+            let runLength = 1;
+            for (let i = 1; i < size; i++) {
+                if (get(i) === runColor) {
+                    runLength++;
+                    if (runLength === 5) result += PENALTY_N1;
+                    else if (runLength > 5) result++;
+                } else {
+                    runColor = get(i);
+                    runLength = 1;
+                }
+            }
+
+            for (let i = 0; i + 7 <= size; i++) {
+                if (!finderLike.every((dark, k) => get(i + k) === dark)) continue;
+                const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !get(i - k));
+                const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= size || !get(i + 7 + k));
+                if (lightBefore || lightAfter) result += PENALTY_N3;
+            }
+        };
+
+        for (let y = 0; y < size; y++) scanLine(x => modules[y][x]);
+        for (let x = 0; x < size; x++) scanLine(y => modules[y][x]);
+
+        // 2x2 blocks of one color
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    result += PENALTY_N2;
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        result += Math.max(0, k) * PENALTY_N4;
+
+        return result;
+    }
+}
+
+/**
+ * Encode text as a QR code
+ *
+ * @param {string} text - Text to encode (UTF-8, byte mode)
+ * @param {Object} [options]
+ * @param {string} [options.ecc='M'] - Error correction level: L, M, Q or H
+ * @returns {{ version: number, ecc: string, size: number, modules: boolean[][] }}
+ *          modules[y][x] is true for dark modules
+ */
+export function encodeQR(text, { ecc = 'M' } = {}) {
+    if (!Object.prototype.hasOwnProperty.call(ECC_FORMAT_BITS, ecc)) {
+        throw new Error(`Unknown QR error correction level: ${ecc}`);
+    }
+
+    const bytes = Buffer.from(String(text), 'utf8');
+
+    // Smallest version that fits: 4-bit mode, 8- or 16-bit length, then the data
+    let version = 1;
+    for (; version <= 40; version++) {
+        const lengthBits = version <= 9 ? 8 : 16;
+        if (4 + lengthBits + bytes.length * 8 <= getNumDataCodewords(version, ecc) * 8) break;
+    }
+    if (version > 40) {
+        throw new Error('Text is too long for a QR code');
+    }
+
+    const capacityBits = getNumDataCodewords(version, ecc) * 8;
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    appendBits(0b0100, 4);  // Byte mode
+    appendBits(bytes.length, version <= 9 ? 8 : 16);
+    for (const byte of bytes) appendBits(byte, 8);
+
+    // Terminator, byte alignment, then alternating pad bytes
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+        appendBits(pad, 8);
+    }
+
+    const dataCodewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        dataCodewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    const grid = new QRGrid(version);
+    grid.drawFunctionPatterns();
+    grid.drawCodewords(addEccAndInterleave(dataCodewords, version, ecc));
+
+    // Try every mask and keep the one with the lowest penalty
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < MASK_PATTERNS.length; mask++) {
+        grid.applyMask(mask);
+        grid.drawFormatBits(ecc, mask);
+        const penalty = grid.getPenaltyScore();
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        grid.applyMask(mask);  // XOR again to undo
+    }
+    grid.applyMask(bestMask);
+    grid.drawFormatBits(ecc, bestMask);
+
+    return { version, ecc, size: grid.size, modules: grid.modules };
+}
+
+/**
+ * Draw an encoded QR code as SVG
+ *
+ * @param {Object} qr - Result of encodeQR
+ * @param {Object} [options]
+ * @param {string} [options.foreground='#000000'] - Dark module color
+ * @param {string} [options.background='#ffffff'] - Light module and quiet zone color
+ * @param {number} [options.margin=4] - Quiet zone, in modules
+ * @param {number} [options.moduleSize=10] - Pixels per module at the SVG's intrinsic size
+ * @param {string} [options.mark] - Text (typically one emoji) drawn over the center;
+ *                                  encode with ecc 'H' so the covered modules are recoverable
+ * @param {string} [options.title] - Accessible name
+ * @returns {string} SVG markup
+ */
+export function renderQRSVG(qr, {
+    foreground = '#000000',
+    background = '#ffffff',
+    margin = 4,
+    moduleSize = 10,
+    mark = null,
+    title = 'QR code'
+} = {}) {
+    const dimension = qr.size + margin * 2;
+    const pixels = dimension * moduleSize;
+
+    // One subpath per horizontal run of dark modules
+    const runs = [];
+    qr.modules.forEach((row, y) => {
+        for (let x = 0; x < qr.size; x++) {
+            if (!row[x]) continue;
+            let end = x;
+            while (end + 1 < qr.size && row[end + 1]) end++;
+            runs.push(`M${x + margin} ${y + margin}h${end - x + 1}v1h-${end - x + 1}z`);
+            x = end;
+        }
+    });
+
+    let markElements = '';
+    if (mark) {
+        // About 20% of the width (4% of the area), well inside level H's recovery margin
+        // Same parity as the code, so the mark covers whole modules
+        let markSize = Math.max(5, Math.round(qr.size * 0.2));
+        if ((qr.size - markSize) % 2 !== 0) markSize++;
+        const offset = margin + (qr.size - markSize) / 2;
+        const center = dimension / 2;
+        markElements = `
+    <rect x="${offset}" y="${offset}" width="${markSize}" height="${markSize}" rx="${markSize * 0.25}" fill="${escapeXML(background)}"/>
+    <text x="${center}" y="${center}" font-size="${markSize * 0.7}" text-anchor="middle" dominant-baseline="central">${escapeXML(mark)}</text>`;
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${pixels}" height="${pixels}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" role="img">
+    <title>${escapeXML(title)}</title>
+    <rect width="${dimension}" height="${dimension}" fill="${escapeXML(background)}"/>
+    <path d="${runs.join('')}" fill="${escapeXML(foreground)}"/>${markElements}
+</svg>`;
+}
+
+export default {
+    encodeQR,
+    renderQRSVG
+};
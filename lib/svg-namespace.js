@@ -0,0 +1,109 @@
+/**
+ * svg-namespace.js - Per-render namespacing for tapestry SVG
+ *
+ * Inline SVGs share the HTML document's ID space and stylesheet, so two
+ * tapestries on one page (a gallery, a carousel preview next to a live page)
+ * would resolve each other's url(#grad0) references, restyle each other's
+ * .ll-card and replace each other's @keyframes ll-twinkle. Every id, class and
+ * keyframes name in a rendered SVG gets the same prefix:
+ *
+ * - ids, and the url(#...) and href="#..." references that point at them
+ *   (references to ids the SVG doesn't define are left alone)
+ * - class attributes, and every class in the selectors of its <style> blocks
+ * - @keyframes names, and the animation / animation-name declarations that use
+ *   them, in <style> blocks and style attributes
+ *
+ * The default prefix is derived from the markup itself, so re-rendering the
+ * same tapestry yields identical SVG (stable PNG cache keys and ETags). Two
+ * copies of the same tapestry on a page share names, but also share identical
+ * definitions, so they still render correctly.
+ *
+ * Usage:
+ *   import { namespaceSVG } from './lib/svg-namespace.js';
+ *
+ *   const svg = namespaceSVG(markup);              // grad0 -> ll1a2b3c4d-grad0, .ll-card -> .ll1a2b3c4d-ll-card
+ *   const svg = namespaceSVG(markup, 'tapestry');  // grad0 -> tapestry-grad0, .ll-card -> .tapestry-ll-card
+ */
+
+import { createHash } from 'crypto';
+
+const ID_PATTERN = /(\sid=")([^"]+)"/g;
+const URL_REFERENCE_PATTERN = /url\(\s*(['"]?)#([^'")\s]+)\1\s*\)/g;
+const HREF_REFERENCE_PATTERN = /(\s(?:xlink:)?href=")#([^"]+)"/g;
+const CLASS_PATTERN = /(\sclass=")([^"]*)"/g;
+const STYLE_ELEMENT_PATTERN = /(<style\b[^>]*>)([\s\S]*?)(<\/style>)/g;
+const STYLE_ATTRIBUTE_PATTERN = /(\sstyle=")([^"]*)"/g;
+
+// The text before each "{" in a stylesheet: a selector list or an at-rule prelude
+// (escaped stylesheets hold entities like &gt;, whose ; doesn't end anything)
+const CSS_PRELUDE_PATTERN = /((?:[^{};&]|&#?\w+;|&)+)\{/g;
+// A class selector, or a quoted attribute value to leave alone
+const CSS_CLASS_SELECTOR_PATTERN = /("[^"]*"|'[^']*')|\.(-?[_a-zA-Z][\w-]*)/g;
+const KEYFRAMES_PATTERN = /@(?:-webkit-)?keyframes\s+([_a-zA-Z][\w-]*)/g;
+const ANIMATION_DECLARATION_PATTERN = /(\banimation(?:-name)?\s*:)([^;{}]*)/g;
+
+/**
+ * Content-derived prefix for an SVG
+ *
+ * @param {string} svg - SVG markup
+ * @returns {string} e.g. "ll1a2b3c4d"
+ */
+export function svgIdPrefix(svg) {
+    return 'll' + createHash('sha256').update(svg).digest('hex').substring(0, 8);
+}
+
+/**
+ * Prefix the keyframes names an animation declaration uses
+ */
+function namespaceAnimations(css, keyframes, namespaced) {
+    if (keyframes.size === 0) return css;
+
+    return css.replace(ANIMATION_DECLARATION_PATTERN, (match, property, value) =>
+        property + value.replace(/[_a-zA-Z][\w-]*/g, name => keyframes.has(name) ? namespaced(name) : name));
+}
+
+/**
+ * Prefix the classes in a stylesheet's selectors, its @keyframes and the animations using them
+ */
+function namespaceStylesheet(css, keyframes, namespaced) {
+    const prefixed = css.replace(CSS_PRELUDE_PATTERN, (match, prelude) => {
+        if (prelude.trim().startsWith('@')) {
+            return prelude.replace(KEYFRAMES_PATTERN, (rule, name) => rule.replace(name, namespaced(name))) + '{';
+        }
+        return prelude.replace(CSS_CLASS_SELECTOR_PATTERN, (selector, quoted, name) =>
+            quoted || `.${namespaced(name)}`) + '{';
+    });
+
+    return namespaceAnimations(prefixed, keyframes, namespaced);
+}
+
+/**
+ * Prefix every id, class and keyframes name in an SVG, and the references to them
+ *
+ * @param {string} svg - SVG markup
+ * @param {string} [prefix] - Namespace; defaults to svgIdPrefix(svg)
+ * @returns {string} Namespaced SVG markup
+ */
+export function namespaceSVG(svg, prefix = svgIdPrefix(svg)) {
+    const namespaced = (name) => `${prefix}-${name}`;
+    const ids = new Set(Array.from(svg.matchAll(ID_PATTERN), match => match[2]));
+    const keyframes = new Set(Array.from(svg.matchAll(KEYFRAMES_PATTERN), match => match[1]));
+
+    return svg
+        .replace(ID_PATTERN, (match, attribute, id) => `${attribute}${namespaced(id)}"`)
+        .replace(URL_REFERENCE_PATTERN, (match, quote, id) =>
+            ids.has(id) ? `url(${quote}#${namespaced(id)}${quote})` : match)
+        .replace(HREF_REFERENCE_PATTERN, (match, attribute, id) =>
+            ids.has(id) ? `${attribute}#${namespaced(id)}"` : match)
+        .replace(CLASS_PATTERN, (match, attribute, classes) =>
+            `${attribute}${classes.replace(/\S+/g, namespaced)}"`)
+        .replace(STYLE_ELEMENT_PATTERN, (match, open, css, close) =>
+            open + namespaceStylesheet(css, keyframes, namespaced) + close)
+        .replace(STYLE_ATTRIBUTE_PATTERN, (match, attribute, css) =>
+            `${attribute}${namespaceAnimations(css, keyframes, namespaced)}"`);
+}
+
+export default {
+    svgIdPrefix,
+    namespaceSVG
+};
@@ -0,0 +1,447 @@
+/**
+ * svg-sanitizer.js - Allowlist SVG Sanitizer for User-Submitted Templates
+ *
+ * Community templates can carry raw SVG fragments (see template-engine.js).
+ * Before any of that markup reaches svgContent or a rendered page it is
+ * re-serialized through a strict allowlist:
+ *
+ * - Only known SVG drawing elements survive; everything else is dropped
+ *   together with its children (<script>, <foreignObject>, <image>, ...)
+ * - Only known presentation attributes survive; on* handlers are dropped
+ * - href/xlink:href must point inside the document (#id). Link hrefs in
+ *   templates may only be the ${url} placeholder
+ * - CSS url() must point inside the document; @import, image-set() and quoted
+ *   URLs are dropped. Entities and CSS escapes are decoded first. A <style>
+ *   body is checked as a whole once its comments and CDATA sections are
+ *   joined up, so splitting "@import" or "url(" across them doesn't help
+ * - <animate> may only target presentation attributes (ANIMATABLE_ATTRIBUTES),
+ *   and its values, from, to and by may not hold a URL scheme
+ * - Comments, DOCTYPEs and processing instructions are dropped
+ *
+ * Every removal is reported so moderators can see what was stripped.
+ *
+ * Usage:
+ *   import { sanitizeSVG, sanitizeTemplateSpec } from './lib/svg-sanitizer.js';
+ *
+ *   const { svg, removed } = sanitizeSVG(markup);
+ *   const { spec, removed } = sanitizeTemplateSpec(template);
+ */
+
+// Allowed elements (canonical SVG casing)
+const ALLOWED_ELEMENTS = [
+    'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'a', 'style',
+    'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path',
+    'text', 'tspan', 'textPath',
+    'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask', 'marker',
+    'filter', 'feGaussianBlur', 'feMerge', 'feMergeNode', 'feOffset', 'feFlood',
+    'feComposite', 'feColorMatrix', 'feBlend', 'feDropShadow', 'feMorphology',
+    'feTurbulence', 'feDisplacementMap', 'feComponentTransfer', 'feFuncR', 'feFuncG',
+    'feFuncB', 'feFuncA',
+    'animate', 'animateTransform'
+];
+
+// Allowed attributes (canonical casing)
+const ALLOWED_ATTRIBUTES = [
+    'id', 'class', 'style', 'transform', 'role', 'aria-label', 'aria-hidden', 'tabindex', 'focusable',
+    'xmlns', 'xmlns:xlink', 'version', 'viewBox', 'preserveAspectRatio',
+    'x', 'y', 'width', 'height', 'rx', 'ry', 'cx', 'cy', 'r', 'fx', 'fy', 'fr',
+    'x1', 'y1', 'x2', 'y2', 'd', 'points', 'pathLength',
+    'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+    'stroke-linecap', 'stroke-linejoin', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-miterlimit',
+    'opacity', 'color', 'display', 'visibility', 'overflow', 'paint-order', 'vector-effect',
+    'shape-rendering', 'text-rendering', 'mix-blend-mode',
+    'offset', 'stop-color', 'stop-opacity', 'gradientUnits', 'gradientTransform', 'spreadMethod',
+    'patternUnits', 'patternContentUnits', 'patternTransform',
+    'clip-path', 'clipPathUnits', 'clip-rule', 'mask', 'maskUnits', 'maskContentUnits',
+    'marker-start', 'marker-mid', 'marker-end', 'markerWidth', 'markerHeight', 'markerUnits',
+    'refX', 'refY', 'orient',
+    'filter', 'filterUnits', 'primitiveUnits', 'in', 'in2', 'result', 'stdDeviation',
+    'dx', 'dy', 'mode', 'operator', 'k1', 'k2', 'k3', 'k4', 'values', 'type',
+    'flood-color', 'flood-opacity', 'lighting-color', 'radius', 'scale',
+    'baseFrequency', 'numOctaves', 'seed', 'stitchTiles', 'xChannelSelector', 'yChannelSelector',
+    'tableValues', 'slope', 'intercept', 'amplitude', 'exponent',
+    'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline',
+    'alignment-baseline', 'letter-spacing', 'word-spacing', 'text-decoration', 'textLength',
+    'lengthAdjust', 'rotate', 'startOffset', 'xml:space', 'direction', 'unicode-bidi',
+    'href', 'xlink:href', 'target', 'media',
+    'attributeName', 'attributeType', 'begin', 'dur', 'end', 'repeatCount', 'repeatDur',
+    'from', 'to', 'by', 'keyTimes', 'keySplines', 'calcMode', 'additive', 'accumulate', 'restart'
+];
+
+const ELEMENT_LOOKUP = new Map(ALLOWED_ELEMENTS.map(name => [name.toLowerCase(), name]));
+const ATTRIBUTE_LOOKUP = new Map(ALLOWED_ATTRIBUTES.map(name => [name.toLowerCase(), name]));
+
+// Attributes whose values may contain url(...) references (animation values can set any of the others)
+const URL_REFERENCE_ATTRIBUTES = new Set([
+    'fill', 'stroke', 'filter', 'clip-path', 'mask', 'marker-start', 'marker-mid', 'marker-end', 'style',
+    'values', 'from', 'to', 'by'
+]);
+
+// Animation values, which must not carry a scheme (javascript:, https:, ...) whatever they animate
+const ANIMATION_VALUE_ATTRIBUTES = new Set(['values', 'from', 'to', 'by']);
+
+// What <animate> and <animateTransform> may target - geometry and paint, never links or handlers
+const ANIMATABLE_ATTRIBUTES = new Map([
+    'transform', 'gradientTransform', 'patternTransform',
+    'opacity', 'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+    'stroke-dasharray', 'stroke-dashoffset', 'stop-color', 'stop-opacity', 'offset',
+    'flood-color', 'flood-opacity', 'color', 'visibility', 'display',
+    'x', 'y', 'width', 'height', 'cx', 'cy', 'r', 'rx', 'ry', 'x1', 'y1', 'x2', 'y2',
+    'd', 'points', 'dx', 'dy', 'stdDeviation', 'baseFrequency', 'scale', 'startOffset',
+    'font-size', 'letter-spacing'
+].map(name => [name.toLowerCase(), name]));
+
+// Placeholders the template engine substitutes with a safe link URL
+const LINK_URL_PLACEHOLDER = /^\$\{\s*url\s*\}$/;
+
+// Tokens: comment, CDATA, DOCTYPE (with internal subset), declaration/PI, end tag, start tag
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[([\s\S]*?)(?:\]\]>|$)|<!DOCTYPE[^[>]*(?:\[[\s\S]*?\]\s*)?(?:>|$)|<[!?][\s\S]*?(?:>|$)|<\/\s*([^\s>]+)\s*>|<([a-zA-Z][^\s/>]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+/**
+ * Decode the entities an attacker could use to hide a scheme (e.g. &#106;avascript:)
+ */
+function decodeEntities(value) {
+    return value
+        .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&colon;/gi, ':')
+        .replace(/&tab;/gi, '\t')
+        .replace(/&newline;/gi, '\n')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&quot;/gi, '"')
+        .replace(/&apos;/gi, "'")
+        .replace(/&amp;/gi, '&');
+}
+
+/**
+ * Escape a value for a double-quoted attribute
+ */
+function escapeAttribute(value) {
+    return value
+        .replace(/&(?!#?[a-zA-Z0-9]+;)/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text content (keeps existing entities)
+ */
+function escapeText(value) {
+    return value
+        .replace(/&(?!#?[a-zA-Z0-9]+;)/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Decode CSS escapes (\75 rl, \u rl) the way a browser's tokenizer would
+ */
+function decodeCSSEscapes(css) {
+    return css.replace(/\\(?:([0-9a-f]{1,6})[ \t\n\r\f]?|(\r\n|[\s\S]))/gi, (_, hex, char) => {
+        if (hex) {
+            const codePoint = parseInt(hex, 16);
+            return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '\ufffd';
+        }
+        // An escaped newline is a line continuation
+        return /^[\r\n\f]/.test(char) ? '' : char;
+    });
+}
+
+/**
+ * Strip what a browser ignores inside a scheme or function name (whitespace, control characters)
+ */
+function compactForSchemeTest(value) {
+    return value.replace(/[\s\u0000-\u001f\u007f]/g, '');
+}
+
+/**
+ * Check a CSS string for off-document references
+ * @returns {string|null} Reason it is unsafe, or null if safe
+ */
+function findUnsafeCSS(css) {
+    const decoded = decodeCSSEscapes(decodeEntities(css).replace(/\/\*[\s\S]*?(?:\*\/|$)/g, ''));
+    const compact = compactForSchemeTest(decoded);
+
+    if (/@import/i.test(compact)) {
+        return 'CSS @import';
+    }
+
+    if (/expression\(|javascript:|vbscript:|behavior:|-moz-binding/i.test(compact)) {
+        return 'scriptable CSS';
+    }
+
+    if (/image-set\(/i.test(compact)) {
+        return 'CSS image-set()';
+    }
+
+    for (const match of compact.matchAll(/url\((['"]?)(.*?)\1\)/gi)) {
+        if (!match[2].startsWith('#')) {
+            return `CSS url(${match[2].substring(0, 60)})`;
+        }
+    }
+
+    // Quoted URLs outside url() (src: "...", image(...)) are fetched too
+    const quotedURL = compact.match(/(['"])(?:[a-z][a-z0-9+.-]*:|\/\/)[^'"]*/i);
+    if (quotedURL) {
+        return `CSS string URL ${quotedURL[0].substring(1, 61)}`;
+    }
+
+    return null;
+}
+
+/**
+ * Check an animation value (values, from, to, by) for a URL scheme
+ * @returns {string|null} Reason it is unsafe, or null if safe
+ */
+function findUnsafeAnimationValue(value) {
+    const scheme = compactForSchemeTest(decodeCSSEscapes(decodeEntities(value))).match(/[a-z][a-z0-9+.-]*:/i);
+    return scheme ? `animation value with ${scheme[0]}` : null;
+}
+
+/**
+ * Check an href for the element it sits on
+ * @returns {string|null} Reason it is unsafe, or null if safe
+ */
+function findUnsafeHref(elementName, value) {
+    const decoded = compactForSchemeTest(decodeEntities(value));
+
+    if (decoded.startsWith('#')) {
+        return null;
+    }
+
+    if (elementName === 'a' && LINK_URL_PLACEHOLDER.test(decoded)) {
+        return null;
+    }
+
+    return `external href ${decoded.substring(0, 60)}`;
+}
+
+/**
+ * Sanitize an SVG fragment against the allowlist
+ *
+ * @param {string} markup - SVG markup
+ * @returns {{ svg: string, removed: Array<{ type: string, name: string, element?: string, reason: string }> }}
+ */
+export function sanitizeSVG(markup) {
+    const removed = [];
+    const output = [];
+    const openElements = [];
+    let skipping = null; // { name, depth } while dropping a disallowed subtree
+    let styleText = null; // text pieces of the open <style>, checked together when it closes
+    let lastIndex = 0;
+
+    const source = String(markup || '');
+
+    const emitText = (text) => {
+        if (skipping || text.length === 0) return;
+        if (styleText) {
+            styleText.push(text);
+            return;
+        }
+        output.push(escapeText(text));
+    };
+
+    const closeElement = () => {
+        const name = openElements.pop();
+        if (name === 'style') {
+            const css = styleText.join('');
+            styleText = null;
+            const unsafe = findUnsafeCSS(css);
+            if (unsafe) {
+                removed.push({ type: 'css', name: 'style', element: 'style', reason: unsafe });
+            } else {
+                output.push(escapeText(css));
+            }
+        }
+        output.push(`</${name}>`);
+    };
+
+    for (const match of source.matchAll(TOKEN_PATTERN)) {
+        emitText(source.substring(lastIndex, match.index));
+        lastIndex = match.index + match[0].length;
+
+        const [token, cdata, endName, startName, rawAttributes, selfClosing] = match;
+
+        // End tag
+        if (endName !== undefined) {
+            if (skipping) {
+                if (endName.toLowerCase() === skipping.name) {
+                    skipping.depth--;
+                    if (skipping.depth === 0) skipping = null;
+                }
+                continue;
+            }
+
+            const canonical = ELEMENT_LOOKUP.get(endName.toLowerCase());
+            const openIndex = openElements.lastIndexOf(canonical);
+            if (openIndex !== -1) {
+                while (openElements.length > openIndex) {
+                    closeElement();
+                }
+            }
+            continue;
+        }
+
+        // Start tag
+        if (startName !== undefined) {
+            const lowerName = startName.toLowerCase();
+
+            if (skipping) {
+                if (lowerName === skipping.name && !selfClosing) skipping.depth++;
+                continue;
+            }
+
+            const canonical = ELEMENT_LOOKUP.get(lowerName);
+            if (!canonical || styleText) {
+                removed.push({ type: 'element', name: startName, reason: styleText ? 'element inside <style>' : 'element not allowed' });
+                if (!selfClosing) skipping = { name: lowerName, depth: 1 };
+                continue;
+            }
+
+            const attributes = sanitizeAttributes(canonical, rawAttributes || '', removed);
+            if (attributes === null) {
+                // Element carried something we refuse to keep at all (e.g. animating href)
+                if (!selfClosing) skipping = { name: lowerName, depth: 1 };
+                continue;
+            }
+
+            const attributeString = attributes.map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+            if (selfClosing) {
+                output.push(`<${canonical}${attributeString}/>`);
+            } else {
+                output.push(`<${canonical}${attributeString}>`);
+                openElements.push(canonical);
+                if (canonical === 'style') styleText = [];
+            }
+            continue;
+        }
+
+        // CDATA - keep contents as escaped text
+        if (cdata !== undefined) {
+            emitText(cdata);
+            continue;
+        }
+
+        // Comments, declarations and PIs are dropped and reported
+        if (!skipping) {
+            removed.push(token.startsWith('<!--')
+                ? { type: 'declaration', name: token.substring(0, 40), reason: 'comment not allowed' }
+                : { type: 'declaration', name: token.substring(0, 40), reason: 'DOCTYPE/processing instruction not allowed' });
+        }
+    }
+
+    emitText(source.substring(lastIndex));
+
+    while (openElements.length > 0) {
+        closeElement();
+    }
+
+    return { svg: output.join(''), removed };
+}
+
+/**
+ * Filter attributes of an allowed element
+ * @returns {Array<[string, string]>|null} Kept attributes, or null to drop the element
+ */
+function sanitizeAttributes(elementName, rawAttributes, removed) {
+    const kept = [];
+
+    for (const match of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+        const rawName = match[1];
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        const lowerName = rawName.toLowerCase();
+
+        if (lowerName.startsWith('on')) {
+            removed.push({ type: 'attribute', name: rawName, element: elementName, reason: 'event handler' });
+            continue;
+        }
+
+        const canonical = ATTRIBUTE_LOOKUP.get(lowerName);
+        if (!canonical) {
+            removed.push({ type: 'attribute', name: rawName, element: elementName, reason: 'attribute not allowed' });
+            continue;
+        }
+
+        if (canonical === 'href' || canonical === 'xlink:href') {
+            const unsafe = findUnsafeHref(elementName, value);
+            if (unsafe) {
+                removed.push({ type: 'attribute', name: rawName, element: elementName, reason: unsafe });
+                continue;
+            }
+        }
+
+        if (canonical === 'attributeName') {
+            const target = ANIMATABLE_ATTRIBUTES.get(decodeEntities(value).trim().toLowerCase());
+            if (!target) {
+                removed.push({ type: 'element', name: elementName, reason: `animates ${decodeEntities(value).trim().substring(0, 40)}` });
+                return null;
+            }
+            kept.push([canonical, target]);
+            continue;
+        }
+
+        if (ANIMATION_VALUE_ATTRIBUTES.has(canonical)) {
+            const unsafe = findUnsafeAnimationValue(value);
+            if (unsafe) {
+                removed.push({ type: 'attribute', name: rawName, element: elementName, reason: unsafe });
+                continue;
+            }
+        }
+
+        if (URL_REFERENCE_ATTRIBUTES.has(canonical)) {
+            const unsafe = findUnsafeCSS(value);
+            if (unsafe) {
+                removed.push({ type: 'attribute', name: rawName, element: elementName, reason: unsafe });
+                continue;
+            }
+        }
+
+        kept.push([canonical, value]);
+    }
+
+    return kept;
+}
+
+/**
+ * Sanitize the SVG fragments of a template spec
+ *
+ * @param {Object} spec - Template spec with background and linkTemplate
+ * @returns {{ spec: Object, removed: Array<Object> }} Copy of the spec with sanitized fragments
+ */
+export function sanitizeTemplateSpec(spec) {
+    const background = sanitizeSVG(spec.background);
+    const linkTemplate = sanitizeSVG(spec.linkTemplate);
+
+    return {
+        spec: { ...spec, background: background.svg, linkTemplate: linkTemplate.svg },
+        removed: [
+            ...background.removed.map(entry => ({ ...entry, fragment: 'background' })),
+            ...linkTemplate.removed.map(entry => ({ ...entry, fragment: 'linkTemplate' }))
+        ]
+    };
+}
+
+/**
+ * Summarize a removal report as short human-readable lines
+ *
+ * @param {Array<Object>} removed - Report from sanitizeSVG/sanitizeTemplateSpec
+ * @returns {string[]}
+ */
+export function summarizeRemovals(removed) {
+    return removed.map(entry => {
+        const where = entry.fragment ? `${entry.fragment}: ` : '';
+        let target = `<${entry.name}>`;
+        if (entry.type === 'attribute') target = `${entry.name} on <${entry.element}>`;
+        if (entry.type === 'declaration') target = entry.name;
+        return `${where}${target} (${entry.reason})`;
+    });
+}
+
+export default {
+    sanitizeSVG,
+    sanitizeTemplateSpec,
+    summarizeRemovals
+};
@@ -0,0 +1,134 @@
+/**
+ * tapestry-document.js - The public JSON form of a tapestry
+ *
+ * What /api/v1/tapestries/:id returns, and what /t/:identifier, /@handle and
+ * /view/:emojicode return for Accept: application/json. Integrators build on
+ * these fields, so they only change with a new apiVersion: fields may be added,
+ * but none are renamed, retyped or dropped within a version. Fields that don't
+ * apply are null rather than missing.
+ *
+ *   apiVersion   1
+ *   emojicode    The tapestry's emojicode - its permanent id on the BDO service
+ *   identifier   Alphanumeric identifier for /t/:identifier, or null when this
+ *                server has no mapping for the tapestry
+ *   handle       Vanity handle for /@handle (without the @), or null
+ *   title        Title shown on the page ("My Links" when the creator gave none)
+ *   profile      { header, bio, avatar } - each a string or null; avatar is a data: URI
+ *   links        Every regular link, in page order (pages show at most 100):
+ *                { title, url, group } - group is the link's group name, or null
+ *   socialLinks  Links shown as icons under the tapestry: { title, url }
+ *   groups       Group names in page order, with how many links each holds:
+ *                { name, linkCount }
+ *   template     { name, source, emojicode } - source is 'built-in' or 'community',
+ *                emojicode is set for community templates; null for the default palette
+ *   theme        'dark', 'light' or 'auto'
+ *   layout       'auto', 'compact', 'grid', 'dense', 'paged', 'list', 'masonry' or 'glyph'
+ *   particles    'subtle', 'none', 'snow' or 'fireflies'
+ *   createdAt    ISO 8601 time the tapestry was created, or null if unknown
+ *   updatedAt    ISO 8601 time its BDO last changed (createdAt until it is edited)
+ *   urls         { page, image, embed } - absolute URLs of the page (preferring
+ *                /@handle, then /t/:identifier, then /view/:emojicode), its share
+ *                image and its iframe embed
+ *
+ * Usage:
+ *   import { buildTapestryDocument } from './lib/tapestry-document.js';
+ *
+ *   res.json(buildTapestryDocument({ emojicode, bdoData, profile, settings, identifier, handle, urls }));
+ */
+
+export const TAPESTRY_API_VERSION = 1;
+
+/**
+ * A string field, or null when it is missing or empty
+ */
+function stringOrNull(value) {
+    return typeof value === 'string' && value !== '' ? value : null;
+}
+
+/**
+ * ISO 8601 form of a stored timestamp (BDOs keep strings, mappings may keep Dates)
+ */
+function isoOrNull(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Group names in the order their first link appears, with link counts
+ */
+function collectGroups(links) {
+    const counts = new Map();
+    for (const link of links) {
+        if (link.group) {
+            counts.set(link.group, (counts.get(link.group) || 0) + 1);
+        }
+    }
+    return [...counts].map(([name, linkCount]) => ({ name, linkCount }));
+}
+
+/**
+ * Build the public JSON document for a tapestry
+ *
+ * @param {Object} tapestry
+ * @param {string} tapestry.emojicode
+ * @param {Object} tapestry.bdoData - The tapestry BDO
+ * @param {Object} tapestry.profile - Validated { header?, bio?, avatar? }
+ * @param {{ theme: string, layout: string, particles: string }} tapestry.settings - Normalized display settings
+ * @param {string|null} tapestry.identifier
+ * @param {string|null} tapestry.handle
+ * @param {{ page: string, image: string, embed: string }} tapestry.urls
+ * @param {string|Date} [tapestry.createdAt] - Fallback for BDOs without their own createdAt
+ * @returns {Object}
+ */
+export function buildTapestryDocument({ emojicode, bdoData, profile, settings, identifier, handle, urls, createdAt }) {
+    const allLinks = (Array.isArray(bdoData.links) ? bdoData.links : [])
+        .filter(link => link && typeof link === 'object');
+    const links = allLinks
+        .filter(link => !link.isSocial)
+        .map(link => ({
+            title: stringOrNull(link.title),
+            url: stringOrNull(link.url),
+            group: stringOrNull(link.group)
+        }));
+    const template = bdoData.template && typeof bdoData.template === 'object' ? bdoData.template : null;
+    const created = isoOrNull(bdoData.createdAt) || isoOrNull(createdAt);
+
+    return {
+        apiVersion: TAPESTRY_API_VERSION,
+        emojicode,
+        identifier: identifier || null,
+        handle: handle || null,
+        title: stringOrNull(bdoData.title) || stringOrNull(bdoData.name) || 'My Links',
+        profile: {
+            header: stringOrNull(profile.header),
+            bio: stringOrNull(profile.bio),
+            avatar: stringOrNull(profile.avatar)
+        },
+        links,
+        socialLinks: allLinks
+            .filter(link => link.isSocial)
+            .map(link => ({ title: stringOrNull(link.title), url: stringOrNull(link.url) })),
+        groups: collectGroups(links),
+        template: template ? {
+            name: stringOrNull(template.name),
+            source: stringOrNull(template.source),
+            emojicode: stringOrNull(template.emojicode)
+        } : null,
+        theme: settings.theme,
+        layout: settings.layout,
+        particles: settings.particles,
+        createdAt: created,
+        updatedAt: isoOrNull(bdoData.updatedAt) || created,
+        urls: {
+            page: urls.page,
+            image: urls.image,
+            embed: urls.embed
+        }
+    };
+}
+
+export default {
+    TAPESTRY_API_VERSION,
+    buildTapestryDocument
+};
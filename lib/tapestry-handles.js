@@ -0,0 +1,205 @@
+/**
+ * tapestry-handles.js - Vanity handles for tapestries (/@handle, /u/handle)
+ *
+ * A handle is a short, memorable name a tapestry's owner claims instead of
+ * sharing its pubKey identifier. Handles are canonicalized (NFKC, lowercased)
+ * before anything else looks at them, and what remains must be 3-30 of a-z,
+ * 0-9, - and _. Claims, lookups and links all use this exact canonical handle.
+ *
+ * Two handles that read alike - "jane-doe", "jane_doe", "janedoe", "jane_d0e" -
+ * share a skeleton, and only one tapestry may hold a skeleton at a time, so
+ * nobody can claim a lookalike of a taken handle. Route names and
+ * staff-sounding words are reserved the same way, so "adm1n" is as unavailable
+ * as "admin". Skeletons only ever reject claims: "/@janedoe" doesn't open
+ * "@jane_doe".
+ *
+ * Usage:
+ *   import { HandleRegistry, validateHandle } from './lib/tapestry-handles.js';
+ *
+ *   const handles = new HandleRegistry();
+ *
+ *   validateHandle('Jane_Doe');         // { handle: 'jane_doe' }
+ *   handles.claim('Jane_Doe', pubKey);  // { handle: 'jane_doe' } or { status: 409, error }
+ *   handles.lookup('JANE_DOE');         // pubKey
+ *   handles.lookup('janedoe');          // null - lookalikes resolve to nothing
+ *   handles.isAvailable('janedoe');     // false - and can't be claimed either
+ *   handles.release(pubKey);            // 'jane_doe', free for anyone again
+ */
+
+export const HANDLE_MIN_LENGTH = 3;
+export const HANDLE_MAX_LENGTH = 30;
+
+const HANDLE_PATTERN = /^[a-z0-9](?:[a-z0-9_-]*[a-z0-9])?$/;
+
+// Site routes, and names that would pass for Linkitylink or Planet Nine speaking
+export const RESERVED_HANDLES = [
+    'about', 'admin', 'administrator', 'api', 'app', 'create', 'embed', 'handles', 'handoff',
+    'help', 'linkitylink', 'glyphenge', 'login', 'logout', 'magic', 'me', 'moderate',
+    'moderator', 'my-tapestries', 'new', 'null', 'oembed', 'official', 'planet-nine',
+    'allyabase', 'root', 'settings', 'signup', 'staff', 'support', 'system', 'tapestry',
+    'template', 'templates', 'undefined', 'view', 'www'
+];
+
+// Digits and letters that pass for one another in a URL bar (1, i and l all read as l)
+const CONFUSABLE_SEQUENCES = [
+    [/0/g, 'o'],
+    [/[1i]/g, 'l'],
+    [/rn/g, 'm'],
+    [/vv/g, 'w']
+];
+
+/**
+ * The canonical spelling of a handle: NFKC-normalized and lowercased
+ * A leading @ is dropped, so "@Jane" and "jane" are the same handle.
+ * @returns {string} Canonical handle (not yet checked against the allowed format)
+ */
+export function canonicalizeHandle(value) {
+    return String(value)
+        .trim()
+        .replace(/^@/, '')
+        .normalize('NFKC')
+        .toLowerCase();
+}
+
+/**
+ * The form two handles share when they read alike: separators dropped and
+ * lookalike digits and letter pairs folded together
+ *
+ * Handles are ASCII by the time this sees them (validateHandle), so there are
+ * no accents or other scripts to fold. Only for refusing lookalike claims -
+ * never for finding a handle's tapestry.
+ */
+export function handleSkeleton(handle) {
+    const folded = canonicalizeHandle(handle).replace(/[-_]/g, '');
+
+    return CONFUSABLE_SEQUENCES.reduce(
+        (skeleton, [pattern, replacement]) => skeleton.replace(pattern, replacement),
+        folded
+    );
+}
+
+const RESERVED_SKELETONS = new Set(RESERVED_HANDLES.map(handleSkeleton));
+
+/**
+ * Check a requested handle and canonicalize it
+ * @returns {{ handle: string } | { error: string }}
+ */
+export function validateHandle(value) {
+    if (typeof value !== 'string') {
+        return { error: 'handle must be a string' };
+    }
+
+    const handle = canonicalizeHandle(value);
+    if (handle.length < HANDLE_MIN_LENGTH || handle.length > HANDLE_MAX_LENGTH) {
+        return { error: `Handles are ${HANDLE_MIN_LENGTH} to ${HANDLE_MAX_LENGTH} characters` };
+    }
+    if (!HANDLE_PATTERN.test(handle)) {
+        return { error: 'Handles use a-z, 0-9, - and _, and start and end with a letter or number' };
+    }
+    if (RESERVED_SKELETONS.has(handleSkeleton(handle))) {
+        return { error: `@${handle} is reserved` };
+    }
+
+    return { handle };
+}
+
+export class HandleRegistry {
+    constructor() {
+        // handle -> pubKey for lookups; skeleton -> { handle, pubKey } and each holder's
+        // skeleton for refusing lookalike claims
+        this.pubKeys = new Map();
+        this.holders = new Map();
+        this.skeletons = new Map();
+    }
+
+    get size() {
+        return this.holders.size;
+    }
+
+    /**
+     * pubKey of the tapestry holding exactly this (canonical) handle
+     * @returns {string|null}
+     */
+    lookup(value) {
+        return this.pubKeys.get(canonicalizeHandle(value)) || null;
+    }
+
+    /**
+     * The handle a tapestry holds
+     * @returns {string|null}
+     */
+    handleFor(pubKey) {
+        const skeleton = this.skeletons.get(pubKey);
+        return skeleton ? this.holders.get(skeleton).handle : null;
+    }
+
+    /**
+     * Why pubKey couldn't claim a handle - another tapestry holds it or a lookalike
+     * @returns {string|null} The reason, or null if the handle is free (or already pubKey's)
+     */
+    conflict(value, pubKey = null) {
+        const handle = canonicalizeHandle(value);
+        const holder = this.holders.get(handleSkeleton(handle));
+        if (!holder || holder.pubKey === pubKey) {
+            return null;
+        }
+        return holder.handle === handle ? `@${handle} is taken` : `@${handle} is too close to @${holder.handle}, which is taken`;
+    }
+
+    /**
+     * Whether a handle could be claimed - free, or already held by pubKey
+     */
+    isAvailable(value, pubKey = null) {
+        return this.conflict(value, pubKey) === null;
+    }
+
+    /**
+     * Claim a handle for a tapestry, releasing the one it held before
+     * @returns {{ handle: string } | { status: number, error: string }}
+     */
+    claim(value, pubKey) {
+        const { handle, error } = validateHandle(value);
+        if (error) {
+            return { status: 400, error };
+        }
+
+        const conflict = this.conflict(handle, pubKey);
+        if (conflict) {
+            return { status: 409, error: conflict };
+        }
+
+        const skeleton = handleSkeleton(handle);
+        this.release(pubKey);
+        this.pubKeys.set(handle, pubKey);
+        this.holders.set(skeleton, { handle, pubKey });
+        this.skeletons.set(pubKey, skeleton);
+        return { handle };
+    }
+
+    /**
+     * Free a tapestry's handle for anyone to claim
+     * @returns {string|null} The released handle
+     */
+    release(pubKey) {
+        const skeleton = this.skeletons.get(pubKey);
+        if (!skeleton) {
+            return null;
+        }
+
+        const { handle } = this.holders.get(skeleton);
+        this.pubKeys.delete(handle);
+        this.holders.delete(skeleton);
+        this.skeletons.delete(pubKey);
+        return handle;
+    }
+}
+
+export default {
+    HANDLE_MIN_LENGTH,
+    HANDLE_MAX_LENGTH,
+    RESERVED_HANDLES,
+    canonicalizeHandle,
+    handleSkeleton,
+    validateHandle,
+    HandleRegistry
+};
@@ -0,0 +1,311 @@
+/**
+ * tapestry-resolver.js - Fetch tapestry BDOs and classify why a lookup failed
+ *
+ * Every route that shows a tapestry goes through here, so they all agree on
+ * what a missing tapestry looks like:
+ *
+ *   ambiguous     (300) - the identifier is a prefix of several tapestries' pubKeys
+ *   malformed     (400) - the emojicode or identifier can't be one
+ *   notFound      (404) - well-formed, but no tapestry has it
+ *   upstreamError (502) - the BDO service answered with an error
+ *   unavailable   (503) - the BDO service couldn't be reached
+ *
+ * Failures are returned, not thrown, as { status, reason, error } - reason
+ * picks a localized message ('error.<reason>') for HTML pages, error is the
+ * English text for JSON responses.
+ *
+ * Fetched BDOs are cached in memory by emojicode (least recently used evicted
+ * first). For a minute a cached tapestry is served as is. For the next ten it is
+ * still served at once while one background fetch refreshes it. After that it is
+ * fetched again, but if the BDO service fails, the cached copy (up to a day
+ * old) is served instead of an error page. Concurrent fetches of the same
+ * emojicode share one request.
+ *
+ * Usage:
+ *   import { configureTapestryBdoLib, fetchTapestryBDO } from './lib/tapestry-resolver.js';
+ *
+ *   configureTapestryBdoLib(bdoLib);
+ *
+ *   const result = await fetchTapestryBDO(emojicode);
+ *   if (result.reason) {
+ *       return res.status(result.status).json({ error: result.error });
+ *   }
+ *   const { bdoData } = result;
+ *
+ *   getTapestryCacheStats();   // { entries, bytes, lookups, hits, staleHits, misses, staleOnError, hitRate, ... }
+ */
+
+import { MIN_IDENTIFIER_LENGTH } from './identifier-index.js';
+
+export const TAPESTRY_LOOKUP_ERRORS = {
+    ambiguous: { status: 300, error: 'Identifier matches more than one tapestry' },
+    malformed: { status: 400, error: 'Not a valid tapestry identifier' },
+    notFound: { status: 404, error: 'Tapestry not found' },
+    upstreamError: { status: 502, error: 'The tapestry service returned an error' },
+    unavailable: { status: 503, error: 'The tapestry service is unavailable' }
+};
+
+// Alphanumeric identifiers are prefixes of a BDO's compressed secp256k1 pubKey
+const PUBKEY_LENGTH = 66;
+
+// Longest emojicode accepted, in code points (8 emoji with modifiers and joiners fit easily)
+const MAX_EMOJICODE_CODE_POINTS = 64;
+
+// BDO cache timing: served as is, then served while refreshing, then kept only as an error fallback
+const CACHE_TTL = 60 * 1000;
+const CACHE_STALE_WHILE_REVALIDATE = 10 * 60 * 1000;
+const CACHE_STALE_IF_ERROR = 24 * 60 * 60 * 1000;
+
+// Cache limits (least recently used entries are evicted first)
+const MAX_CACHE_ENTRIES = 500;
+const MAX_CACHE_BYTES = 32 * 1024 * 1024;
+
+// emojicode -> { bdoData, bytes, fetchedAt }, in least-recently-used order
+const bdoCache = new Map();
+let bdoCacheBytes = 0;
+
+// emojicode -> Promise of the fetch in flight, shared by concurrent lookups
+const pendingFetches = new Map();
+
+// Counters for getTapestryCacheStats
+const cacheCounters = {
+    hits: 0,
+    staleHits: 0,
+    misses: 0,
+    staleOnError: 0,
+    revalidations: 0,
+    evictions: 0
+};
+
+// BDO library reference (set via configureTapestryBdoLib)
+let bdoLibInstance = null;
+
+/**
+ * Configure the bdo-js library instance
+ * Must be called before using fetchTapestryBDO
+ * @param {Object} bdoLib - The bdo-js library instance
+ */
+export function configureTapestryBdoLib(bdoLib) {
+    bdoLibInstance = bdoLib;
+}
+
+/**
+ * Build a lookup failure
+ * @param {string} reason - Key of TAPESTRY_LOOKUP_ERRORS
+ * @param {string} [error] - English message, defaults to the reason's
+ * @returns {{ status: number, reason: string, error: string }}
+ */
+export function tapestryLookupError(reason, error) {
+    const { status, error: defaultError } = TAPESTRY_LOOKUP_ERRORS[reason];
+    return { status, reason, error: error || defaultError };
+}
+
+/**
+ * Check that a value could be an emojicode: emoji only (with their modifiers,
+ * joiners and variation selectors), at least one of them pictographic
+ */
+export function isWellFormedEmojicode(value) {
+    return typeof value === 'string' &&
+        [...value].length <= MAX_EMOJICODE_CODE_POINTS &&
+        /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u.test(value) &&
+        /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(value);
+}
+
+/**
+ * Check that a value could be an alphanumeric identifier (a hex pubKey prefix
+ * of at least MIN_IDENTIFIER_LENGTH characters)
+ */
+export function isWellFormedIdentifier(value) {
+    return typeof value === 'string' &&
+        value.length >= MIN_IDENTIFIER_LENGTH &&
+        value.length <= PUBKEY_LENGTH &&
+        /^[0-9a-f]+$/i.test(value);
+}
+
+/**
+ * Classify a failed getBDOByEmojicode call
+ * Errors carrying an HTTP status came from the service; anything else (refused
+ * connections, DNS, timeouts) means it couldn't be reached.
+ */
+function classifyFetchError(error) {
+    const status = error.status || error.statusCode || (error.response && error.response.status);
+
+    // The service rejecting the emojicode (404, or another 4xx) means there's no such tapestry
+    if ((status >= 400 && status < 500) || /not found/i.test(error.message || '')) {
+        return tapestryLookupError('notFound');
+    }
+    if (status) {
+        return tapestryLookupError('upstreamError', `The tapestry service returned ${status}`);
+    }
+    return tapestryLookupError('unavailable');
+}
+
+/**
+ * Remove a cached BDO
+ */
+function forgetCachedBDO(emojicode) {
+    const entry = bdoCache.get(emojicode);
+    if (entry) {
+        bdoCache.delete(emojicode);
+        bdoCacheBytes -= entry.bytes;
+    }
+}
+
+/**
+ * Cache a freshly fetched BDO, evicting the least recently used past the limits
+ */
+function cacheBDO(emojicode, bdoData) {
+    forgetCachedBDO(emojicode);
+
+    const bytes = JSON.stringify(bdoData).length;
+    if (bytes > MAX_CACHE_BYTES) {
+        return;
+    }
+
+    bdoCache.set(emojicode, { bdoData, bytes, fetchedAt: Date.now() });
+    bdoCacheBytes += bytes;
+
+    while (bdoCache.size > MAX_CACHE_ENTRIES || bdoCacheBytes > MAX_CACHE_BYTES) {
+        forgetCachedBDO(bdoCache.keys().next().value);
+        cacheCounters.evictions++;
+    }
+}
+
+/**
+ * Look up a cached BDO, marking it most recently used
+ * @returns {{ bdoData: Object, bytes: number, fetchedAt: number }|undefined}
+ */
+function getCachedBDO(emojicode) {
+    const entry = bdoCache.get(emojicode);
+    if (entry) {
+        bdoCache.delete(emojicode);
+        bdoCache.set(emojicode, entry);
+    }
+    return entry;
+}
+
+/**
+ * Fetch a tapestry BDO from the BDO service and classify the outcome
+ *
+ * Anything that isn't a tapestry (no links array) counts as not found, which also
+ * covers services that answer a missing emojicode with an { error } body.
+ *
+ * @returns {Promise<{ bdoData: Object } | { status: number, reason: string, error: string }>}
+ */
+async function requestTapestryBDO(emojicode) {
+    let result;
+    try {
+        result = await bdoLibInstance.getBDOByEmojicode(emojicode);
+    } catch (error) {
+        const failure = classifyFetchError(error);
+        console.error(`❌ Failed to fetch tapestry ${emojicode} (${failure.reason}):`, error.message);
+        return failure;
+    }
+
+    const bdoData = result && typeof result === 'object' ? (result.bdo || result) : null;
+    if (!bdoData || typeof bdoData !== 'object' || !Array.isArray(bdoData.links)) {
+        console.warn(`⚠️ No tapestry for emojicode ${emojicode}`);
+        return tapestryLookupError('notFound');
+    }
+
+    return { bdoData };
+}
+
+/**
+ * Fetch a BDO and update the cache with the outcome, sharing the request with any
+ * other lookup of the same emojicode already waiting on it
+ *
+ * A tapestry the service no longer has is dropped from the cache; a failed request
+ * leaves the cached copy for the stale-if-error fallback.
+ */
+function loadTapestryBDO(emojicode) {
+    let pending = pendingFetches.get(emojicode);
+    if (!pending) {
+        pending = requestTapestryBDO(emojicode)
+            .then(result => {
+                if (!result.reason) {
+                    cacheBDO(emojicode, result.bdoData);
+                } else if (result.reason === 'notFound') {
+                    forgetCachedBDO(emojicode);
+                }
+                return result;
+            })
+            .finally(() => pendingFetches.delete(emojicode));
+        pendingFetches.set(emojicode, pending);
+    }
+    return pending;
+}
+
+/**
+ * Fetch a tapestry BDO by emojicode, through the cache
+ *
+ * @param {string} emojicode
+ * @returns {Promise<{ bdoData: Object } | { status: number, reason: string, error: string }>}
+ */
+export async function fetchTapestryBDO(emojicode) {
+    if (!isWellFormedEmojicode(emojicode)) {
+        return tapestryLookupError('malformed');
+    }
+
+    const cached = getCachedBDO(emojicode);
+    const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+
+    if (age < CACHE_TTL) {
+        cacheCounters.hits++;
+        return { bdoData: cached.bdoData };
+    }
+
+    if (age < CACHE_TTL + CACHE_STALE_WHILE_REVALIDATE) {
+        cacheCounters.staleHits++;
+        if (!pendingFetches.has(emojicode)) {
+            cacheCounters.revalidations++;
+            loadTapestryBDO(emojicode).catch(error => {
+                console.error(`❌ Failed to refresh tapestry ${emojicode}:`, error.message);
+            });
+        }
+        return { bdoData: cached.bdoData };
+    }
+
+    cacheCounters.misses++;
+    const result = await loadTapestryBDO(emojicode);
+
+    // The service is down or erroring: an old copy beats an error page
+    if (result.reason && result.status >= 500 && age < CACHE_STALE_IF_ERROR) {
+        cacheCounters.staleOnError++;
+        console.warn(`⚠️ Serving tapestry ${emojicode} from cache (${Math.round(age / 60000)} min old) - ${result.error}`);
+        return { bdoData: cached.bdoData };
+    }
+
+    return result;
+}
+
+/**
+ * Cache statistics (for logging and health checks)
+ *
+ * hitRate is the share of lookups answered from the cache without waiting on the
+ * BDO service (fresh and stale-while-revalidate hits); staleOnError counts misses
+ * rescued by an old copy when the service failed.
+ *
+ * @returns {{ entries: number, bytes: number, lookups: number, hits: number, staleHits: number,
+ *             misses: number, staleOnError: number, revalidations: number, evictions: number, hitRate: number }}
+ */
+export function getTapestryCacheStats() {
+    const lookups = cacheCounters.hits + cacheCounters.staleHits + cacheCounters.misses;
+    return {
+        entries: bdoCache.size,
+        bytes: bdoCacheBytes,
+        lookups,
+        ...cacheCounters,
+        hitRate: lookups > 0 ? (cacheCounters.hits + cacheCounters.staleHits) / lookups : 0
+    };
+}
+
+export default {
+    TAPESTRY_LOOKUP_ERRORS,
+    configureTapestryBdoLib,
+    tapestryLookupError,
+    isWellFormedEmojicode,
+    isWellFormedIdentifier,
+    fetchTapestryBDO,
+    getTapestryCacheStats
+};
@@ -0,0 +1,337 @@
+/**
+ * template-engine.js - Declarative Template Spec Engine for Linkitylink
+ *
+ * Renders community template specs (the format documented by
+ * downloadTemplateSpec in public/create.html) into tapestry SVGs.
+ *
+ * A spec carries two SVG fragments:
+ *   background   - full <svg>...</svg> document, may use ${height}
+ *   linkTemplate - markup repeated once per link
+ *
+ * Placeholders are substituted from a fixed set of values, never evaluated.
+ * The only expressions allowed are a name plus/minus/times a number,
+ * e.g. ${y + 35}. Text values are XML-escaped before substitution.
+ *
+ * Substitution happens after svg-sanitizer.js has checked the markup, so link
+ * text (${title}, ${domain}, ${url}) is only allowed where it is read as text:
+ * not in style attributes, <style> bodies, paint/URL-reference attributes or
+ * animation attributes - except for the <a href="${url}"> wrapper, whose URL is
+ * limited to http(s) and mailto. ${color} is only ever a hex color.
+ *
+ * Usage:
+ *   import {
+ *     validateTemplateSpec,
+ *     isTemplateSpec,
+ *     isSafeLinkURL,
+ *     computeTemplateLayout,
+ *     renderTemplateSpec
+ *   } from './lib/template-engine.js';
+ *
+ *   const { valid, errors } = validateTemplateSpec(spec);
+ *   const svg = renderTemplateSpec(spec, links);
+ */
+
+// Placeholders available in each fragment
+export const TEMPLATE_PLACEHOLDERS = {
+    background: ['height', 'width', 'count'],
+    linkTemplate: ['url', 'title', 'domain', 'index', 'i', 'number', 'y', 'color', 'height', 'width', 'count']
+};
+
+// Layout defaults match the live preview in create.html
+export const DEFAULT_LAYOUT = {
+    width: 600,
+    startY: 140,
+    spacing: 100,
+    paddingBottom: 80,
+    minHeight: 400
+};
+
+// Upper bounds so a spec can't ask for an absurd canvas
+const LAYOUT_LIMITS = {
+    width: [100, 2000],
+    startY: [0, 1000],
+    spacing: [10, 1000],
+    paddingBottom: [0, 1000],
+    minHeight: [0, 5000]
+};
+
+// Max length of each SVG fragment (characters)
+const MAX_FRAGMENT_LENGTH = 20000;
+
+// ${name} or ${name + 35} / ${name - 10} / ${name * 2}
+const PLACEHOLDER_PATTERN = /\$\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*(?:([+\-*])\s*(\d+(?:\.\d+)?)\s*)?\}/g;
+
+// Anything that looks like a placeholder, valid or not
+const ANY_PLACEHOLDER_PATTERN = /\$\{([^}]*)\}/g;
+
+// Only these schemes are substituted for ${url}
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+// Link colors substituted for ${color}
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Placeholders filled with text from the link, which the sanitizer never saw
+const LINK_TEXT_PLACEHOLDERS = new Set(['url', 'title', 'domain']);
+
+// Attributes read as CSS, as URLs, or naming what an animation changes
+const CSS_AND_URL_ATTRIBUTES = new Set([
+    'style', 'fill', 'stroke', 'filter', 'clip-path', 'mask', 'marker-start', 'marker-mid', 'marker-end',
+    'href', 'xlink:href', 'values', 'from', 'to', 'by', 'attributename'
+]);
+
+const TAG_PATTERN = /<([a-zA-Z][^\s/>]*)([^>]*)>/g;
+const TAG_ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+const STYLE_BODY_PATTERN = /<style\b[^>]*>([\s\S]*?)(?:<\/style\s*>|$)/gi;
+
+/**
+ * Escape XML special characters
+ */
+function escapeXML(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Whether a link's URL may be linked to: http, https and mailto only
+ *
+ * @param {*} url
+ * @returns {boolean}
+ */
+export function isSafeLinkURL(url) {
+    return typeof url === 'string' && SAFE_URL_PATTERN.test(url);
+}
+
+/**
+ * Extract hostname without www. (falls back to the raw value)
+ */
+function getDomain(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return String(url || '');
+    }
+}
+
+/**
+ * Check whether a template carries renderable SVG fragments
+ * (as opposed to a colors-only template)
+ *
+ * @param {Object} template
+ * @returns {boolean}
+ */
+export function isTemplateSpec(template) {
+    return Boolean(template && typeof template.background === 'string' && typeof template.linkTemplate === 'string');
+}
+
+/**
+ * Link text placeholders used in a piece of markup
+ */
+function linkTextPlaceholders(markup) {
+    return Array.from(markup.matchAll(PLACEHOLDER_PATTERN), match => match[1])
+        .filter(name => LINK_TEXT_PLACEHOLDERS.has(name));
+}
+
+/**
+ * Find link text placeholders where they would be read as CSS or a URL
+ */
+function validatePlaceholderContexts(fragment, fieldName) {
+    const errors = [];
+
+    for (const [, tagName, attributes] of fragment.matchAll(TAG_PATTERN)) {
+        for (const match of attributes.matchAll(TAG_ATTRIBUTE_PATTERN)) {
+            const name = match[1].toLowerCase();
+            const value = match[2] ?? match[3] ?? match[4];
+            if (!CSS_AND_URL_ATTRIBUTES.has(name)) continue;
+
+            // The link wrapper's href="${url}" is the one place a link's URL goes
+            const isLinkWrapper = tagName.toLowerCase() === 'a' && name === 'href' && /^\$\{\s*url\s*\}$/.test(value.trim());
+            if (isLinkWrapper) continue;
+
+            for (const placeholder of linkTextPlaceholders(value)) {
+                errors.push(`${fieldName}: \${${placeholder}} can't be used in ${match[1]} on <${tagName}>`);
+            }
+        }
+    }
+
+    for (const [, body] of fragment.matchAll(STYLE_BODY_PATTERN)) {
+        for (const placeholder of linkTextPlaceholders(body)) {
+            errors.push(`${fieldName}: \${${placeholder}} can't be used in <style>`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Collect placeholder errors for one fragment
+ */
+function validateFragment(fragment, fieldName) {
+    const errors = [];
+
+    if (typeof fragment !== 'string' || fragment.trim().length === 0) {
+        return [`${fieldName} must be a non-empty string`];
+    }
+
+    if (fragment.length > MAX_FRAGMENT_LENGTH) {
+        errors.push(`${fieldName} exceeds ${MAX_FRAGMENT_LENGTH} characters`);
+    }
+
+    const allowed = TEMPLATE_PLACEHOLDERS[fieldName];
+    for (const match of fragment.matchAll(ANY_PLACEHOLDER_PATTERN)) {
+        const [placeholder] = match;
+        const parsed = placeholder.match(new RegExp(`^${PLACEHOLDER_PATTERN.source}$`));
+
+        if (!parsed) {
+            errors.push(`${fieldName}: unsupported expression ${placeholder}`);
+        } else if (!allowed.includes(parsed[1])) {
+            errors.push(`${fieldName}: unknown placeholder ${placeholder}`);
+        }
+    }
+
+    return [...errors, ...validatePlaceholderContexts(fragment, fieldName)];
+}
+
+/**
+ * Validate a template spec
+ *
+ * @param {Object} spec - { name, colors, linkColors, background, linkTemplate, layout? }
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateTemplateSpec(spec) {
+    if (!spec || typeof spec !== 'object') {
+        return { valid: false, errors: ['Template spec must be an object'] };
+    }
+
+    const errors = [
+        ...validateFragment(spec.background, 'background'),
+        ...validateFragment(spec.linkTemplate, 'linkTemplate')
+    ];
+
+    if (typeof spec.background === 'string' && !/^\s*<svg[\s>][\s\S]*<\/svg>\s*$/i.test(spec.background)) {
+        errors.push('background must be a single <svg>...</svg> element');
+    }
+
+    if (typeof spec.linkTemplate === 'string' && !/<a\s[^>]*href="\$\{\s*url\s*\}"/.test(spec.linkTemplate)) {
+        errors.push('linkTemplate must include an <a href="${url}"> wrapper');
+    }
+
+    if (spec.layout !== undefined) {
+        if (!spec.layout || typeof spec.layout !== 'object') {
+            errors.push('layout must be an object');
+        } else {
+            for (const [key, value] of Object.entries(spec.layout)) {
+                const limits = LAYOUT_LIMITS[key];
+                if (!limits) {
+                    errors.push(`layout: unknown field ${key}`);
+                } else if (typeof value !== 'number' || !Number.isFinite(value) || value < limits[0] || value > limits[1]) {
+                    errors.push(`layout.${key} must be a number between ${limits[0]} and ${limits[1]}`);
+                }
+            }
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Compute the layout for a spec and link count
+ *
+ * @param {Object} spec - Template spec (layout is optional)
+ * @param {number} linkCount - Number of links to place
+ * @returns {{ width: number, height: number, positions: { index: number, y: number }[] }}
+ */
+export function computeTemplateLayout(spec, linkCount) {
+    const layout = { ...DEFAULT_LAYOUT, ...(spec && spec.layout) };
+
+    const positions = [];
+    for (let index = 0; index < linkCount; index++) {
+        positions.push({ index, y: layout.startY + (index * layout.spacing) });
+    }
+
+    const contentHeight = layout.startY + (linkCount * layout.spacing) + layout.paddingBottom;
+
+    return {
+        width: layout.width,
+        height: Math.max(layout.minHeight, contentHeight),
+        positions
+    };
+}
+
+/**
+ * Substitute placeholders in a fragment
+ * Values must already be escaped; numbers are the only values that take arithmetic.
+ */
+function substitute(fragment, values) {
+    return fragment.replace(PLACEHOLDER_PATTERN, (placeholder, name, operator, operand) => {
+        if (!Object.prototype.hasOwnProperty.call(values, name)) {
+            return '';
+        }
+
+        const value = values[name];
+        if (!operator) {
+            return String(value);
+        }
+
+        if (typeof value !== 'number') {
+            return '';
+        }
+
+        const amount = Number(operand);
+        if (operator === '+') return String(value + amount);
+        if (operator === '-') return String(value - amount);
+        return String(value * amount);
+    });
+}
+
+/**
+ * Render a template spec with links
+ *
+ * @param {Object} spec - Validated template spec
+ * @param {Array<{title: string, url: string}>} links
+ * @returns {string} SVG markup
+ */
+export function renderTemplateSpec(spec, links) {
+    const { width, height, positions } = computeTemplateLayout(spec, links.length);
+    const hexColors = Array.isArray(spec.linkColors) ? spec.linkColors.filter(color => HEX_COLOR_PATTERN.test(color)) : [];
+    const linkColors = hexColors.length > 0 ? hexColors : ['#8b5cf6'];
+
+    const shared = { height, width, count: links.length };
+
+    const linkElements = links.map((link, index) => {
+        const url = isSafeLinkURL(link.url) ? link.url : '#';
+
+        return substitute(spec.linkTemplate, {
+            ...shared,
+            url: escapeXML(url),
+            title: escapeXML(link.title || 'Untitled'),
+            domain: escapeXML(getDomain(link.url)),
+            index,
+            i: index,
+            number: index + 1,
+            y: positions[index].y,
+            color: escapeXML(linkColors[index % linkColors.length])
+        });
+    }).join('\n');
+
+    const background = substitute(spec.background.trim(), shared);
+
+    // Links go inside the background <svg>, after its own content
+    const closingIndex = background.toLowerCase().lastIndexOf('</svg>');
+    return `${background.substring(0, closingIndex)}
+${linkElements}
+${background.substring(closingIndex)}`;
+}
+
+export default {
+    TEMPLATE_PLACEHOLDERS,
+    DEFAULT_LAYOUT,
+    isTemplateSpec,
+    isSafeLinkURL,
+    validateTemplateSpec,
+    computeTemplateLayout,
+    renderTemplateSpec
+};
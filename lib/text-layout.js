@@ -0,0 +1,232 @@
+/**
+ * text-layout.js - Width-aware text layout for SVG link titles
+ *
+ * SVG text doesn't wrap or truncate itself, and the renderer can't measure
+ * fonts server-side, so widths are estimated from per-character advance
+ * factors tuned for a bold sans-serif. Estimates run a little wide on
+ * purpose: a title that ends a few pixels early looks fine, one that runs
+ * off the card doesn't.
+ *
+ * All splitting happens on grapheme clusters (Intl.Segmenter), so emoji
+ * ZWJ sequences, flags and combining marks are never cut in half. Layout
+ * works on raw text - escape the resulting lines, not the input.
+ *
+ * SVG text has no paragraph direction of its own, so right-to-left titles
+ * are detected from their first strong character and wrapped in a bidi
+ * isolate; the renderer then right-aligns them with text-anchor="end".
+ * (The SVG direction attribute would flip what "end" means in browsers but
+ * not in resvg, so it isn't used.)
+ *
+ * Usage:
+ *   import { wrapText, truncateText, measureText, detectTextDirection } from './lib/text-layout.js';
+ *
+ *   const { lines, truncated } = wrapText(link.title, { maxWidth: 250, fontSize: 16, maxLines: 2 });
+ *   lines.map(line => escapeXML(line));
+ *
+ *   detectTextDirection('שלום world');  // 'rtl'
+ */
+
+const ELLIPSIS = '…';
+
+// Advance widths as a fraction of the font size
+const NARROW_CHARS = new Set([...'fijlrtI!|.,:;\'"`()[]{}']);
+const WIDE_CHARS = new Set([...'mwMW@%&']);
+const CHAR_WIDTHS = {
+    space: 0.32,
+    narrow: 0.34,
+    wide: 0.9,
+    lower: 0.58,
+    upper: 0.72,
+    digit: 0.64,
+    fullWidth: 1.0,   // CJK, Hangul, fullwidth forms
+    emoji: 1.2,
+    other: 0.65
+};
+
+// Bold glyphs are a little wider than the regular weight
+const BOLD_FACTOR = 1.06;
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const COMBINING_PATTERN = /^\p{M}+$/u;
+const FULL_WIDTH_PATTERN = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/u;
+
+// Letters of the right-to-left scripts; any other letter is strong left-to-right
+const RTL_LETTER_PATTERN = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Samaritan}\p{Script=Mandaic}\p{Script=Adlam}]/u;
+const LETTER_PATTERN = /\p{L}/u;
+
+// Right-to-left isolate (RLI ... PDI)
+const RTL_ISOLATE_START = '\u2067';
+const RTL_ISOLATE_END = '\u2069';
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+/**
+ * Split text into grapheme clusters (user-perceived characters)
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitGraphemes(text) {
+    const value = String(text ?? '');
+    if (segmenter) {
+        return Array.from(segmenter.segment(value), s => s.segment);
+    }
+    // Code points at least keep surrogate pairs together
+    return Array.from(value);
+}
+
+/**
+ * Estimated advance of a single grapheme, in ems
+ */
+function graphemeWidth(grapheme) {
+    if (EMOJI_PATTERN.test(grapheme)) return CHAR_WIDTHS.emoji;
+
+    const base = String.fromCodePoint(grapheme.codePointAt(0));
+    if (COMBINING_PATTERN.test(base)) return 0;
+    if (/\s/.test(base)) return CHAR_WIDTHS.space;
+    if (NARROW_CHARS.has(base)) return CHAR_WIDTHS.narrow;
+    if (WIDE_CHARS.has(base)) return CHAR_WIDTHS.wide;
+    if (FULL_WIDTH_PATTERN.test(base)) return CHAR_WIDTHS.fullWidth;
+    if (/[a-z]/.test(base)) return CHAR_WIDTHS.lower;
+    if (/[A-Z]/.test(base)) return CHAR_WIDTHS.upper;
+    if (/[0-9]/.test(base)) return CHAR_WIDTHS.digit;
+    return CHAR_WIDTHS.other;
+}
+
+/**
+ * Estimate the rendered width of a string
+ *
+ * @param {string} text
+ * @param {number} fontSize - Font size in px
+ * @param {Object} [options]
+ * @param {boolean} [options.bold=true]
+ * @returns {number} Approximate width in px
+ */
+export function measureText(text, fontSize, { bold = true } = {}) {
+    const ems = splitGraphemes(text).reduce((sum, g) => sum + graphemeWidth(g), 0);
+    return ems * fontSize * (bold ? BOLD_FACTOR : 1);
+}
+
+/**
+ * Truncate text to fit a width, on grapheme boundaries, adding an ellipsis when cut
+ *
+ * @param {string} text
+ * @param {Object} options
+ * @param {number} options.maxWidth - Available width in px
+ * @param {number} options.fontSize - Font size in px
+ * @param {boolean} [options.bold=true]
+ * @returns {{ text: string, truncated: boolean }}
+ */
+export function truncateText(text, { maxWidth, fontSize, bold = true }) {
+    const value = String(text ?? '');
+    if (measureText(value, fontSize, { bold }) <= maxWidth) {
+        return { text: value, truncated: false };
+    }
+
+    const scale = fontSize * (bold ? BOLD_FACTOR : 1);
+    const budget = maxWidth - measureText(ELLIPSIS, fontSize, { bold });
+    let width = 0;
+    let result = '';
+    for (const grapheme of splitGraphemes(value)) {
+        width += graphemeWidth(grapheme) * scale;
+        if (width > budget) break;
+        result += grapheme;
+    }
+
+    return { text: result.trimEnd() + ELLIPSIS, truncated: true };
+}
+
+/**
+ * Take as much of the text as fits on one line, preferring to break at whitespace
+ *
+ * @returns {{ line: string, rest: string }}
+ */
+function takeLine(text, maxWidth, scale) {
+    const graphemes = splitGraphemes(text);
+    let width = 0;
+    let lastBreak = -1;
+
+    for (let i = 0; i < graphemes.length; i++) {
+        if (/^\s+$/.test(graphemes[i])) lastBreak = i;
+        width += graphemeWidth(graphemes[i]) * scale;
+        if (width > maxWidth) {
+            // Break after the last whole word, or mid-word if a single word is too long
+            const cut = lastBreak > 0 ? lastBreak : Math.max(i, 1);
+            return {
+                line: graphemes.slice(0, cut).join('').trimEnd(),
+                rest: graphemes.slice(cut).join('').trimStart()
+            };
+        }
+    }
+
+    return { line: text, rest: '' };
+}
+
+/**
+ * Wrap text into at most maxLines lines, truncating the last line if needed
+ *
+ * @param {string} text
+ * @param {Object} options
+ * @param {number} options.maxWidth - Available width per line in px
+ * @param {number} options.fontSize - Font size in px
+ * @param {number} [options.maxLines=2]
+ * @param {boolean} [options.bold=true]
+ * @returns {{ lines: string[], truncated: boolean }}
+ */
+export function wrapText(text, { maxWidth, fontSize, maxLines = 2, bold = true }) {
+    const scale = fontSize * (bold ? BOLD_FACTOR : 1);
+    let remaining = String(text ?? '').replace(/\s+/g, ' ').trim();
+    const lines = [];
+
+    while (remaining && lines.length < maxLines - 1) {
+        const { line, rest } = takeLine(remaining, maxWidth, scale);
+        lines.push(line);
+        remaining = rest;
+    }
+
+    let truncated = false;
+    if (remaining) {
+        const last = truncateText(remaining, { maxWidth, fontSize, bold });
+        lines.push(last.text);
+        truncated = last.truncated;
+    }
+
+    return { lines: lines.length > 0 ? lines : [''], truncated };
+}
+
+/**
+ * Writing direction of a string, from its first strong (letter) character
+ *
+ * @param {string} text
+ * @returns {'rtl'|'ltr'|null} null when the text has no letters (emoji, digits, punctuation)
+ */
+export function detectTextDirection(text) {
+    for (const char of String(text ?? '')) {
+        if (!LETTER_PATTERN.test(char)) continue;
+        return RTL_LETTER_PATTERN.test(char) ? 'rtl' : 'ltr';
+    }
+    return null;
+}
+
+/**
+ * Wrap text in a right-to-left bidi isolate, so it reads correctly (punctuation,
+ * embedded Latin and numbers in the right places) inside a left-to-right SVG
+ *
+ * @param {string} text - Raw or escaped text (the isolate characters need no escaping)
+ * @param {string} direction - 'rtl' to wrap; anything else returns the text unchanged
+ * @returns {string}
+ */
+export function isolateBidi(text, direction) {
+    return direction === 'rtl' ? `${RTL_ISOLATE_START}${text}${RTL_ISOLATE_END}` : text;
+}
+
+export default {
+    splitGraphemes,
+    measureText,
+    truncateText,
+    wrapText,
+    detectTextDirection,
+    isolateBidi
+};
@@ -0,0 +1,29 @@
+/**
+ * xml-escape.js - Escaping text for SVG markup
+ *
+ * Safe for both text content and double- or single-quoted attribute values.
+ *
+ * Usage:
+ *   import { escapeXML } from './lib/xml-escape.js';
+ *
+ *   const svg = `<text fill="${escapeXML(color)}">${escapeXML(title)}</text>`;
+ */
+
+/**
+ * Escape the five XML special characters
+ *
+ * @param {*} str - Converted with String()
+ * @returns {string}
+ */
+export function escapeXML(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+export default {
+    escapeXML
+};
@@ -21,6 +21,7 @@ import bdoLib from 'bdo-js';
 import addieLib from 'addie-js';
 import sessionless from 'sessionless-node';
 import fetch from 'node-fetch';
+import { randomBytes } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -48,6 +49,80 @@ import {
     getHandoffStats
 } from './lib/app-handoff.js';
 
+// Import template spec engine
+import {
+    isTemplateSpec,
+    validateTemplateSpec,
+    renderTemplateSpec,
+    isSafeLinkURL
+} from './lib/template-engine.js';
+
+// Import SVG sanitizer for user-submitted template markup
+import {
+    sanitizeTemplateSpec,
+    summarizeRemovals
+} from './lib/svg-sanitizer.js';
+
+// Import PNG renderer for raster exports and social preview images
+import {
+    PNG_SIZES,
+    resolvePNGSize,
+    pngETag,
+    renderPNG
+} from './lib/png-renderer.js';
+
+// Import printable PDF layouts (poster and business card sheet)
+import {
+    PRINT_LAYOUTS,
+    PRINT_PAPERS,
+    renderPrintPDF
+} from './lib/print-sheet.js';
+
+// Import SVG id namespacing so several tapestries can share one HTML page
+import { namespaceSVG } from './lib/svg-namespace.js';
+
+// Import social platform icons for the SoMa row
+import {
+    SOCIAL_PLATFORMS,
+    detectPlatformFromURL,
+    detectSocialPlatform,
+    getSocialIcon
+} from './lib/social-icons.js';
+
+// Import text layout for wrapping and truncating link titles
+import {
+    splitGraphemes,
+    wrapText,
+    truncateText,
+    measureText,
+    detectTextDirection,
+    isolateBidi
+} from './lib/text-layout.js';
+
+// Import QR encoder for printable tapestry links
+import { encodeQR, renderQRSVG } from './lib/qr-code.js';
+
+// Import message catalog for localized page chrome
+import { DEFAULT_LOCALE, resolveLocale, localeDirection, t } from './lib/i18n.js';
+
+// Import prefix index for alphanumeric identifiers
+import { IdentifierIndex, MIN_IDENTIFIER_LENGTH } from './lib/identifier-index.js';
+
+// Import vanity handle registry (/@handle)
+import { HandleRegistry, validateHandle } from './lib/tapestry-handles.js';
+
+// Import public JSON document for the read API
+import { buildTapestryDocument } from './lib/tapestry-document.js';
+
+// Import tapestry resolver shared by every route that shows a tapestry
+import {
+    configureTapestryBdoLib,
+    tapestryLookupError,
+    isWellFormedIdentifier,
+    fetchTapestryBDO,
+    getTapestryCacheStats
+} from './lib/tapestry-resolver.js';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
@@ -61,13 +136,22 @@ const FOUNT_BASE_URL = process.env.FOUNT_BASE_URL || 'https://dev.fount.allyabas
 const BDO_BASE_URL = process.env.BDO_BASE_URL || 'https://dev.bdo.allyabase.com';
 const ADDIE_BASE_URL = process.env.ADDIE_BASE_URL || 'https://dev.addie.allyabase.com';
 
+// Public origin for absolute URLs in page metadata (falls back to the request's host)
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || null;
+
+// Stripe secret key of the account Addie creates payment intents on, used to confirm
+// web checkout payments before a tapestry is recorded as paid
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || null;
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+
 // Configure SDKs
 fountLib.baseURL = FOUNT_BASE_URL.endsWith('/') ? FOUNT_BASE_URL : `${FOUNT_BASE_URL}/`;
 bdoLib.baseURL = BDO_BASE_URL.endsWith('/') ? BDO_BASE_URL : `${BDO_BASE_URL}/`;
 addieLib.baseURL = ADDIE_BASE_URL.endsWith('/') ? ADDIE_BASE_URL : `${ADDIE_BASE_URL}/`;
 
-// Configure relevantBDOs middleware with bdo-js instance
+// Configure relevantBDOs middleware and the tapestry resolver with bdo-js instance
 configureBdoLib(bdoLib);
+configureTapestryBdoLib(bdoLib);
 
 console.log('🔗 Linkitylink - Privacy-First Link Pages');
 console.log('========================================');
@@ -93,257 +177,828 @@ app.use(session({
 }));
 
 // Middleware
-app.use(express.static(join(__dirname, 'public')));
+// No directory index: GET / is the route below, which also serves /?emojicode= pages
+app.use(express.static(join(__dirname, 'public'), { index: false }));
 app.use(express.json());
 app.use(relevantBDOsMiddleware); // Extract relevantBDOs from requests and store in session
 
 /**
- * View linkitylink by emojicode
- * Route: /view/:emojicode
+ * Get the public origin for absolute URLs (og:image needs one)
  */
-app.get('/view/:emojicode', async (req, res) => {
-    try {
-        const { emojicode } = req.params;
-
-        console.log(`😀 Fetching Linkitylink by emojicode: ${emojicode}`);
+function getPublicBaseURL(req) {
+    const base = PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return base.endsWith('/') ? base.slice(0, -1) : base;
+}
 
-        let links = [];
-        let userName = 'My Links';
+/**
+ * Absolute URLs used in a tapestry page's share metadata
+ *
+ * @param {Object} req - Express request
+ * @param {string} path - Tapestry page path, e.g. /t/abc123 or /@jane (already URL-encoded)
+ * @returns {{ pageUrl: string, imageUrl: string, embedUrl: string, oembedUrl: string }}
+ */
+function getTapestryShareURLs(req, path) {
+    const base = getPublicBaseURL(req);
+    const pageUrl = `${base}${path}`;
+    return {
+        pageUrl,
+        imageUrl: `${pageUrl}.png?size=og`,
+        embedUrl: `${base}${path.replace(/^\/(?:t\/|view\/|(?=@))/, '/embed/')}`,
+        oembedUrl: `${base}/oembed?url=${encodeURIComponent(pageUrl)}&format=json`
+    };
+}
 
-        try {
-            // Fetch Linkitylink BDO by emojicode
-            const linkHubBDO = await bdoLib.getBDOByEmojicode(emojicode);
+// Most tapestries listed when an identifier is ambiguous
+const MAX_AMBIGUOUS_MATCHES = 10;
 
-            console.log('📦 Linkitylink BDO fetched:', JSON.stringify(linkHubBDO).substring(0, 200));
+/**
+ * Look up a tapestry's mapping from an alphanumeric identifier (pubKey prefix)
+ *
+ * An identifier issued at creation always resolves to its own tapestry, even if a
+ * later pubKey starts with it. Any other prefix must match exactly one pubKey.
+ *
+ * @returns {{ pubKey: string, metadata: Object } | { status: number, reason: string, error: string, candidates?: string[] }}
+ */
+function resolveTapestryMapping(identifier) {
+    if (!isWellFormedIdentifier(identifier)) {
+        return tapestryLookupError('malformed', `Identifiers are ${MIN_IDENTIFIER_LENGTH} or more hex characters`);
+    }
 
-            // Extract links from BDO data
-            const bdoData = linkHubBDO.bdo || linkHubBDO;
-            if (bdoData.links && Array.isArray(bdoData.links)) {
-                links = bdoData.links;
-                console.log(`🔗 Found ${links.length} links in Linkitylink BDO`);
-            } else {
-                console.log('⚠️ No links array found in Linkitylink BDO');
-            }
+    const prefix = identifier.toLowerCase();
+    const issued = issuedIdentifiers.get(prefix);
+    if (issued) {
+        return { pubKey: issued, metadata: bdoMetadataMap.get(issued) };
+    }
 
-            // Get user name from BDO
-            userName = bdoData.title || bdoData.name || 'My Links';
+    const matches = identifierIndex.match(prefix, MAX_AMBIGUOUS_MATCHES);
+    if (matches.length === 0) {
+        return tapestryLookupError('notFound', 'Tapestry not found. Identifier may have expired.');
+    }
+    if (matches.length > 1) {
+        return {
+            ...tapestryLookupError('ambiguous'),
+            candidates: matches.map(pubKey => getTapestryIdentifier(pubKey))
+        };
+    }
 
-        } catch (error) {
-            console.error('❌ Failed to fetch Linkitylink BDO by emojicode:', error.message);
-            // Continue with empty links - will show demo
-        }
+    return { pubKey: matches[0], metadata: bdoMetadataMap.get(matches[0]) };
+}
 
-        // If no links, show demo links
-        if (links.length === 0) {
-            links = getDemoLinks();
-            userName = 'Demo Links';
-        }
+/**
+ * Look up a tapestry's mapping from an alphanumeric identifier, ignoring why a lookup failed
+ * @returns {{ pubKey: string, metadata: Object }|null}
+ */
+function findMappingByIdentifier(identifier) {
+    const mapping = resolveTapestryMapping(identifier);
+    return mapping.reason ? null : mapping;
+}
 
-        // Limit to 20 links
-        const displayLinks = links.slice(0, 20);
+/**
+ * Look up a tapestry's emojicode from an alphanumeric identifier (pubKey prefix)
+ * @returns {string|null}
+ */
+function findEmojicodeByIdentifier(identifier) {
+    const mapping = findMappingByIdentifier(identifier);
+    return mapping ? mapping.metadata.emojicode : null;
+}
 
-        // Generate HTML page
-        const html = generateLinkitylinkPage(displayLinks, userName, false, null);
+/**
+ * The identifier to link a tapestry by: the one issued at creation
+ *
+ * Tapestries created before identifiers were issued are issued one the first time
+ * they are shown - the shortest prefix that is unambiguous now, pinned so a later
+ * pubKey starting with it can't make the shared link ambiguous.
+ */
+function getTapestryIdentifier(pubKey) {
+    const metadata = bdoMetadataMap.get(pubKey);
+    if (!metadata) {
+        return identifierIndex.uniquePrefix(pubKey);
+    }
 
-        res.send(html);
+    if (!metadata.identifier) {
+        metadata.identifier = identifierIndex.uniquePrefix(pubKey);
+        issuedIdentifiers.set(metadata.identifier, pubKey);
+        markMappingsDirty();
+    }
+    return metadata.identifier;
+}
 
-    } catch (error) {
-        console.error('❌ Server error:', error);
-        res.status(500).send('Error loading linkitylink');
+/**
+ * Look up a tapestry's mapping from its vanity handle
+ * Only the exact canonical handle matches - a lookalike of a taken handle finds nothing.
+ * @returns {{ pubKey: string, metadata: Object } | { status: number, reason: string, error: string }}
+ */
+function resolveTapestryHandle(handle) {
+    const { error } = validateHandle(handle);
+    const pubKey = error ? null : tapestryHandles.lookup(handle);
+    if (!pubKey) {
+        return error ? tapestryLookupError('malformed', error) : tapestryLookupError('notFound', 'No tapestry has this handle');
     }
-});
+    return { pubKey, metadata: bdoMetadataMap.get(pubKey) };
+}
 
 /**
- * Main route - Landing page or tapestry display
- *
- * No query params: Show landing page
- * Query params (Method 1 - Emojicode):
- * - emojicode: 8-emoji identifier for Linkitylink BDO
- *
- * Query params (Method 2 - Legacy Authentication):
- * - pubKey: User's public key
- * - timestamp: Request timestamp
- * - signature: Sessionless signature (timestamp + pubKey)
+ * A tapestry's vanity page path (/@handle), or null when it hasn't claimed a handle
  */
-app.get('/', async (req, res) => {
-    try {
-        const { emojicode, pubKey, timestamp, signature } = req.query;
+function getTapestryHandlePath(metadata) {
+    return metadata && metadata.handle ? `/@${encodeURIComponent(metadata.handle)}` : null;
+}
 
-        // Debug logging
-        console.log('🔍 GET / query params:', { emojicode: emojicode ? emojicode.substring(0, 20) + '...' : 'none', pubKey: pubKey ? pubKey.substring(0, 16) + '...' : 'none' });
+/**
+ * Whether the session that made this request created the tapestry
+ * (its carrierBag lists the tapestry's pubKey)
+ */
+function ownsTapestry(req, pubKey) {
+    const ownedTapestries = (req.session.carrierBag && req.session.carrierBag.linkitylink) || [];
+    return ownedTapestries.some(tapestry => tapestry.pubKey === pubKey);
+}
 
-        // If no query parameters, serve landing page
-        if (!emojicode && !pubKey && !timestamp && !signature) {
-            const fs = await import('fs/promises');
-            const landingPage = await fs.readFile(join(__dirname, 'public', 'index.html'), 'utf-8');
-            return res.send(landingPage);
+/**
+ * Look up a tapestry's mapping from its emojicode
+ * @returns {{ pubKey: string, metadata: Object }|null}
+ */
+function findMappingByEmojicode(emojicode) {
+    for (const [pubKey, metadata] of bdoMetadataMap) {
+        if (metadata.emojicode === emojicode) {
+            return { pubKey, metadata };
         }
+    }
+    return null;
+}
 
-        let links = [];
-        let userName = 'Anonymous';
-        let authenticated = false;
-
-        // Method 1: Fetch by emojicode (PUBLIC - no auth required)
-        if (emojicode) {
-            console.log(`😀 Fetching Linkitylink by emojicode: ${emojicode}`);
+/**
+ * Whether a tapestry was paid for (web checkout, app handoff or a MAGIC spell)
+ * Only paid tapestries may hide the "Weave Your Own" purchase prompt. Web checkout
+ * only counts once its payment intent was confirmed with Stripe.
+ */
+function isPaidTapestry(metadata) {
+    if (!metadata || !metadata.purchasedVia) return false;
+    return metadata.purchasedVia !== 'web-checkout' || metadata.paymentVerified === true;
+}
 
-            try {
-                // Fetch Linkitylink BDO by emojicode
-                const linkHubBDO = await bdoLib.getBDOByEmojicode(emojicode);
+/**
+ * Whether a tapestry's page should leave out the "Weave Your Own" purchase prompt
+ */
+function isPurchasePromptHidden(metadata) {
+    return isPaidTapestry(metadata) && metadata.hideCTA === true;
+}
 
-                console.log('📦 Linkitylink BDO fetched:', JSON.stringify(linkHubBDO).substring(0, 200));
+/**
+ * Resolve a tapestry by emojicode, alphanumeric identifier or vanity handle
+ *
+ * Identifiers and handles are looked up in the alphanumeric mappings first; the BDO
+ * itself is fetched and classified by lib/tapestry-resolver.js.
+ *
+ * @param {Object} lookup
+ * @param {string} [lookup.emojicode]
+ * @param {string} [lookup.identifier] - pubKey prefix
+ * @param {string} [lookup.handle] - Vanity handle, without the @
+ * @returns {Promise<{ emojicode: string, pubKey: string|null, bdoData: Object, metadata: Object|null }
+ *                   | { status: number, reason: string, error: string }>}
+ *   pubKey and metadata are null for tapestries this server has no mapping for
+ */
+async function resolveTapestry({ emojicode, identifier, handle }) {
+    let mapping;
+    if (identifier !== undefined || handle !== undefined) {
+        mapping = identifier !== undefined ? resolveTapestryMapping(identifier) : resolveTapestryHandle(handle);
+        if (mapping.reason) {
+            return mapping;
+        }
+        emojicode = mapping.metadata.emojicode;
+    } else {
+        mapping = findMappingByEmojicode(emojicode);
+    }
 
-                // Extract links from BDO data
-                const bdoData = linkHubBDO.bdo || linkHubBDO;
-                if (bdoData.links && Array.isArray(bdoData.links)) {
-                    links = bdoData.links;
-                    console.log(`🔗 Found ${links.length} links in Linkitylink BDO`);
-                } else {
-                    console.log('⚠️ No links array found in Linkitylink BDO');
-                }
+    const result = await fetchTapestryBDO(emojicode);
+    if (result.reason) {
+        return result;
+    }
 
-                // Get user name from BDO
-                userName = bdoData.title || bdoData.name || 'My Links';
-                authenticated = false; // Public access via emojicode
+    return {
+        emojicode,
+        pubKey: mapping ? mapping.pubKey : null,
+        bdoData: result.bdoData,
+        metadata: mapping ? mapping.metadata : null
+    };
+}
 
-            } catch (error) {
-                console.error('❌ Failed to fetch Linkitylink BDO by emojicode:', error.message);
-                // Continue with empty links array
-            }
-        }
-        // Method 2: Legacy authentication (for backward compatibility)
-        else if (pubKey && timestamp && signature) {
-            console.log(`🔐 Authenticating request for pubKey: ${pubKey.substring(0, 16)}...`);
+/**
+ * Read an id that may be an @handle, an alphanumeric identifier or an emojicode
+ * into a resolveTapestry lookup (embeds and the JSON API accept all three)
+ */
+function parseTapestryId(id) {
+    if (id.startsWith('@')) {
+        return { handle: id.slice(1) };
+    }
+    return isWellFormedIdentifier(id) ? { identifier: id } : { emojicode: id };
+}
 
-            // Verify signature
-            const message = timestamp + pubKey;
-            const isValid = sessionless.verifySignature(signature, message, pubKey);
+/**
+ * Send the HTML error page for a failed tapestry lookup
+ * Unavailable responses ask clients to retry shortly; ambiguous identifiers link
+ * each tapestry they match.
+ */
+function sendTapestryErrorPage(res, failure, locale) {
+    if (failure.status === 503) {
+        res.set('Retry-After', '30');
+    }
+    const choices = (failure.candidates || []).map(identifier => `/t/${encodeURIComponent(identifier)}`);
+    return res.status(failure.status).send(generateErrorPage(t(locale, `error.${failure.reason}`), locale, choices));
+}
 
-            if (isValid) {
-                console.log('✅ Signature valid, fetching user BDO...');
-                authenticated = true;
+/**
+ * JSON body for a failed tapestry lookup (ambiguous identifiers list the identifiers they match)
+ */
+function tapestryErrorBody({ error, candidates }) {
+    return candidates ? { error, candidates } : { error };
+}
 
-                try {
-                    // Fetch user's Fount BDO (which contains carrierBag)
-                    const userBDO = await fountLib.getBDO(pubKey);
+/**
+ * Send the JSON error for a failed tapestry lookup, with the error page's Retry-After
+ */
+function sendTapestryErrorJSON(res, failure) {
+    if (failure.status === 503) {
+        res.set('Retry-After', '30');
+    }
+    return res.status(failure.status).json(tapestryErrorBody(failure));
+}
 
-                    console.log('📦 User BDO fetched:', JSON.stringify(userBDO).substring(0, 200));
+/**
+ * Build the public JSON document for a resolved tapestry (fields in lib/tapestry-document.js)
+ * Its page URL is the handle page if it has one, then /t/:identifier, then /view/:emojicode.
+ */
+function getTapestryDocument(req, { emojicode, pubKey, bdoData, metadata }) {
+    const identifier = pubKey ? getTapestryIdentifier(pubKey) : null;
+    const path = getTapestryHandlePath(metadata) ||
+        (identifier ? `/t/${identifier}` : `/view/${encodeURIComponent(emojicode)}`);
+    const { pageUrl, imageUrl, embedUrl } = getTapestryShareURLs(req, path);
+
+    return buildTapestryDocument({
+        emojicode,
+        bdoData,
+        profile: getTapestryProfile(bdoData),
+        settings: {
+            theme: normalizeTheme(bdoData.theme),
+            layout: normalizeLayout(bdoData.layout),
+            particles: normalizeParticles(bdoData.particles)
+        },
+        identifier,
+        handle: metadata ? metadata.handle : null,
+        urls: { page: pageUrl, image: imageUrl, embed: embedUrl },
+        createdAt: metadata ? metadata.createdAt : null
+    });
+}
 
-                    // Extract carrierBag from BDO
-                    const bdo = userBDO.bdo || userBDO;
-                    const carrierBag = bdo.carrierBag || bdo.data?.carrierBag;
+/**
+ * Send a tapestry page route's response: the page, or the tapestry's JSON document
+ * when the client asks for application/json (failures likewise as a page or JSON)
+ *
+ * @param {Object} tapestry - Result of resolveTapestry
+ * @param {string} path - The page's own path, for its share URLs
+ */
+function sendTapestry(req, res, tapestry, path, locale) {
+    res.vary('Accept');
+    const json = req.accepts(['html', 'json']) === 'json';
 
-                    if (carrierBag && carrierBag.links) {
-                        links = carrierBag.links;
-                        console.log(`🔗 Found ${links.length} links in carrierBag`);
-                    } else {
-                        console.log('⚠️ No links collection found in carrierBag');
-                    }
+    if (tapestry.reason) {
+        return json ? sendTapestryErrorJSON(res, tapestry) : sendTapestryErrorPage(res, tapestry, locale);
+    }
+    if (json) {
+        return res.json(getTapestryDocument(req, tapestry));
+    }
+    res.send(generateTapestryPage(req, tapestry, path, locale));
+}
 
-                    // Try to get user name from BDO
-                    userName = bdo.name || bdo.title || 'My Links';
+/**
+ * Generate the page for a resolved tapestry
+ * Shared by /view/:emojicode, /?emojicode= and /t/:identifier
+ *
+ * @param {Object} tapestry - Result of resolveTapestry
+ * @param {string} path - The page's own path, for its share URLs
+ */
+function generateTapestryPage(req, { bdoData, metadata }, path, locale) {
+    const links = bdoData.links;
+    console.log(`🔗 Found ${links.length} links in Linkitylink BDO`);
+
+    // Limit to MAX_DISPLAY_LINKS (the page reports the full count)
+    return generateLinkitylinkPage(selectDisplayLinks(links), bdoData.title || bdoData.name || 'My Links', false, null, {
+        template: bdoData.template || null,
+        theme: bdoData.theme,
+        layout: bdoData.layout,
+        particles: bdoData.particles,
+        profile: getTapestryProfile(bdoData),
+        ...getTapestryShareURLs(req, path),
+        totalLinkCount: links.length,
+        hidePurchasePrompt: isPurchasePromptHidden(metadata),
+        locale
+    });
+}
 
-                } catch (error) {
-                    console.error('❌ Failed to fetch user BDO:', error.message);
-                    // Continue with empty links array
-                }
-            } else {
-                console.log('❌ Invalid signature');
-            }
-        } else {
-            console.log('ℹ️ No emojicode or authentication provided, showing demo');
-        }
+/**
+ * Rasterize a tapestry and send it as PNG
+ * Uses the stored svgContent; older BDOs without it are rendered from their links.
+ *
+ * @param {Object} lookup - { emojicode } or { identifier }, as for resolveTapestry
+ */
+async function sendTapestryPNG(req, res, lookup) {
+    const size = resolvePNGSize(req.query.size);
+    if (!size) {
+        return res.status(400).json({
+            error: `size must be one of: ${Object.keys(PNG_SIZES).join(', ')}`
+        });
+    }
 
-        // If no links, show demo links
-        if (links.length === 0) {
-            links = getDemoLinks();
-            userName = 'Demo Links';
-        }
+    const tapestry = await resolveTapestry(lookup);
+    if (tapestry.reason) {
+        return res.status(tapestry.status).json(tapestryErrorBody(tapestry));
+    }
+    const { emojicode, bdoData } = tapestry;
+
+    const svgContent = typeof bdoData.svgContent === 'string' && bdoData.svgContent.trim()
+        ? bdoData.svgContent
+        : renderTapestrySVG(selectDisplayLinks(Array.isArray(bdoData.links) ? bdoData.links : []),
+            bdoData.template || null, { theme: bdoData.theme, layout: bdoData.layout, particles: bdoData.particles, title: bdoData.title, ...getTapestryProfile(bdoData) });
+
+    // The ETag comes from the SVG alone, so a client that has this image skips the render
+    const etag = pngETag(svgContent, size);
+    res.set({
+        'Content-Type': 'image/png',
+        'Cache-Control': 'public, max-age=3600',
+        'ETag': etag
+    });
 
-        // Limit to 20 links
-        const displayLinks = links.slice(0, 20);
+    if (req.get('If-None-Match') === etag) {
+        return res.status(304).end();
+    }
 
-        // Generate HTML page
-        const html = generateLinkitylinkPage(displayLinks, userName, authenticated, pubKey);
+    const { png, cached } = await renderPNG(svgContent, size);
+    console.log(`🖼️ PNG ${size} for ${emojicode} (${png.length} bytes${cached ? ', cached' : ''})`);
 
-        res.send(html);
+    res.send(png);
+}
 
+/**
+ * PNG export by emojicode - /view/:emojicode.png
+ * Query: size = small | medium | large | og (default medium)
+ * Registered before /view/:emojicode so the extension isn't read as part of the emojicode
+ */
+app.get('/view/:emojicode.png', async (req, res) => {
+    try {
+        await sendTapestryPNG(req, res, { emojicode: req.params.emojicode });
     } catch (error) {
-        console.error('❌ Server error:', error);
-        res.status(500).send(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Linkitylink Error</title>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <style>
-                    body {
-                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                        color: white;
-                        display: flex;
-                        align-items: center;
-                        justify-content: center;
-                        min-height: 100vh;
-                        margin: 0;
-                        padding: 20px;
-                    }
-                    .error {
-                        background: rgba(255,255,255,0.1);
-                        padding: 40px;
-                        border-radius: 20px;
-                        text-align: center;
-                    }
-                </style>
-            </head>
-            <body>
-                <div class="error">
-                    <h1>⚠️ Error</h1>
-                    <p>${error.message}</p>
-                </div>
-            </body>
-            </html>
-        `);
+        console.error('❌ PNG render error:', error);
+        res.status(500).json({
+            error: 'Failed to render PNG'
+        });
     }
 });
 
-// In-memory mapping of pubKey to metadata for alphanumeric URLs
-const bdoMetadataMap = new Map();
+/**
+ * PNG export by alphanumeric identifier - /t/:identifier.png
+ * Query: size = small | medium | large | og (default medium)
+ */
+app.get('/t/:identifier.png', async (req, res) => {
+    try {
+        await sendTapestryPNG(req, res, { identifier: req.params.identifier });
+    } catch (error) {
+        console.error('❌ PNG render error:', error);
+        res.status(500).json({
+            error: 'Failed to render PNG'
+        });
+    }
+});
 
-// Persistence tracking
-let mappingsDirty = false;
-let mappingsCounter = 0;
-let lastBDOBackup = Date.now();
+// PNG sizes offered for QR codes (they are square, so the cropped og card doesn't apply)
+const QR_PNG_SIZES = ['small', 'medium', 'large'];
 
-// File paths
-const MAPPINGS_FILE = join(__dirname, 'alphanumeric-mappings.json');
+// Minimum contrast between QR modules and background (WCAG AA) before falling back to black
+const QR_MIN_CONTRAST = 4.5;
 
 /**
- * Load alphanumeric mappings from filesystem on startup
+ * WCAG contrast ratio between two #rrggbb colors
  */
-async function loadMappings() {
-    try {
-        const fs = await import('fs/promises');
-        const data = await fs.readFile(MAPPINGS_FILE, 'utf-8');
-        const mappings = JSON.parse(data);
-
-        for (const [pubKey, metadata] of Object.entries(mappings)) {
-            bdoMetadataMap.set(pubKey, metadata);
-        }
+function contrastRatio(a, b) {
+    const luminance = (hex) => {
+        const [r, g, bl] = [1, 3, 5].map(i => parseInt(hex.substring(i, i + 2), 16) / 255)
+            .map(c => (c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)));
+        return 0.2126 * r + 0.7152 * g + 0.0722 * bl;
+    };
+    const [lighter, darker] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (lighter + 0.05) / (darker + 0.05);
+}
 
-        console.log(`📂 Loaded ${bdoMetadataMap.size} alphanumeric mappings from filesystem`);
-    } catch (err) {
-        if (err.code === 'ENOENT') {
-            console.log('📝 No existing mappings file, starting fresh');
-        } else {
-            console.error('❌ Error loading mappings:', err.message);
-        }
+/**
+ * QR colors taken from a tapestry: its light-mode ink on its light-mode background
+ * Scanners need dark modules on a light ground, so low-contrast pairs fall back to black ink.
+ */
+function getTapestryQRColors(bdoData) {
+    const template = isTemplateSpec(bdoData.template) ? null : bdoData.template || null;
+    const palette = buildTemplatePalette(template, 'light');
+    const background = palette.background.stops[0];
+    const foreground = palette.accentColor;
+
+    if (!/^#[0-9a-f]{6}$/i.test(foreground) || !/^#[0-9a-f]{6}$/i.test(background)) {
+        return { foreground: '#000000', background: '#ffffff' };
     }
+    return {
+        foreground: contrastRatio(foreground, background) >= QR_MIN_CONTRAST ? foreground : '#000000',
+        background
+    };
 }
 
 /**
- * Save alphanumeric mappings to filesystem (batched)
+ * Build the QR code SVG for a tapestry's alphanumeric URL
+ * Query: themed=1 (tapestry colors), mark=1 (first emoji of the emojicode) or mark=<emoji>
+ *
+ * @returns {Promise<{ svg: string } | { status: number, error: string }>}
+ */
+async function buildTapestryQR(req) {
+    const { identifier } = req.params;
+    const mapping = resolveTapestryMapping(identifier);
+    if (mapping.reason) {
+        return mapping;
+    }
+    const { emojicode } = mapping.metadata;
+
+    let mark = null;
+    if (req.query.mark === '1' || req.query.mark === 'true') {
+        mark = splitGraphemes(emojicode)[0];
+    } else if (req.query.mark) {
+        const graphemes = splitGraphemes(req.query.mark);
+        if (graphemes.length !== 1 || !/\p{Extended_Pictographic}/u.test(graphemes[0])) {
+            return { status: 400, error: 'mark must be 1 (the emojicode\'s first emoji) or a single emoji' };
+        }
+        mark = graphemes[0];
+    }
+
+    let colors = {};
+    let title = 'Linkitylink tapestry';
+    if (req.query.themed === '1' || req.query.themed === 'true') {
+        const tapestry = await resolveTapestry({ emojicode });
+        if (tapestry.reason) {
+            return tapestry;
+        }
+        colors = getTapestryQRColors(tapestry.bdoData);
+        title = tapestry.bdoData.title || title;
+    }
+
+    const url = `${getPublicBaseURL(req)}/t/${encodeURIComponent(identifier)}`;
+
+    // Level H leaves room for the center mark; plain codes stay smaller at level M
+    const qr = encodeQR(url, { ecc: mark ? 'H' : 'M' });
+    const svg = renderQRSVG(qr, { ...colors, mark, title: `QR code for ${title}: ${url}` });
+
+    console.log(`🔳 QR code for ${identifier} (version ${qr.version}${mark ? ', marked' : ''}${colors.foreground ? ', themed' : ''})`);
+    return { svg };
+}
+
+/**
+ * QR code of a tapestry's alphanumeric URL as SVG - /t/:identifier/qr.svg
+ * Query: themed=1, mark=1 | <emoji>
+ */
+app.get('/t/:identifier/qr.svg', async (req, res) => {
+    try {
+        const result = await buildTapestryQR(req);
+        if (result.error) {
+            return res.status(result.status).json(tapestryErrorBody(result));
+        }
+
+        res.set({
+            'Content-Type': 'image/svg+xml',
+            'Cache-Control': 'public, max-age=3600'
+        });
+        res.send(result.svg);
+    } catch (error) {
+        console.error('❌ QR code error:', error);
+        res.status(500).json({
+            error: 'Failed to generate QR code'
+        });
+    }
+});
+
+/**
+ * QR code of a tapestry's alphanumeric URL as PNG - /t/:identifier/qr.png
+ * Query: size = small | medium | large (default medium), themed=1, mark=1 | <emoji>
+ */
+app.get('/t/:identifier/qr.png', async (req, res) => {
+    try {
+        const size = resolvePNGSize(req.query.size);
+        if (!QR_PNG_SIZES.includes(size)) {
+            return res.status(400).json({
+                error: `size must be one of: ${QR_PNG_SIZES.join(', ')}`
+            });
+        }
+
+        const result = await buildTapestryQR(req);
+        if (result.error) {
+            return res.status(result.status).json(tapestryErrorBody(result));
+        }
+
+        const etag = pngETag(result.svg, size);
+        res.set({
+            'Content-Type': 'image/png',
+            'Cache-Control': 'public, max-age=3600',
+            'ETag': etag
+        });
+
+        if (req.get('If-None-Match') === etag) {
+            return res.status(304).end();
+        }
+
+        const { png } = await renderPNG(result.svg, size);
+        res.send(png);
+    } catch (error) {
+        console.error('❌ QR code error:', error);
+        res.status(500).json({
+            error: 'Failed to generate QR code'
+        });
+    }
+});
+
+/**
+ * Printable PDF of a tapestry - /t/:identifier/print.pdf
+ * Query: layout = poster | cards (default poster), paper = a4 | letter (default a4), themed=1
+ */
+app.get('/t/:identifier/print.pdf', async (req, res) => {
+    try {
+        const { identifier } = req.params;
+        const layout = req.query.layout || 'poster';
+        const paper = (req.query.paper || 'a4').toLowerCase();
+
+        if (!PRINT_LAYOUTS.includes(layout)) {
+            return res.status(400).json({
+                error: `layout must be one of: ${PRINT_LAYOUTS.join(', ')}`
+            });
+        }
+        if (!PRINT_PAPERS.includes(paper)) {
+            return res.status(400).json({
+                error: `paper must be one of: ${PRINT_PAPERS.join(', ')}`
+            });
+        }
+
+        const tapestry = await resolveTapestry({ identifier });
+        if (tapestry.reason) {
+            return res.status(tapestry.status).json(tapestryErrorBody(tapestry));
+        }
+        const { emojicode, bdoData } = tapestry;
+
+        const svgContent = typeof bdoData.svgContent === 'string' && bdoData.svgContent.trim()
+            ? bdoData.svgContent
+            : renderTapestrySVG(selectDisplayLinks(Array.isArray(bdoData.links) ? bdoData.links : []),
+                bdoData.template || null, { theme: bdoData.theme, layout: bdoData.layout, particles: bdoData.particles, title: bdoData.title, ...getTapestryProfile(bdoData) });
+
+        const themed = req.query.themed === '1' || req.query.themed === 'true';
+        const pdf = await renderPrintPDF({
+            title: bdoData.title || bdoData.name || 'My Links',
+            emojicode,
+            url: `${getPublicBaseURL(req)}/t/${encodeURIComponent(identifier)}`,
+            svgContent,
+            colors: themed ? getTapestryQRColors(bdoData) : {}
+        }, { layout, paper });
+
+        console.log(`🖨️ PDF ${layout} (${paper}) for ${identifier} (${pdf.length} bytes)`);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="tapestry-${identifier.replace(/[^a-zA-Z0-9_-]/g, '')}-${layout}.pdf"`,
+            'Cache-Control': 'public, max-age=3600'
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('❌ PDF render error:', error);
+        res.status(500).json({
+            error: 'Failed to render PDF'
+        });
+    }
+});
+
+/**
+ * View linkitylink by emojicode
+ * Route: /view/:emojicode (JSON with Accept: application/json)
+ */
+app.get('/view/:emojicode', async (req, res) => {
+    const locale = resolveLocale(req);
+    res.set('Content-Language', locale).vary('Accept-Language');
+
+    try {
+        const { emojicode } = req.params;
+
+        console.log(`😀 Fetching Linkitylink by emojicode: ${emojicode}`);
+
+        const tapestry = await resolveTapestry({ emojicode });
+        sendTapestry(req, res, tapestry, `/view/${encodeURIComponent(emojicode)}`, locale);
+
+    } catch (error) {
+        console.error('❌ Server error:', error);
+        res.status(500).send(generateErrorPage(t(locale, 'error.loadFailed'), locale));
+    }
+});
+
+/**
+ * Main route - Landing page or tapestry display
+ *
+ * No query params: Show landing page
+ * Query params (Method 1 - Emojicode):
+ * - emojicode: 8-emoji identifier for Linkitylink BDO
+ *   (unknown, malformed or unreachable tapestries get an error page, as on /view/:emojicode)
+ *
+ * Query params (Method 2 - Legacy Authentication):
+ * - pubKey: User's public key
+ * - timestamp: Request timestamp
+ * - signature: Sessionless signature (timestamp + pubKey)
+ */
+app.get('/', async (req, res) => {
+    const locale = resolveLocale(req);
+
+    try {
+        const { emojicode, pubKey, timestamp, signature } = req.query;
+
+        // Debug logging
+        console.log('🔍 GET / query params:', { emojicode: emojicode ? String(emojicode).substring(0, 20) + '...' : 'none', pubKey: pubKey ? String(pubKey).substring(0, 16) + '...' : 'none' });
+
+        // If no query parameters, serve landing page
+        if (!emojicode && !pubKey && !timestamp && !signature) {
+            const fs = await import('fs/promises');
+            const landingPage = await fs.readFile(join(__dirname, 'public', 'index.html'), 'utf-8');
+            return res.send(landingPage);
+        }
+
+        res.set('Content-Language', locale).vary('Accept-Language');
+
+        // Method 1: Fetch by emojicode (PUBLIC - no auth required)
+        if (emojicode) {
+            console.log(`😀 Fetching Linkitylink by emojicode: ${emojicode}`);
+
+            const tapestry = await resolveTapestry({ emojicode });
+            if (tapestry.reason) {
+                return sendTapestryErrorPage(res, tapestry, locale);
+            }
+
+            return res.send(generateTapestryPage(req, tapestry, `/view/${encodeURIComponent(emojicode)}`, locale));
+        }
+
+        let links = [];
+        let userName = 'Anonymous';
+        let authenticated = false;
+
+        // Method 2: Legacy authentication (for backward compatibility)
+        if (pubKey && timestamp && signature) {
+            console.log(`🔐 Authenticating request for pubKey: ${pubKey.substring(0, 16)}...`);
+
+            // Verify signature
+            const message = timestamp + pubKey;
+            const isValid = sessionless.verifySignature(signature, message, pubKey);
+
+            if (isValid) {
+                console.log('✅ Signature valid, fetching user BDO...');
+                authenticated = true;
+
+                try {
+                    // Fetch user's Fount BDO (which contains carrierBag)
+                    const userBDO = await fountLib.getBDO(pubKey);
+
+                    console.log('📦 User BDO fetched:', JSON.stringify(userBDO).substring(0, 200));
+
+                    // Extract carrierBag from BDO
+                    const bdo = userBDO.bdo || userBDO;
+                    const carrierBag = bdo.carrierBag || bdo.data?.carrierBag;
+
+                    if (carrierBag && carrierBag.links) {
+                        links = carrierBag.links;
+                        console.log(`🔗 Found ${links.length} links in carrierBag`);
+                    } else {
+                        console.log('⚠️ No links collection found in carrierBag');
+                    }
+
+                    // Try to get user name from BDO
+                    userName = bdo.name || bdo.title || 'My Links';
+
+                } catch (error) {
+                    console.error('❌ Failed to fetch user BDO:', error.message);
+                    // Continue with empty links array
+                }
+            } else {
+                console.log('❌ Invalid signature');
+            }
+        } else {
+            console.log('ℹ️ Incomplete authentication provided, showing demo');
+        }
+
+        // If no links, show demo links
+        if (links.length === 0) {
+            links = getDemoLinks();
+            userName = t(locale, 'page.demoTitle');
+        }
+
+        // Limit to MAX_DISPLAY_LINKS (the page reports the full count)
+        const displayLinks = selectDisplayLinks(links);
+
+        // Generate HTML page
+        const html = generateLinkitylinkPage(displayLinks, userName, authenticated, pubKey, {
+            totalLinkCount: links.length,
+            locale
+        });
+
+        res.send(html);
+
+    } catch (error) {
+        console.error('❌ Server error:', error);
+        res.status(500).send(generateErrorPage(t(locale, 'error.loadFailed'), locale));
+    }
+});
+
+// In-memory mapping of pubKey to metadata for alphanumeric URLs
+const bdoMetadataMap = new Map();
+
+// Sorted pubKeys for prefix lookups, and the identifiers issued at creation (identifier -> pubKey)
+const identifierIndex = new IdentifierIndex();
+const issuedIdentifiers = new Map();
+
+// Vanity handles claimed by tapestries (kept in each mapping as metadata.handle)
+const tapestryHandles = new HandleRegistry();
+
+/**
+ * Record a tapestry's metadata and index it for alphanumeric URLs
+ *
+ * New tapestries are issued the shortest identifier no other tapestry's pubKey starts
+ * with (at least MIN_IDENTIFIER_LENGTH characters), stored as metadata.identifier.
+ *
+ * @returns {string} The tapestry's identifier
+ */
+function registerTapestryMapping(pubKey, metadata) {
+    bdoMetadataMap.set(pubKey, metadata);
+    identifierIndex.add(pubKey);
+
+    if (!metadata.identifier) {
+        metadata.identifier = identifierIndex.uniquePrefix(pubKey);
+    }
+    issuedIdentifiers.set(metadata.identifier, pubKey);
+
+    return metadata.identifier;
+}
+
+/**
+ * Forget a deleted tapestry's mapping, freeing its handle and identifier for reuse
+ */
+function unregisterTapestryMapping(pubKey) {
+    const metadata = bdoMetadataMap.get(pubKey);
+    if (!metadata) {
+        return;
+    }
+
+    tapestryHandles.release(pubKey);
+    if (issuedIdentifiers.get(metadata.identifier) === pubKey) {
+        issuedIdentifiers.delete(metadata.identifier);
+    }
+    identifierIndex.delete(pubKey);
+    bdoMetadataMap.delete(pubKey);
+}
+
+// Persistence tracking
+let mappingsDirty = false;
+let mappingsCounter = 0;
+let lastBDOBackup = Date.now();
+
+// File paths
+const MAPPINGS_FILE = join(__dirname, 'alphanumeric-mappings.json');
+
+/**
+ * Load alphanumeric mappings from filesystem on startup
+ */
+async function loadMappings() {
+    try {
+        const fs = await import('fs/promises');
+        const data = await fs.readFile(MAPPINGS_FILE, 'utf-8');
+        const mappings = JSON.parse(data);
+
+        // Tapestries from before identifiers were issued are indexed without one until
+        // getTapestryIdentifier issues it; their 16-character links keep working as plain prefixes
+        for (const [pubKey, metadata] of Object.entries(mappings)) {
+            bdoMetadataMap.set(pubKey, metadata);
+            identifierIndex.add(pubKey);
+            if (metadata.identifier) {
+                issuedIdentifiers.set(metadata.identifier, pubKey);
+            }
+            if (metadata.handle) {
+                const claimed = tapestryHandles.claim(metadata.handle, pubKey);
+                if (claimed.error) {
+                    console.warn(`⚠️ Tapestry ${pubKey.substring(0, 16)}... can't keep @${metadata.handle}: ${claimed.error}`);
+                }
+            }
+        }
+
+        console.log(`📂 Loaded ${bdoMetadataMap.size} alphanumeric mappings from filesystem`);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            console.log('📝 No existing mappings file, starting fresh');
+        } else {
+            console.error('❌ Error loading mappings:', err.message);
+        }
+    }
+}
+
+/**
+ * Save alphanumeric mappings to filesystem (batched)
  */
 async function saveMappingsToFilesystem() {
     try {
@@ -429,128 +1084,665 @@ loadMappings();
 
 /**
  * Alphanumeric path route - /t/:identifier
- * Provides shareable alphanumeric URLs using pubKey (first 16 chars)
+ * Provides shareable alphanumeric URLs using a pubKey prefix (JSON with Accept: application/json)
  */
 app.get('/t/:identifier', async (req, res) => {
+    const locale = resolveLocale(req);
+    res.set('Content-Language', locale).vary('Accept-Language');
+
     try {
         const { identifier } = req.params;
 
         console.log(`🔗 Fetching Linkitylink by identifier: ${identifier}`);
 
-        // Look up full pubKey from identifier
-        let pubKey = null;
-        for (const [key, metadata] of bdoMetadataMap.entries()) {
-            if (key.startsWith(identifier)) {
-                pubKey = key;
-                break;
-            }
+        const tapestry = await resolveTapestry({ identifier });
+        if (!tapestry.reason) {
+            console.log(`🔗 Found emojicode: ${tapestry.emojicode}`);
         }
 
-        if (!pubKey) {
-            throw new Error('Tapestry not found. Identifier may have expired.');
-        }
+        sendTapestry(req, res, tapestry, `/t/${encodeURIComponent(identifier)}`, locale);
 
-        // Get emojicode from metadata
-        const metadata = bdoMetadataMap.get(pubKey);
-        const emojicode = metadata.emojicode;
+    } catch (error) {
+        console.error('❌ Server error:', error);
+        res.status(500).send(generateErrorPage(t(locale, 'error.loadFailed'), locale));
+    }
+});
 
-        console.log(`🔗 Found emojicode: ${emojicode}`);
+/**
+ * PNG export by vanity handle - /@handle.png
+ * Query: size = small | medium | large | og (default medium)
+ * Registered before /@:handle so the extension isn't read as part of the handle
+ */
+app.get('/@:handle.png', async (req, res) => {
+    try {
+        await sendTapestryPNG(req, res, { handle: req.params.handle });
+    } catch (error) {
+        console.error('❌ PNG render error:', error);
+        res.status(500).json({
+            error: 'Failed to render PNG'
+        });
+    }
+});
 
-        let links = [];
-        let userName = 'Anonymous';
+/**
+ * Vanity handle routes - /@handle and /u/handle
+ * Only the exact handle finds its tapestry (case and NFKC width aside: /@Jane_Doe opens
+ * @jane_doe, /@Jane-Doe doesn't). JSON with Accept: application/json.
+ */
+app.get(['/@:handle', '/u/:handle'], async (req, res) => {
+    const locale = resolveLocale(req);
+    res.set('Content-Language', locale).vary('Accept-Language');
 
-        try {
-            // Fetch BDO by emojicode (same as emojicode route)
-            const linkHubBDO = await bdoLib.getBDOByEmojicode(emojicode);
+    try {
+        const { handle } = req.params;
 
-            console.log('📦 Linkitylink BDO fetched:', JSON.stringify(linkHubBDO).substring(0, 200));
+        console.log(`🏷️ Fetching Linkitylink by handle: @${handle}`);
 
-            // Extract links from BDO data
-            const bdoData = linkHubBDO.bdo || linkHubBDO;
+        const tapestry = await resolveTapestry({ handle });
+        sendTapestry(req, res, tapestry, getTapestryHandlePath(tapestry.metadata), locale);
 
-            if (bdoData.links && Array.isArray(bdoData.links)) {
-                links = bdoData.links;
-                console.log(`🔗 Found ${links.length} links in Linkitylink BDO`);
-            } else {
-                console.log('⚠️ No links array found in Linkitylink BDO');
-            }
+    } catch (error) {
+        console.error('❌ Server error:', error);
+        res.status(500).send(generateErrorPage(t(locale, 'error.loadFailed'), locale));
+    }
+});
 
-            // Get user name from BDO
-            userName = bdoData.title || bdoData.name || 'My Links';
+/**
+ * Public read API - /api/v1/tapestries/:id
+ *
+ * The id is an alphanumeric identifier, an emojicode or an @handle. Returns the
+ * tapestry's JSON document (fields documented in lib/tapestry-document.js), or
+ * { error } with the same statuses as the page routes. Any origin may read it.
+ */
+app.get('/api/v1/tapestries/:id', async (req, res) => {
+    res.set('Access-Control-Allow-Origin', '*');
 
-        } catch (error) {
-            console.error('❌ Failed to fetch Linkitylink BDO:', error.message);
-            // Continue with empty links array
+    try {
+        const tapestry = await resolveTapestry(parseTapestryId(req.params.id));
+        if (tapestry.reason) {
+            return sendTapestryErrorJSON(res, tapestry);
         }
 
-        // If no links, show demo links
-        if (links.length === 0) {
-            links = getDemoLinks();
-            userName = 'Demo Links';
+        res.json(getTapestryDocument(req, tapestry));
+
+    } catch (error) {
+        console.error('❌ API error:', error);
+        res.status(500).json({
+            error: 'Failed to load tapestry'
+        });
+    }
+});
+
+/**
+ * Map a tapestry page URL to its emojicode
+ * Understands /t/:identifier, /@handle, /u/handle, /view/:emojicode and /?emojicode=
+ *
+ * @param {string} url - Absolute tapestry URL
+ * @returns {{ emojicode: string, path: string }|null}
+ */
+function resolveTapestryURL(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+
+    const alphanumeric = parsed.pathname.match(/^\/t\/([^/]+)\/?$/);
+    if (alphanumeric) {
+        const identifier = decodeURIComponent(alphanumeric[1]);
+        const emojicode = findEmojicodeByIdentifier(identifier);
+        return emojicode ? { emojicode, path: `/t/${encodeURIComponent(identifier)}` } : null;
+    }
+
+    const byHandle = parsed.pathname.match(/^\/(?:@|u\/)([^/]+)\/?$/);
+    if (byHandle) {
+        const mapping = resolveTapestryHandle(decodeURIComponent(byHandle[1]));
+        return mapping.reason ? null : { emojicode: mapping.metadata.emojicode, path: getTapestryHandlePath(mapping.metadata) };
+    }
+
+    const byEmojicode = parsed.pathname.match(/^\/view\/([^/]+)\/?$/);
+    const emojicode = byEmojicode
+        ? decodeURIComponent(byEmojicode[1])
+        : (parsed.pathname === '/' ? parsed.searchParams.get('emojicode') : null);
+
+    return emojicode ? { emojicode, path: `/view/${encodeURIComponent(emojicode)}` } : null;
+}
+
+/**
+ * Read the pixel size from an SVG's root element
+ * @returns {{ width: number, height: number }}
+ */
+function getSVGDimensions(svg) {
+    const root = String(svg || '').match(/<svg\b[^>]*>/i);
+    const width = root && root[0].match(/\swidth="(\d+(?:\.\d+)?)"/);
+    const height = root && root[0].match(/\sheight="(\d+(?:\.\d+)?)"/);
+    return {
+        width: width ? Number(width[1]) : 700,
+        height: height ? Number(height[1]) : 400
+    };
+}
+
+/**
+ * oEmbed endpoint - lets CMSs embed a tapestry by URL (https://oembed.com)
+ *
+ * Query params:
+ * - url: Tapestry URL (/t/:identifier, /@handle, /view/:emojicode or /?emojicode=)
+ * - format: Only "json" is supported
+ * - maxwidth, maxheight: Optional size limits for the embed
+ *
+ * Returns a "rich" response whose html is an iframe of /embed/:identifier.
+ */
+app.get('/oembed', async (req, res) => {
+    try {
+        const { url, format = 'json' } = req.query;
+
+        if (format !== 'json') {
+            return res.status(501).json({
+                error: 'Only format=json is supported'
+            });
+        }
+
+        if (!url) {
+            return res.status(400).json({
+                error: 'url parameter is required'
+            });
         }
 
-        // Limit to 20 links
-        const displayLinks = links.slice(0, 20);
+        const tapestry = resolveTapestryURL(url);
+        if (!tapestry) {
+            return res.status(404).json({
+                error: 'Not a known tapestry URL'
+            });
+        }
 
-        // Generate HTML page
-        const html = generateLinkitylinkPage(displayLinks, userName, false, null);
+        const resolved = await resolveTapestry({ emojicode: tapestry.emojicode });
+        if (resolved.reason) {
+            return res.status(resolved.status).json(tapestryErrorBody(resolved));
+        }
+        const { bdoData } = resolved;
+
+        const title = bdoData.title || bdoData.name || 'My Links';
+        const linkCount = Array.isArray(bdoData.links) ? bdoData.links.length : 0;
+        const { imageUrl, embedUrl } = getTapestryShareURLs(req, tapestry.path);
+
+        // Fit the tapestry's own aspect ratio inside maxwidth/maxheight
+        const svgSize = getSVGDimensions(bdoData.svgContent);
+        const maxWidth = Number.parseInt(req.query.maxwidth, 10);
+        const maxHeight = Number.parseInt(req.query.maxheight, 10);
+        let scale = Math.min(1, maxWidth > 0 ? maxWidth / svgSize.width : 1);
+        if (maxHeight > 0) {
+            scale = Math.min(scale, maxHeight / svgSize.height);
+        }
+        const width = Math.round(svgSize.width * scale);
+        const height = Math.round(svgSize.height * scale);
 
-        res.send(html);
+        const html = `<iframe src="${escapeXML(embedUrl)}" width="${width}" height="${height}" style="border: 0; max-width: 100%;" loading="lazy" title="${escapeXML(`${title} - ${describeTapestry(linkCount)}`)}"></iframe>`;
+
+        res.json({
+            version: '1.0',
+            type: 'rich',
+            provider_name: 'Linkitylink',
+            provider_url: `${getPublicBaseURL(req)}/`,
+            title,
+            html,
+            width,
+            height,
+            thumbnail_url: imageUrl,
+            thumbnail_width: PNG_SIZES.og.width,
+            thumbnail_height: PNG_SIZES.og.height,
+            cache_age: 3600
+        });
 
     } catch (error) {
-        console.error('❌ Server error:', error);
-        res.status(500).send(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Linkitylink Error</title>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <style>
-                    body {
-                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                        color: white;
-                        display: flex;
-                        align-items: center;
-                        justify-content: center;
-                        min-height: 100vh;
-                        margin: 0;
-                        padding: 20px;
-                    }
-                    .error {
-                        background: rgba(255,255,255,0.1);
-                        padding: 40px;
-                        border-radius: 20px;
-                        text-align: center;
-                    }
-                </style>
-            </head>
-            <body>
-                <div class="error">
-                    <h1>⚠️ Error</h1>
-                    <p>${error.message}</p>
-                </div>
-            </body>
-            </html>
-        `);
+        console.error('❌ oEmbed error:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Embed width limits (px) for the ?width= and ?height= query params
+const EMBED_MIN_SIZE = 100;
+const EMBED_MAX_SIZE = 1400;
+
+/**
+ * Parse an embed size query param
+ * @returns {number|null|undefined} Pixels, undefined when omitted, null when invalid
+ */
+function parseEmbedSize(value) {
+    if (value === undefined || value === '') return undefined;
+    const size = Number(value);
+    if (!Number.isInteger(size) || size < EMBED_MIN_SIZE || size > EMBED_MAX_SIZE) return null;
+    return size;
+}
+
+/**
+ * Full-page error for the tapestry view routes, in the page's purple chrome
+ * @param {string[]} [choices] - Paths to offer as links under the message
+ */
+function generateErrorPage(message, locale = DEFAULT_LOCALE, choices = []) {
+    return `<!DOCTYPE html>
+<html lang="${locale}" dir="${localeDirection(locale)}">
+<head>
+    <title>${escapeXML(t(locale, 'error.pageTitle'))}</title>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            margin: 0;
+            padding: 20px;
+        }
+        .error {
+            background: rgba(255,255,255,0.1);
+            padding: 40px;
+            border-radius: 20px;
+            text-align: center;
+        }
+        .error ul {
+            list-style: none;
+            padding: 0;
+            margin: 20px 0 0;
+        }
+        .error a {
+            color: white;
+            font-family: monospace;
+            font-size: 1.1rem;
+            line-height: 2;
+        }
+    </style>
+</head>
+<body>
+    <div class="error">
+        <h1>⚠️ ${escapeXML(t(locale, 'error.title'))}</h1>
+        <p dir="auto">${escapeXML(message)}</p>
+        ${choices.length > 0 ? `<ul>
+            ${choices.map(href => `<li><a href="${escapeXML(href)}">${escapeXML(href)}</a></li>`).join('\n            ')}
+        </ul>` : ''}
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Minimal HTML page for embed errors (frames can't show JSON nicely)
+ */
+function generateEmbedErrorPage(message, locale = DEFAULT_LOCALE) {
+    return `<!DOCTYPE html>
+<html lang="${locale}" dir="${localeDirection(locale)}">
+<head>
+    <meta charset="UTF-8">
+    <title>Linkitylink</title>
+    <style>
+        body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #6b7280; text-align: center; padding: 20px; }
+    </style>
+</head>
+<body>
+    <p>🔗 ${escapeXML(message)}</p>
+</body>
+</html>`;
+}
+
+/**
+ * Embed route - /embed/:identifier
+ * Serves only the tapestry SVG for use in an iframe (blogs, federated wiki pages).
+ * The identifier can be an alphanumeric identifier, an emojicode or an @handle.
+ *
+ * Query params:
+ * - transparent: "1" or "true" to drop the tapestry background
+ * - width: Fixed width in px (100-1400); default fills the frame
+ * - height: Fixed height in px (100-1400); the tapestry is scaled to fit
+ * - theme: Override the color mode ('dark', 'light' or 'auto')
+ *
+ * The page reports its height to the parent as
+ * { type: 'linkitylink:resize', height } so embed snippets can auto-size the iframe.
+ */
+app.get('/embed/:identifier', async (req, res) => {
+    // Frame-friendly: any site may embed, but the frame itself can't load anything
+    const nonce = randomBytes(16).toString('base64');
+    const locale = resolveLocale(req);
+    res.set({
+        'Content-Security-Policy': `default-src 'none'; style-src 'unsafe-inline'; img-src data:; script-src 'nonce-${nonce}'; frame-ancestors *`,
+        'Cache-Control': 'public, max-age=300',
+        'Content-Language': locale
+    }).vary('Accept-Language');
+
+    try {
+        const { identifier } = req.params;
+        const width = parseEmbedSize(req.query.width);
+        const height = parseEmbedSize(req.query.height);
+
+        if (width === null || height === null) {
+            return res.status(400).send(generateEmbedErrorPage(
+                `width and height must be whole numbers between ${EMBED_MIN_SIZE} and ${EMBED_MAX_SIZE}`,
+                locale
+            ));
+        }
+
+        if (req.query.theme !== undefined && !THEME_MODES.includes(req.query.theme)) {
+            return res.status(400).send(generateEmbedErrorPage(`theme must be one of: ${THEME_MODES.join(', ')}`, locale));
+        }
+
+        const tapestry = await resolveTapestry(parseTapestryId(identifier));
+        if (tapestry.reason) {
+            return res.status(tapestry.status).send(generateEmbedErrorPage(t(locale, `error.${tapestry.reason}`), locale));
+        }
+        const { emojicode, bdoData } = tapestry;
+
+        const links = Array.isArray(bdoData.links) ? bdoData.links : [];
+        const title = bdoData.title || bdoData.name || 'My Links';
+        const transparent = req.query.transparent === '1' || req.query.transparent === 'true';
+        const svg = renderTapestrySVG(selectDisplayLinks(links), bdoData.template || null, {
+            theme: req.query.theme || bdoData.theme,
+            layout: bdoData.layout,
+            particles: bdoData.particles,
+            locale,
+            transparent,
+            title,
+            ...getTapestryProfile(bdoData)
+        });
+
+        console.log(`🪟 Embed for ${emojicode} (${links.length} links${transparent ? ', transparent' : ''})`);
+
+        res.send(`<!DOCTYPE html>
+<html lang="${locale}" dir="${localeDirection(locale)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeXML(title)} - Linkitylink</title>
+    <style>
+        html, body {
+            margin: 0;
+            padding: 0;
+            background: transparent;
+        }
+
+        svg {
+            display: block;
+            margin: 0 auto;
+            max-width: 100%;
+            width: ${width ? `${width}px` : '100%'};
+            height: ${height ? `${height}px` : 'auto'};
+        }
+    </style>
+</head>
+<body>
+    ${svg}
+    <script nonce="${nonce}">
+        (function () {
+            function reportHeight() {
+                parent.postMessage({ type: 'linkitylink:resize', height: document.documentElement.scrollHeight }, '*');
+            }
+            window.addEventListener('load', reportHeight);
+            window.addEventListener('resize', reportHeight);
+        })();
+    </script>
+</body>
+</html>`);
+
+    } catch (error) {
+        console.error('❌ Embed error:', error);
+        res.status(500).send(generateEmbedErrorPage(t(locale, 'error.loadFailed'), locale));
     }
 });
 
+/**
+ * Semantic list of the tapestry's links for assistive tech
+ * Visually hidden (and out of the tab order, since the SVG links are focusable) unless
+ * the page script finds the SVG didn't render, in which case it is shown instead.
+ */
+function generateLinkListFallback(links, locale) {
+    const item = (link) => {
+        return `<li><a href="${escapeXML(safeLinkHref(link.url))}" target="_blank" rel="noopener" tabindex="-1" dir="auto">${escapeXML(link.title || t(locale, 'untitled'))}</a></li>`;
+    };
+
+    // Consecutive links in the same group share a sub-list under a heading
+    const sections = [];
+    for (const link of links.filter(l => !l.isSocial)) {
+        const group = link.group || null;
+        const last = sections[sections.length - 1];
+        if (last && last.group === group) {
+            last.links.push(link);
+        } else {
+            sections.push({ group, links: [link] });
+        }
+    }
+
+    const socialLinks = links.filter(l => l.isSocial);
+    if (socialLinks.length > 0) {
+        sections.push({ group: t(locale, 'socialProfiles'), links: socialLinks });
+    }
+
+    const listItems = sections.map(section => section.group
+        ? `<li>
+                <h2 dir="auto">${escapeXML(section.group)}</h2>
+                <ul>
+                    ${section.links.map(item).join('\n                    ')}
+                </ul>
+            </li>`
+        : section.links.map(item).join('\n            ')
+    ).join('\n            ');
+
+    return `<nav class="link-list-fallback sr-only" id="link-list-fallback" aria-label="${escapeXML(t(locale, 'page.linksNav'))}">
+        <ul>
+            ${listItems}
+        </ul>
+    </nav>`;
+}
+
+/**
+ * One-line summary of a tapestry for link previews
+ */
+function describeTapestry(linkCount, locale) {
+    return t(locale, 'page.description', { links: t(locale, 'linkCount', { count: linkCount }) });
+}
+
+/**
+ * Page chrome colors for each color mode (the dark set is the original purple page)
+ * Used for tapestries without template colors; see buildPageThemeVariables.
+ */
+const PAGE_THEME_VARIABLES = {
+    dark: {
+        '--page-bg': 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        '--page-text': 'white',
+        '--page-text-muted': 'rgba(255,255,255,0.9)',
+        '--page-text-faint': 'rgba(255,255,255,0.7)',
+        '--chip-bg': 'rgba(255,255,255,0.2)',
+        '--chip-bg-hover': 'rgba(255,255,255,0.35)',
+        '--panel-bg': 'rgba(255,255,255,0.1)',
+        '--frame-bg': 'white',
+        '--cta-bg': 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
+        '--cta-text': 'white',
+        '--cta-glow': 'rgba(16,185,129,0.3)',
+        '--cta-glow-hover': 'rgba(16,185,129,0.4)'
+    },
+    light: {
+        '--page-bg': 'linear-gradient(135deg, #f5f3ff 0%, #e0e7ff 100%)',
+        '--page-text': '#2e1065',
+        '--page-text-muted': 'rgba(46,16,101,0.85)',
+        '--page-text-faint': 'rgba(46,16,101,0.6)',
+        '--chip-bg': 'rgba(76,29,149,0.1)',
+        '--chip-bg-hover': 'rgba(76,29,149,0.2)',
+        '--panel-bg': 'rgba(255,255,255,0.6)',
+        '--frame-bg': 'white',
+        '--cta-bg': 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
+        '--cta-text': 'white',
+        '--cta-glow': 'rgba(16,185,129,0.3)',
+        '--cta-glow-hover': 'rgba(16,185,129,0.4)'
+    }
+};
+
+/**
+ * rgba() string for a hex color
+ */
+function hexToRGBA(color, alpha) {
+    const hex = shadeColor(color, 0);
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.substring(i, i + 2), 16));
+    return `rgba(${r},${g},${b},${alpha})`;
+}
+
+// Contrast page text needs against every stop of the page background (WCAG AA)
+const PAGE_TEXT_MIN_CONTRAST = 4.5;
+
+/**
+ * Pick the first text color that is legible across every background color,
+ * or whichever comes closest if none is
+ */
+function pickReadableColor(candidates, backgrounds) {
+    const worstContrast = (color) => Math.min(...backgrounds.map(bg => contrastRatio(color, bg)));
+    return candidates.find(color => worstContrast(color) >= PAGE_TEXT_MIN_CONTRAST) ||
+        candidates.reduce((best, color) => (worstContrast(color) > worstContrast(best) ? color : best));
+}
+
+/**
+ * Page chrome colors for one mode of a template palette
+ * The page sits a shade deeper than the tapestry's own background so the frame stands out.
+ */
+function derivePageThemeVariables(palette, ink, depth) {
+    const stops = palette.background.stops.map(color => shadeColor(color, depth));
+    const text = pickReadableColor(['#ffffff', ink], stops);
+    const [ctaStart, ctaEnd] = palette.linkGradients[0].map(color => shadeColor(color, 0));
+    const ctaText = pickReadableColor(['#ffffff', shadeColor(ctaEnd, -60)], [ctaStart, ctaEnd]);
+    const gradientStops = stops
+        .map((color, index) => `${color} ${stops.length > 1 ? Math.round((index / (stops.length - 1)) * 100) : 0}%`)
+        .join(', ');
+
+    return {
+        '--page-bg': `linear-gradient(135deg, ${gradientStops})`,
+        '--page-text': text,
+        '--page-text-muted': hexToRGBA(text, 0.9),
+        '--page-text-faint': hexToRGBA(text, 0.7),
+        '--chip-bg': hexToRGBA(text, 0.15),
+        '--chip-bg-hover': hexToRGBA(text, 0.3),
+        '--panel-bg': text === '#ffffff' ? 'rgba(0,0,0,0.15)' : 'rgba(255,255,255,0.35)',
+        '--frame-bg': text === '#ffffff' ? 'rgba(255,255,255,0.12)' : 'rgba(255,255,255,0.45)',
+        '--cta-bg': `linear-gradient(135deg, ${ctaStart} 0%, ${ctaEnd} 100%)`,
+        '--cta-text': ctaText,
+        '--cta-glow': hexToRGBA(ctaStart, 0.3),
+        '--cta-glow-hover': hexToRGBA(ctaStart, 0.4)
+    };
+}
+
+/**
+ * Page chrome colors for a tapestry, keyed by color mode
+ * Templates with usable colors tint the page, header and footer to match the tapestry;
+ * everything else (no template, full layout templates) keeps the original purple page.
+ */
+function buildPageThemeVariables(template) {
+    if (!template || isTemplateSpec(template)) return PAGE_THEME_VARIABLES;
+
+    // buildTemplatePalette falls back to the gemstone palettes when the colors are unusable
+    const palette = buildTemplatePalette(template, 'auto');
+    if (palette.lightVariant === LIGHT_PALETTE) return PAGE_THEME_VARIABLES;
+
+    const ink = palette.lightVariant.headerColor;
+    return {
+        dark: derivePageThemeVariables(palette, shadeColor(ink, -20), -12),
+        light: derivePageThemeVariables(palette.lightVariant, ink, 0)
+    };
+}
+
+/**
+ * Generate the CSS custom properties for a page color mode
+ * 'auto' starts dark and switches with prefers-color-scheme, matching the SVG
+ */
+function generatePageThemeCSS(theme, variables = PAGE_THEME_VARIABLES) {
+    const declarations = (mode) => Object.entries(variables[mode])
+        .map(([name, value]) => `${name}: ${value};`)
+        .join('\n            ');
+
+    if (theme === 'auto') {
+        return `:root {
+            ${declarations('dark')}
+        }
+
+        @media (prefers-color-scheme: light) {
+            :root {
+                ${declarations('light').replace(/\n {12}/g, '\n                ')}
+            }
+        }`;
+    }
+
+    return `:root {
+            ${declarations(theme)}
+        }`;
+}
+
 /**
  * Generate the main Linkitylink HTML page
+ *
+ * Options:
+ * - template: Template recorded on the BDO (null for the default palette)
+ * - theme: Color mode recorded on the BDO ('dark', 'light' or 'auto')
+ * - layout: Layout recorded on the BDO (LAYOUT_CHOICES)
+ * - particles: Particle preset recorded on the BDO (PARTICLE_PRESETS)
+ * - pageUrl: Absolute URL of the tapestry page (og:url)
+ * - imageUrl: Absolute URL of the tapestry's PNG preview, used as og:image
+ * - oembedUrl: Absolute oEmbed URL for the page, advertised for discovery
+ * - totalLinkCount: Number of links on the BDO before MAX_DISPLAY_LINKS was applied
+ * - hidePurchasePrompt: Leave out the "Weave Your Own" call to action (paid tapestries whose owner opted out)
+ * - locale: Language of the page chrome and SVG captions (from resolveLocale)
  */
-function generateLinkitylinkPage(links, userName, authenticated, pubKey) {
-    const linkCount = links.length;
-    const svgTemplate = chooseSVGTemplate(linkCount);
+function generateLinkitylinkPage(links, userName, authenticated, pubKey, options = {}) {
+    const {
+        template = null,
+        pageUrl = null,
+        imageUrl = null,
+        oembedUrl = null,
+        profile = {},
+        totalLinkCount = links.length,
+        hidePurchasePrompt = false,
+        locale = DEFAULT_LOCALE
+    } = options;
+    const theme = normalizeTheme(options.theme);
+    const layout = normalizeLayout(options.layout);
+    const particles = normalizeParticles(options.particles);
+    const safeName = escapeXML(userName);
+    const description = escapeXML(describeTapestry(totalLinkCount, locale));
+    const hiddenLinkCount = Math.max(0, totalLinkCount - links.length);
+
+    // Jump links for the paged layout's panels
+    const usesPagedLayout = !isTemplateSpec(template) && chooseSVGTemplate(links, layout) === generatePagedSVG;
+    const pageCount = usesPagedLayout
+        ? Math.ceil(links.filter(link => !link.isSocial).length / PAGED_LINKS_PER_PAGE)
+        : 0;
 
     return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${locale}" dir="${localeDirection(locale)}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${userName} - Linkitylink</title>
+    <title>${safeName} - Linkitylink</title>
+    <meta name="description" content="${description}">
+    <meta name="color-scheme" content="${theme === 'auto' ? 'dark light' : theme}">
+
+    <!-- Link previews (Open Graph, Twitter Card, oEmbed discovery) -->
+    <meta property="og:type" content="website">
+    <meta property="og:site_name" content="Linkitylink">
+    <meta property="og:title" content="${safeName}">
+    <meta property="og:description" content="${description}">
+    ${pageUrl ? `<meta property="og:url" content="${escapeXML(pageUrl)}">
+    <link rel="canonical" href="${escapeXML(pageUrl)}">` : ''}
+    ${imageUrl ? `<meta property="og:image" content="${escapeXML(imageUrl)}">
+    <meta property="og:image:type" content="image/png">
+    <meta property="og:image:width" content="${PNG_SIZES.og.width}">
+    <meta property="og:image:height" content="${PNG_SIZES.og.height}">
+    <meta property="og:image:alt" content="${safeName} - ${description}">` : ''}
+    <meta name="twitter:card" content="${imageUrl ? 'summary_large_image' : 'summary'}">
+    <meta name="twitter:title" content="${safeName}">
+    <meta name="twitter:description" content="${description}">
+    ${imageUrl ? `<meta name="twitter:image" content="${escapeXML(imageUrl)}">` : ''}
+    ${oembedUrl ? `<link rel="alternate" type="application/json+oembed" href="${escapeXML(oembedUrl)}" title="${safeName}">` : ''}
     <style>
+        ${generatePageThemeCSS(theme, buildPageThemeVariables(template))}
+
         * {
             margin: 0;
             padding: 0;
@@ -559,7 +1751,7 @@ function generateLinkitylinkPage(links, userName, authenticated, pubKey) {
 
         body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            background: var(--page-bg);
             min-height: 100vh;
             padding: 40px 20px;
             display: flex;
@@ -573,7 +1765,7 @@ function generateLinkitylinkPage(links, userName, authenticated, pubKey) {
         }
 
         .header h1 {
-            color: white;
+            color: var(--page-text);
             font-size: 2.5rem;
             margin-bottom: 10px;
             text-shadow: 0 2px 10px rgba(0,0,0,0.2);
@@ -581,14 +1773,40 @@ function generateLinkitylinkPage(links, userName, authenticated, pubKey) {
 
         .header .badge {
             display: inline-block;
-            background: rgba(255,255,255,0.2);
-            color: white;
+            background: var(--chip-bg);
+            color: var(--page-text);
             padding: 5px 15px;
             border-radius: 20px;
             font-size: 0.9rem;
             margin-top: 10px;
         }
 
+        .link-count-note {
+            color: var(--page-text-muted);
+            font-size: 0.95rem;
+            margin-top: 12px;
+        }
+
+        .page-nav {
+            display: flex;
+            justify-content: center;
+            gap: 8px;
+            margin-top: 15px;
+        }
+
+        .page-nav a {
+            color: var(--page-text);
+            background: var(--chip-bg);
+            padding: 4px 12px;
+            border-radius: 12px;
+            text-decoration: none;
+            font-size: 0.9rem;
+        }
+
+        .page-nav a:hover {
+            background: var(--chip-bg-hover);
+        }
+
         .links-container {
             max-width: 600px;
             width: 100%;
@@ -612,237 +1830,1546 @@ function generateLinkitylinkPage(links, userName, authenticated, pubKey) {
             box-shadow: 0 6px 30px rgba(0,0,0,0.15);
         }
 
-        .link-card .title {
-            font-size: 1.2rem;
-            font-weight: 600;
-            color: #333;
-            margin-bottom: 5px;
-        }
+        .link-card .title {
+            font-size: 1.2rem;
+            font-weight: 600;
+            color: #333;
+            margin-bottom: 5px;
+        }
+
+        .link-card .url {
+            font-size: 0.9rem;
+            color: #666;
+            word-break: break-all;
+        }
+
+        .svg-container {
+            max-width: 800px;
+            width: 100%;
+            margin-bottom: 40px;
+            background: var(--frame-bg);
+            border-radius: 20px;
+            padding: 30px;
+            box-shadow: 0 10px 40px rgba(0,0,0,0.2);
+        }
+
+        .cta-container {
+            text-align: center;
+            background: var(--panel-bg);
+            border-radius: 20px;
+            padding: 40px;
+            max-width: 600px;
+            width: 100%;
+            backdrop-filter: blur(10px);
+        }
+
+        .cta-container h2 {
+            color: var(--page-text);
+            margin-bottom: 20px;
+            font-size: 1.8rem;
+        }
+
+        .cta-container p {
+            color: var(--page-text-muted);
+            margin-bottom: 25px;
+            font-size: 1.1rem;
+            line-height: 1.6;
+        }
+
+        .cta-button {
+            background: var(--cta-bg);
+            color: var(--cta-text);
+            padding: 15px 40px;
+            border-radius: 30px;
+            text-decoration: none;
+            font-weight: 600;
+            font-size: 1.1rem;
+            display: inline-block;
+            transition: transform 0.2s, box-shadow 0.2s;
+            box-shadow: 0 4px 20px var(--cta-glow);
+        }
+
+        .cta-button:hover {
+            transform: translateY(-2px);
+            box-shadow: 0 6px 30px var(--cta-glow-hover);
+        }
+
+        .footer {
+            margin-top: 40px;
+            text-align: center;
+            color: var(--page-text-faint);
+            font-size: 0.9rem;
+        }
+
+        .sr-only {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            padding: 0;
+            margin: -1px;
+            overflow: hidden;
+            clip: rect(0, 0, 0, 0);
+            white-space: nowrap;
+            border: 0;
+        }
+
+        .link-list-fallback:not(.sr-only) {
+            max-width: 600px;
+            width: 100%;
+            margin-bottom: 40px;
+            background: white;
+            border-radius: 20px;
+            padding: 30px;
+        }
+
+        .link-list-fallback ul {
+            list-style: none;
+        }
+
+        .link-list-fallback h2 {
+            color: #333;
+            font-size: 1.1rem;
+            margin: 15px 0 5px;
+        }
+
+        .link-list-fallback a {
+            display: block;
+            padding: 8px 0;
+            color: #4c1d95;
+            font-size: 1.1rem;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1 dir="auto">${safeName}</h1>
+        <div class="badge">${authenticated ? `🔐 ${escapeXML(t(locale, 'page.authenticated'))}` : `👁️ ${escapeXML(t(locale, 'page.demoMode'))}`}</div>
+        <div class="badge">🔗 ${escapeXML(t(locale, 'linkCount', { count: totalLinkCount }))}</div>
+        ${hiddenLinkCount > 0 ? `<p class="link-count-note">${escapeXML(t(locale, 'page.showingLinks', { shown: links.length, total: totalLinkCount }))}</p>` : ''}
+        ${pageCount > 1 ? `<nav class="page-nav" aria-label="${escapeXML(t(locale, 'page.pageNav'))}">
+            ${Array.from({ length: pageCount }, (_, i) => `<a href="#tapestry-page-${i + 1}">${i + 1}</a>`).join('\n            ')}
+        </nav>` : ''}
+    </div>
+
+    <div class="svg-container">
+        ${renderTapestrySVG(links, template, { theme, layout, particles, locale, title: userName, idPrefix: 'tapestry', ...profile })}
+    </div>
+
+    ${generateLinkListFallback(links, locale)}
+
+    ${hidePurchasePrompt ? '' : `<div class="cta-container">
+        <h2>✨ ${escapeXML(t(locale, 'page.ctaTitle'))}</h2>
+        <p>${escapeXML(t(locale, 'page.ctaBody'))}</p>
+        <a href="#purchase" class="cta-button" onclick="handlePurchase()">
+            ${escapeXML(t(locale, 'page.ctaButton'))}
+        </a>
+        <p style="font-size: 0.9rem; margin-top: 20px; opacity: 0.8;">
+            ${escapeXML(t(locale, 'page.ctaTagline'))}
+        </p>
+    </div>`}
+
+    <div class="footer">
+        <p>${escapeXML(t(locale, 'page.wovenBy')).replace('{name}', '<strong>Planet Nine</strong>')}</p>
+        <p style="margin-top: 5px;">${escapeXML(t(locale, 'page.footerTagline'))}</p>
+    </div>
+
+    <script>
+        ${hidePurchasePrompt ? '' : `function handlePurchase() {
+            // TODO: Implement Enchantment Emporium integration
+            alert(${JSON.stringify(t(locale, 'page.ctaAlert')).replace(/</g, '\\u003c')});
+            console.log('Redirecting to Enchantment Emporium');
+
+            // Future implementation:
+            // 1. Deep link to The Advancement app
+            // 2. Open Enchantment Emporium
+            // 3. Show Linkitylink enchantment
+            // 4. Guide user through enchantment casting
+        }`}
+
+        // Make links clickable
+        document.querySelectorAll('.link-card').forEach(card => {
+            card.addEventListener('click', function(e) {
+                const url = this.dataset.url;
+                if (url) {
+                    window.open(url, '_blank');
+                }
+            });
+        });
+
+        // Show the plain link list if the SVG didn't render
+        const tapestrySVG = document.querySelector('.svg-container svg');
+        if (!window.SVGSVGElement || !tapestrySVG || tapestrySVG.getBoundingClientRect().height === 0) {
+            const fallback = document.getElementById('link-list-fallback');
+            fallback.classList.remove('sr-only');
+            fallback.querySelectorAll('a[tabindex]').forEach(a => a.removeAttribute('tabindex'));
+        }
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Generate SoMa (Social Media) section with icons
+ */
+function generateSoMaSection(socialLinks, yPosition, palette = DEFAULT_PALETTE, locale) {
+    if (!socialLinks || socialLinks.length === 0) return '';
+
+    const accent = palette.accentColor;
+
+    const iconSize = 32;
+    const iconSpacing = 50;
+    const startX = 350 - ((socialLinks.length * iconSpacing) / 2);
+
+    const socialIcons = socialLinks.map((link, index) => {
+        const x = startX + (index * iconSpacing);
+        const platform = detectSocialPlatform(link);
+        const iconPath = getSocialIcon(link);
+        const url = escapeXML(safeLinkHref(link.url));
+
+        // Untitled social links are named after their platform
+        const label = linkLabel(link.title || !platform ? link : { ...link, title: SOCIAL_PLATFORMS[platform].name }, locale);
+
+        return `
+        <a href="${url}" target="_blank" aria-label="${label}">
+            <g transform="translate(${x}, ${yPosition})">
+                <circle class="ll-focus-ring" cx="16" cy="16" r="23" fill="none"
+                        stroke="${palette.headerColor}" stroke-width="3" opacity="0"/>
+                <circle cx="16" cy="16" r="18" class="ll-accent-fill ll-accent-stroke" fill="${accent}" fill-opacity="0.1"
+                        stroke="${accent}" stroke-width="1" opacity="0.6"/>
+                <path d="${iconPath}" class="ll-accent-fill" fill="${accent}" opacity="0.8"
+                      transform="scale(0.65) translate(4, 4)"
+                      style="filter: drop-shadow(0 0 4px ${accent});"/>
+            </g>
+        </a>`;
+    }).join('\n');
+
+    return `
+    <text x="350" y="${yPosition - 15}" aria-hidden="true" class="ll-accent-fill" fill="${accent}" font-size="16" font-weight="bold"
+          text-anchor="middle" opacity="0.7"
+          style="filter: drop-shadow(0 0 6px ${accent});">
+        SoMa:
+    </text>
+    <g role="group" aria-label="${escapeXML(t(locale, 'socialProfiles'))}">
+    ${socialIcons}
+    </g>`;
+}
+
+/**
+ * Built-in templates, keyed by style
+ * Mirrors the carousel in public/create.html so published tapestries match the preview
+ */
+const BUILT_IN_TEMPLATES = {
+    stunning: [
+        { name: 'Sunset', colors: ['#ff6b6b', '#ee5a6f', '#feca57'], linkColors: ['#10b981', '#3b82f6', '#8b5cf6', '#ec4899'] }
+    ],
+    dazzling: [
+        { name: 'Rainbow', colors: ['#ff6b6b', '#feca57', '#48dbfb'], linkColors: ['#ff6b6b', '#feca57', '#48dbfb', '#ff9ff3'] }
+    ],
+    electric: [
+        { name: 'Lightning', colors: ['#00d2ff', '#3a47d5', '#4facfe'], linkColors: ['#00d2ff', '#3a47d5', '#4facfe', '#00f2fe'] }
+    ],
+    polished: [
+        { name: 'Steel', colors: ['#2c3e50', '#4ca1af', '#536976'], linkColors: ['#4ca1af', '#536976', '#bdc3c7', '#95a5a6'] }
+    ],
+    professional: [
+        { name: 'Corporate', colors: ['#141e30', '#243b55', '#2c3e50'], linkColors: ['#243b55', '#2c3e50', '#34495e', '#7f8c8d'] }
+    ],
+    captivating: [
+        { name: 'Passion', colors: ['#fc466b', '#3f5efb', '#f093fb'], linkColors: ['#fc466b', '#3f5efb', '#f093fb', '#4facfe'] }
+    ],
+    delightful: [
+        { name: 'Sunshine', colors: ['#fdbb2d', '#22c1c3', '#feca57'], linkColors: ['#fdbb2d', '#22c1c3', '#feca57', '#ee5a6f'] }
+    ],
+    magical: [
+        { name: 'Unicorn', colors: ['#a8edea', '#fed6e3', '#f093fb'], linkColors: ['#a8edea', '#fed6e3', '#f093fb', '#ffecd2'] }
+    ],
+    basic: [
+        { name: 'Clean', colors: ['#6a85b6', '#bac8e0', '#95a5a6'], linkColors: ['#6a85b6', '#bac8e0', '#95a5a6', '#7f8c8d'] }
+    ]
+};
+
+/**
+ * Default palette - the original dark mode gemstone glow (used when no template is chosen)
+ */
+const DEFAULT_PALETTE = {
+    background: { type: 'radial', stops: ['#1a0033', '#0a001a'] },
+    linkGradients: [
+        ['#10b981', '#059669'],  // Emerald glow
+        ['#3b82f6', '#2563eb'],  // Sapphire glow
+        ['#8b5cf6', '#7c3aed'],  // Amethyst glow
+        ['#ec4899', '#db2777'],  // Ruby glow
+        ['#fbbf24', '#f59e0b'],  // Topaz glow
+        ['#06b6d4', '#0891b2']   // Aquamarine glow
+    ],
+    cardOpacity: 0.15,
+    titleColor: null,  // null = use each link's own gradient color
+    subtitleColor: 'rgba(167, 139, 250, 0.7)',
+    headerColor: '#fbbf24',
+    accentColor: '#a78bfa'
+};
+
+/**
+ * Light palette - the same gemstones on a pale background, with deeper text colors
+ * Card gradients stay the same hues so 'auto' only needs to swap text and background
+ */
+const LIGHT_PALETTE = {
+    background: { type: 'radial', stops: ['#faf5ff', '#ede9fe'] },
+    linkGradients: DEFAULT_PALETTE.linkGradients,
+    cardOpacity: 0.2,
+    titleColor: null,
+    titleColors: ['#047857', '#1d4ed8', '#6d28d9', '#be185d', '#b45309', '#0e7490'],
+    subtitleColor: 'rgba(76, 29, 149, 0.7)',
+    headerColor: '#b45309',
+    accentColor: '#6d28d9'
+};
+
+// Color modes a tapestry can be published with ('auto' follows prefers-color-scheme)
+const THEME_MODES = ['dark', 'light', 'auto'];
+
+/**
+ * Normalize a requested color mode, defaulting to the original dark look
+ */
+function normalizeTheme(theme) {
+    return THEME_MODES.includes(theme) ? theme : 'dark';
+}
+
+// Built-in layouts a creator can pick ('auto' chooses by link count)
+const LAYOUT_CHOICES = ['auto', 'compact', 'grid', 'dense', 'paged', 'list', 'masonry', 'glyph'];
+
+/**
+ * Normalize a requested layout, defaulting to count-based selection
+ */
+function normalizeLayout(layout) {
+    return LAYOUT_CHOICES.includes(layout) ? layout : 'auto';
+}
+
+// Particle effects a creator can pick ('subtle' is the original twinkle along the top)
+const PARTICLE_PRESETS = ['subtle', 'none', 'snow', 'fireflies'];
+
+/**
+ * Normalize a requested particle preset, defaulting to the original twinkle
+ */
+function normalizeParticles(particles) {
+    return PARTICLE_PRESETS.includes(particles) ? particles : 'subtle';
+}
+
+// Profile header limits (header and bio are counted in code points)
+const MAX_HEADER_LENGTH = 60;
+const MAX_BIO_LENGTH = 160;
+const MAX_AVATAR_BYTES = 32 * 1024;
+
+// Avatars are base64 data URIs in raster formats both browsers and resvg can draw
+const AVATAR_DATA_URI_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,([A-Za-z0-9+/]+={0,2})$/;
+
+// Leading bytes of each avatar format, so the declared type can't lie about the payload
+const AVATAR_SIGNATURES = {
+    png: [0x89, 0x50, 0x4E, 0x47],
+    jpeg: [0xFF, 0xD8, 0xFF],
+    gif: [0x47, 0x49, 0x46, 0x38],
+    webp: [0x52, 0x49, 0x46, 0x46]
+};
+
+/**
+ * Validate and tidy the optional profile fields of a tapestry
+ *
+ * @param {Object} fields - { header?, bio?, avatar? } (any other keys are ignored)
+ * @returns {{ profile: Object, error?: string }} profile holds only the fields that were given
+ */
+function normalizeProfile({ header, bio, avatar } = {}) {
+    const profile = {};
+
+    for (const [field, value, maxLength] of [['header', header, MAX_HEADER_LENGTH], ['bio', bio, MAX_BIO_LENGTH]]) {
+        if (value === undefined || value === null || value === '') continue;
+        if (typeof value !== 'string') {
+            return { profile: {}, error: `${field} must be a string` };
+        }
+        const tidy = value.replace(/\s+/g, ' ').trim();
+        if (Array.from(tidy).length > maxLength) {
+            return { profile: {}, error: `${field} must be at most ${maxLength} characters` };
+        }
+        if (tidy) profile[field] = tidy;
+    }
+
+    if (avatar !== undefined && avatar !== null && avatar !== '') {
+        const match = typeof avatar === 'string' ? avatar.match(AVATAR_DATA_URI_PATTERN) : null;
+        if (!match) {
+            return { profile: {}, error: 'avatar must be a base64 data URI (PNG, JPEG, GIF or WebP)' };
+        }
+        const bytes = Buffer.from(match[2], 'base64');
+        if (bytes.length > MAX_AVATAR_BYTES) {
+            return { profile: {}, error: `avatar must be at most ${MAX_AVATAR_BYTES / 1024} KB` };
+        }
+        if (!AVATAR_SIGNATURES[match[1]].every((byte, i) => bytes[i] === byte)) {
+            return { profile: {}, error: `avatar is not a valid ${match[1].toUpperCase()} image` };
+        }
+        profile.avatar = avatar;
+    }
+
+    return { profile };
+}
+
+/**
+ * Profile fields of a stored tapestry, as renderer options
+ * Re-validated because older or hand-made BDOs can carry anything
+ */
+function getTapestryProfile(bdoData) {
+    const { profile, error } = normalizeProfile(bdoData);
+    if (error) {
+        console.warn(`⚠️ Ignoring tapestry profile: ${error}`);
+    }
+    return profile;
+}
+
+/**
+ * Check that a value is a plain hex color (#rgb, #rrggbb or #rrggbbaa)
+ * Template colors are interpolated into SVG attributes, so nothing else is allowed through
+ */
+function isHexColor(value) {
+    return typeof value === 'string' && /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/.test(value);
+}
+
+/**
+ * Lighten or darken a hex color by a percentage (same math as create.html)
+ */
+function shadeColor(color, percent) {
+    let hex = color.replace('#', '').substring(0, 6);
+    if (hex.length === 3) {
+        hex = hex.split('').map(c => c + c).join('');
+    }
+    const num = parseInt(hex, 16);
+    const amt = Math.round(2.55 * percent);
+    const clamp = (value) => Math.max(0, Math.min(255, value));
+    const R = clamp((num >> 16) + amt);
+    const G = clamp((num >> 8 & 0x00FF) + amt);
+    const B = clamp((num & 0x0000FF) + amt);
+    return '#' + (0x1000000 + R * 0x10000 + G * 0x100 + B).toString(16).slice(1);
+}
+
+/**
+ * Find a built-in template by name (case-insensitive)
+ */
+function findBuiltInTemplate(name) {
+    const wanted = String(name).toLowerCase();
+    for (const styleTemplates of Object.values(BUILT_IN_TEMPLATES)) {
+        const match = styleTemplates.find(t => t.name.toLowerCase() === wanted);
+        if (match) return match;
+    }
+    return null;
+}
+
+/**
+ * Resolve the template a tapestry should be rendered with
+ *
+ * @param {string} style - Style from the create page (e.g. 'stunning')
+ * @param {string|Object} template - Built-in template name, community template emojicode,
+ *                                   or an object with either
+ * @returns {Promise<Object|null>} { name, colors, linkColors, source, emojicode? } or null for the default palette
+ */
+async function resolveTapestryTemplate(style, template) {
+    const templateId = template && typeof template === 'object'
+        ? (template.emojicode || template.name)
+        : template;
+
+    if (templateId) {
+        const builtIn = findBuiltInTemplate(templateId);
+        if (builtIn) {
+            return { ...builtIn, source: 'built-in' };
+        }
+
+        // Community templates must be approved before they can be used
+        try {
+            const approved = await fetchApprovedTemplates();
+            const community = approved.find(t => t.emojicode === templateId);
+            if (community) {
+                const resolved = {
+                    name: community.name,
+                    colors: community.colors,
+                    linkColors: community.linkColors,
+                    emojicode: community.emojicode,
+                    source: 'community'
+                };
+
+                // Full layout templates carry their own SVG fragments
+                if (isTemplateSpec(community)) {
+                    resolved.background = community.background;
+                    resolved.linkTemplate = community.linkTemplate;
+                    if (community.layout) resolved.layout = community.layout;
+                }
+
+                return resolved;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not fetch community templates:', error.message);
+        }
+
+        console.warn(`⚠️ Unknown or unapproved template "${templateId}", falling back to style default`);
+    }
+
+    const styleTemplates = BUILT_IN_TEMPLATES[style];
+    if (styleTemplates) {
+        return { ...styleTemplates[0], source: 'built-in' };
+    }
+
+    return null;
+}
+
+/**
+ * Pick the gemstone palette for a color mode
+ * 'auto' renders dark and carries the light palette for the prefers-color-scheme override
+ */
+function buildThemePalette(theme) {
+    const mode = normalizeTheme(theme);
+    if (mode === 'light') return LIGHT_PALETTE;
+    if (mode === 'auto') return { ...DEFAULT_PALETTE, lightVariant: LIGHT_PALETTE };
+    return DEFAULT_PALETTE;
+}
+
+/**
+ * Build the render palette for a template
+ * Falls back to the gemstone palette for the color mode if the template has no usable colors.
+ *
+ * 'dark' is the template as designed. 'light' washes the background out to pastels and
+ * darkens the text drawn directly on it; the cards are opaque, so they keep their colors.
+ */
+function buildTemplatePalette(template, theme = 'dark') {
+    if (!template) return buildThemePalette(theme);
+
+    const colors = Array.isArray(template.colors) ? template.colors.filter(isHexColor) : [];
+    const linkColors = Array.isArray(template.linkColors) ? template.linkColors.filter(isHexColor) : [];
+
+    if (colors.length === 0 || linkColors.length === 0) {
+        return buildThemePalette(theme);
+    }
+
+    const designed = {
+        background: { type: 'linear', stops: colors },
+        linkGradients: linkColors.map(color => [color, shadeColor(color, -20)]),
+        cardOpacity: 0.9,
+        titleColor: '#ffffff',
+        subtitleColor: 'rgba(255, 255, 255, 0.85)',
+        headerColor: '#ffffff',
+        accentColor: '#ffffff'
+    };
+
+    const inkColor = shadeColor(colors[0], -40);
+    const light = {
+        ...designed,
+        background: { type: 'linear', stops: colors.map(color => shadeColor(color, 35)) },
+        headerColor: inkColor,
+        accentColor: inkColor
+    };
+
+    const mode = normalizeTheme(theme);
+    if (mode === 'light') return light;
+    if (mode === 'auto') return { ...designed, lightVariant: light };
+    return designed;
+}
+
+/**
+ * Generate the start of a built-in layout's SVG: accessible name, styles, background and particles
+ */
+function generateSVGPreamble(links, palette, height, options = {}) {
+    const { locale } = options;
+    const regularCount = links.filter(link => !link.isSocial).length;
+    const socialCount = links.length - regularCount;
+    const linkSummary = t(locale, 'linkCount', { count: regularCount });
+    const summary = socialCount > 0
+        ? t(locale, 'svg.linksAndProfiles', { links: linkSummary, profiles: t(locale, 'socialProfileCount', { count: socialCount }) })
+        : linkSummary;
+    const particles = generateParticles(options.particles, height, palette);
+
+    return `<title>${escapeXML(options.title || t(locale, 'myLinks'))}</title>
+    <desc>${escapeXML(t(locale, 'svg.desc', { summary }))}</desc>
+    ${generateSVGStyle(palette, particles.rules)}
+    ${options.transparent ? '' : generateBackground(palette, height)}
+    ${particles.svg}`;
+}
+
+// Twinkling dots along the top of the tapestry (the 'subtle' preset)
+const TWINKLE_PARTICLES = [
+    { cx: 100, cy: 25, r: 2, color: '#fbbf24', opacity: 0.8, duration: 3 },
+    { cx: 350, cy: 20, r: 1.5, color: '#a78bfa', opacity: 0.7, duration: 4 },
+    { cx: 600, cy: 30, r: 1, color: '#10b981', opacity: 0.6, duration: 5 },
+    { cx: 200, cy: 35, r: 1.5, color: '#ec4899', opacity: 0.7, duration: 3.5 },
+    { cx: 500, cy: 28, r: 1, color: '#06b6d4', opacity: 0.6, duration: 4.5 }
+];
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1) (mulberry32)
+ * Seeded from the layout, so re-rendering a tapestry yields identical SVG.
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate the particle effect for a preset
+ *
+ * Particles are animated with CSS rather than SMIL <animate> so the stylesheet can
+ * stop them for viewers who prefer reduced motion; they then hold still where drawn
+ * (which is also how PNG exports show them).
+ *
+ * @param {string} preset - One of PARTICLE_PRESETS
+ * @param {number} height - SVG height
+ * @param {Object} palette
+ * @returns {{ svg: string, rules: string[] }} Markup and the stylesheet rules it needs
+ */
+function generateParticles(preset, height, palette) {
+    const random = seededRandom(height);
+    const fixed = (value) => Number(value.toFixed(1));
+
+    switch (normalizeParticles(preset)) {
+        case 'none':
+            return { svg: '', rules: [] };
+
+        case 'snow': {
+            // Each flake falls through twice the height, so about half are in view at any time
+            const count = Math.min(60, Math.max(16, Math.round(height / 25)));
+            const keyframes = `ll-snow-${height}`;
+            const flakes = Array.from({ length: count }, () => {
+                const duration = fixed(10 + random() * 10);
+                return `<circle class="ll-particle ll-snow ll-accent-stroke" cx="${fixed(random() * 700)}" cy="${fixed(random() * height)}" r="${fixed(1 + random() * 2)}"
+                fill="#ffffff" stroke="${palette.accentColor}" stroke-width="0.5" stroke-opacity="0.3" opacity="${fixed(0.5 + random() * 0.4)}"
+                style="animation-duration: ${duration}s; animation-delay: -${fixed(random() * duration)}s; --ll-drift: ${Math.round((random() - 0.5) * 60)}px"/>`;
+            });
+            return {
+                svg: `<g aria-hidden="true">
+        ${flakes.join('\n        ')}
+    </g>`,
+                rules: [
+                    `@keyframes ${keyframes} { from { transform: translate(0, -${height}px); } to { transform: translate(var(--ll-drift), ${height}px); } }`,
+                    `.ll-snow { animation: ${keyframes} linear infinite; }`
+                ]
+            };
+        }
+
+        case 'fireflies': {
+            const count = Math.min(24, Math.max(10, Math.round(height / 60)));
+            const flies = Array.from({ length: count }, () =>
+                `<circle class="ll-particle ll-firefly" cx="${fixed(30 + random() * 640)}" cy="${fixed(60 + random() * (height - 90))}" r="${fixed(1.5 + random() * 1.5)}"
+                fill="#d9f99d" style="filter: drop-shadow(0 0 4px #facc15); animation-duration: ${fixed(8 + random() * 8)}s, ${fixed(2 + random() * 3)}s; animation-delay: -${fixed(random() * 8)}s, -${fixed(random() * 3)}s"/>`);
+            return {
+                svg: `<g aria-hidden="true">
+        ${flies.join('\n        ')}
+    </g>`,
+                rules: [
+                    '@keyframes ll-wander { 0%, 100% { transform: translate(0, 0); } 25% { transform: translate(14px, -10px); } 50% { transform: translate(4px, -22px); } 75% { transform: translate(-12px, -8px); } }',
+                    '@keyframes ll-glow { 0%, 100% { fill-opacity: 0.2; } 50% { fill-opacity: 1; } }',
+                    '.ll-firefly { animation-name: ll-wander, ll-glow; animation-timing-function: ease-in-out; animation-iteration-count: infinite; }'
+                ]
+            };
+        }
+
+        default: {
+            const twinkles = TWINKLE_PARTICLES.map(({ cx, cy, r, color, opacity, duration }) =>
+                `<circle class="ll-particle ll-twinkle" cx="${cx}" cy="${cy}" r="${r}" fill="${color}" opacity="${opacity}" style="animation-duration: ${duration}s"/>`);
+            return {
+                svg: `<g aria-hidden="true">
+        ${twinkles.join('\n        ')}
+    </g>`,
+                rules: [
+                    '@keyframes ll-twinkle { 0%, 100% { fill-opacity: 0.4; } 50% { fill-opacity: 1; } }',
+                    '.ll-twinkle { animation: ll-twinkle ease-in-out infinite; }'
+                ]
+            };
+        }
+    }
+}
+
+/**
+ * Generate the background gradient and fill rect for a palette
+ */
+function generateBackground(palette, height) {
+    const { type, stops } = palette.background;
+
+    const stopElements = stops.map((color, index) => {
+        const offset = stops.length > 1 ? Math.round((index / (stops.length - 1)) * 100) : 0;
+        return `<stop offset="${offset}%" class="ll-bg-stop-${index}" stop-color="${color}" stop-opacity="1" />`;
+    }).join('\n            ');
+
+    const gradient = type === 'radial'
+        ? `<radialGradient id="bgGrad" cx="50%" cy="50%">
+            ${stopElements}
+        </radialGradient>`
+        : `<linearGradient id="bgGrad" x1="0%" y1="0%" x2="0%" y2="100%">
+            ${stopElements}
+        </linearGradient>`;
+
+    return `<defs>
+        ${gradient}
+    </defs>
+
+    <rect width="700" height="${height}" fill="url(#bgGrad)"/>`;
+}
+
+/**
+ * Generate the SVG stylesheet: keyboard focus rings, motion (particles and the glyph's
+ * sigil, stopped under prefers-reduced-motion), plus the prefers-color-scheme override
+ * for 'auto' tapestries. The reduced-motion rule comes after every animation rule, at
+ * the same specificity, so it wins without !important.
+ *
+ * Focus rings are drawn with a .ll-focus-ring shape inside each link (hidden until
+ * :focus-visible) because browsers outline SVG links inconsistently. The rules are
+ * scoped to the .ll-tapestry root so an inlined tapestry leaves the page's own links alone.
+ *
+ * For 'auto' the dark palette is rendered as presentation attributes and the light palette
+ * is swapped in by class, under the same .ll-tapestry root so it can't restyle anything
+ * else on the page. Overridden properties must not be set inline, which would outrank
+ * these rules - the header's glow is set here for that reason.
+ */
+function generateSVGStyle(palette, motionRules = []) {
+    const rules = [
+        '.ll-tapestry a:focus-visible { outline: none; }',
+        '.ll-tapestry a:focus-visible .ll-focus-ring { opacity: 1; }',
+        `.ll-tapestry .ll-header { filter: drop-shadow(0 0 10px ${palette.headerColor}); }`,
+        ...motionRules,
+        '@keyframes ll-spin { to { transform: rotate(360deg); } }',
+        '.ll-spin { animation: ll-spin 90s linear infinite; }',
+        '@media (prefers-reduced-motion: reduce) { .ll-particle, .ll-spin { animation: none; } }'
+    ];
+
+    const light = palette.lightVariant;
+    if (light) {
+        const stopRules = light.background.stops
+            .map((color, index) => `.ll-tapestry .ll-bg-stop-${index} { stop-color: ${color}; }`);
+        const titleRules = (light.titleColors || [])
+            .map((color, index) => `.ll-tapestry .ll-title-${index} { fill: ${color}; }`);
+
+        rules.push(`@media (prefers-color-scheme: light) {
+            ${[
+                ...stopRules,
+                ...titleRules,
+                `.ll-tapestry .ll-card { opacity: ${light.cardOpacity}; }`,
+                `.ll-tapestry .ll-subtitle { fill: ${light.subtitleColor}; }`,
+                `.ll-tapestry .ll-header { fill: ${light.headerColor}; filter: drop-shadow(0 0 6px ${light.headerColor}); }`,
+                `.ll-tapestry .ll-accent-fill { fill: ${light.accentColor}; }`,
+                `.ll-tapestry .ll-accent-stroke { stroke: ${light.accentColor}; }`,
+                `.ll-tapestry .ll-focus-ring { stroke: ${light.headerColor}; }`
+            ].join('\n            ')}
+        }`);
+    }
+
+    return `<style>
+        ${rules.join('\n        ')}
+    </style>`;
+}
+
+/**
+ * Generate a keyboard focus ring around a card (hidden until the link has focus)
+ */
+function generateFocusRing(x, y, width, height, radius, palette) {
+    return `<rect class="ll-focus-ring" x="${x - 5}" y="${y - 5}" width="${width + 10}" height="${height + 10}" rx="${radius + 5}"
+                  fill="none" stroke="${palette.headerColor}" stroke-width="3" opacity="0"/>`;
+}
+
+/**
+ * Accessible name for a link card
+ */
+function linkLabel(link, locale) {
+    return escapeXML(t(locale, 'svg.opensInNewTab', { title: link.title || t(locale, 'untitled') }));
+}
+
+/**
+ * Escape text for SVG, isolating it as right-to-left if it starts in an RTL script
+ */
+function bidiText(text) {
+    return isolateBidi(escapeXML(text), detectTextDirection(text));
+}
+
+/**
+ * Horizontal placement of text in a card: from the left edge, or for
+ * right-to-left text against the right edge
+ *
+ * @param {string} direction - 'ltr' or 'rtl'
+ * @param {number} left - x of left-aligned text
+ * @param {number} right - x of right-aligned text
+ * @returns {{ x: number, anchor: string }} anchor is a text-anchor attribute, or ''
+ */
+function cardTextPosition(direction, left, right) {
+    return direction === 'rtl'
+        ? { x: right, anchor: ' text-anchor="end"' }
+        : { x: left, anchor: '' };
+}
+
+// Avatar diameter in the tapestry header
+const AVATAR_SIZE = 64;
+
+/**
+ * Tapestry header: optional round avatar, the header text and an optional bio line
+ * The header text is the custom header, or the title between sparkles.
+ *
+ * @param {Object} options - Renderer options (header, title, bio, avatar)
+ * @param {Object} palette
+ * @param {{ y: number, fontSize: number }} metrics - Baseline and size of the header text
+ * @returns {{ svg: string, height: number }} Markup, and the extra height over a plain
+ *          one-line header (layouts push their first row down by this much)
+ */
+function generateProfileHeader(options, palette, { y, fontSize }) {
+    const avatarSpace = options.avatar ? AVATAR_SIZE + 12 : 0;
+    const headerY = y + avatarSpace;
+    const header = truncateText(options.header || `✨ ${options.title || t(options.locale, 'myLinks')} ✨`, { maxWidth: 620, fontSize }).text;
+    const bioLines = options.bio
+        ? wrapText(options.bio, { maxWidth: 600, fontSize: 14, maxLines: 2, bold: false }).lines
+        : [];
+    const bioSpace = bioLines.length > 0 ? 8 + bioLines.length * 18 : 0;
+
+    const parts = [];
+
+    if (options.avatar) {
+        const top = y - 20;
+        const radius = AVATAR_SIZE / 2;
+        parts.push(`<defs>
+        <clipPath id="avatarClip">
+            <circle cx="350" cy="${top + radius}" r="${radius}"/>
+        </clipPath>
+    </defs>
+    <image href="${escapeXML(options.avatar)}" x="${350 - radius}" y="${top}" width="${AVATAR_SIZE}" height="${AVATAR_SIZE}"
+           preserveAspectRatio="xMidYMid slice" clip-path="url(#avatarClip)" aria-hidden="true"/>
+    <circle cx="350" cy="${top + radius}" r="${radius + 2}" aria-hidden="true" class="ll-accent-stroke" fill="none"
+            stroke="${palette.accentColor}" stroke-width="2" opacity="0.8"/>`);
+    }
+
+    parts.push(`<text x="350" y="${headerY}" role="heading" aria-level="1" class="ll-header" fill="${palette.headerColor}" font-size="${fontSize}" font-weight="bold" text-anchor="middle">${bidiText(header)}</text>`);
+
+    const bioDirection = detectTextDirection(options.bio);
+    bioLines.forEach((line, i) => {
+        parts.push(`<text x="350" y="${headerY + 26 + i * 18}" class="ll-subtitle" fill="${palette.subtitleColor}" font-size="14" text-anchor="middle">${isolateBidi(escapeXML(line), bioDirection)}</text>`);
+    });
+
+    return { svg: parts.join('\n    '), height: avatarSpace + bioSpace };
+}
+
+// Title text metrics per card size. Offsets are from the card's top edge; when a
+// title wraps to two lines it starts higher and the subtitle moves down.
+const CARD_TEXT_LAYOUTS = {
+    compact: { fontSize: 20, maxWidth: 490, lineHeight: 23, single: { title: 40, subtitle: 65 }, wrapped: { title: 33, subtitle: 79 } },
+    grid: { fontSize: 16, maxWidth: 250, lineHeight: 19, single: { title: 35, subtitle: 55 }, wrapped: { title: 29, subtitle: 67 } },
+    dense: { fontSize: 14, maxWidth: 160, lineHeight: 16, single: { title: 30, subtitle: 48 }, wrapped: { title: 25, subtitle: 57 } },
+    list: { fontSize: 17, maxWidth: 470, lineHeight: 18, single: { title: 30, subtitle: 49 }, wrapped: { title: 21, subtitle: 56 } }
+};
+
+/**
+ * Lay out a link title for a card: wrapped and truncated on the raw text, escaped per line
+ * The direction is the title's own, or the locale's for titles without letters.
+ *
+ * @param {Object} link - Link with a title
+ * @param {string} size - Key of CARD_TEXT_LAYOUTS
+ * @param {string} [locale] - Page locale
+ * @returns {{ lines: string[], truncated: boolean, direction: string, fontSize: number, lineHeight: number, titleY: number, subtitleY: number }}
+ */
+function layoutCardTitle(link, size, locale) {
+    const metrics = CARD_TEXT_LAYOUTS[size];
+    const title = link.title || t(locale, 'untitled');
+    const direction = detectTextDirection(title) || localeDirection(locale);
+    const { lines, truncated } = wrapText(title, {
+        maxWidth: metrics.maxWidth,
+        fontSize: metrics.fontSize,
+        maxLines: 2
+    });
+    const offsets = lines.length > 1 ? metrics.wrapped : metrics.single;
+
+    return {
+        lines: lines.map(line => isolateBidi(escapeXML(line), direction)),
+        truncated,
+        direction,
+        fontSize: metrics.fontSize,
+        lineHeight: metrics.lineHeight,
+        titleY: offsets.title,
+        subtitleY: offsets.subtitle
+    };
+}
+
+/**
+ * Content of a card's title <text>: the line itself, or one <tspan> per wrapped line
+ */
+function cardTitleLines(text, x) {
+    if (text.lines.length === 1) return text.lines[0];
+    return text.lines
+        .map((line, i) => `<tspan x="${x}" dy="${i === 0 ? 0 : text.lineHeight}">${line}</tspan>`)
+        .join('');
+}
+
+/**
+ * Tooltip with the full title, for cards whose title was cut short
+ */
+function cardTitleTooltip(link, text) {
+    return text.truncated ? `<title>${escapeXML(link.title)}</title>` : '';
+}
+
+/**
+ * Render the tapestry SVG for a set of links
+ * Layout templates (background + linkTemplate) go through the template engine,
+ * everything else through the built-in layouts
+ *
+ * Options:
+ * - layout: Built-in layout from LAYOUT_CHOICES; 'auto' (default) picks by link count
+ * - particles: Particle preset from PARTICLE_PRESETS (built-in layouts only, default 'subtle')
+ * - theme: Color mode for the built-in layouts ('dark', 'light' or 'auto');
+ *          layout templates draw their own background and ignore it
+ * - transparent: Leave out the background (built-in layouts only)
+ * - title: Tapestry title, used as the SVG's accessible name (and the header text by default)
+ * - header, bio, avatar: Profile fields from normalizeProfile (built-in layouts only)
+ * - locale: Language of the text Linkitylink adds ("Tap to open", page headings) from
+ *           SUPPORTED_LOCALES (built-in layouts only, default English). Titles in
+ *           right-to-left scripts are right-aligned whatever the locale.
+ * - idPrefix: Namespace for element ids, classes and keyframes (default: derived from the
+ *             rendered markup), e.g. 'tapestry' turns the paged layout's page-1 into
+ *             tapestry-page-1 and .ll-card into .tapestry-ll-card
+ */
+function renderTapestrySVG(links, template = null, options = {}) {
+    let svg;
+    let spec = null;
+    if (isTemplateSpec(template)) {
+        // Sanitize and validate again at render time - the stored template may predate both
+        const sanitized = sanitizeTemplateSpec(template);
+        if (sanitized.removed.length > 0) {
+            console.warn(`⚠️ Stripped ${sanitized.removed.length} item(s) from template "${template.name}":`, summarizeRemovals(sanitized.removed));
+        }
+        const { valid, errors } = validateTemplateSpec(sanitized.spec);
+        if (valid) {
+            spec = sanitized.spec;
+        } else {
+            console.warn(`⚠️ Template "${template.name}" is no longer valid, drawing its colors with a built-in layout:`, errors);
+        }
+    }
+
+    if (spec) {
+        svg = renderTemplateSpec(spec, links);
+    } else {
+        const svgTemplate = chooseSVGTemplate(links, normalizeLayout(options.layout));
+        svg = svgTemplate(links, template, options);
+    }
+
+    return namespaceSVG(svg, options.idPrefix);
+}
+
+// Maximum links rendered on a tapestry page (the paged layout handles anything above 20)
+const MAX_DISPLAY_LINKS = 100;
+
+// Links per panel in the paged layout (6 rows of 3)
+const PAGED_LINKS_PER_PAGE = 18;
+
+/**
+ * Pick the links to render: the first MAX_DISPLAY_LINKS regular links plus all social links
+ */
+function selectDisplayLinks(links) {
+    const regularLinks = links.filter(link => !link.isSocial).slice(0, MAX_DISPLAY_LINKS);
+    const socialLinks = links.filter(link => link.isSocial);
+    return [...regularLinks, ...socialLinks];
+}
+
+// Height of a group header row in the SVG layouts
+const GROUP_HEADER_HEIGHT = 40;
+
+// Maximum length of a link group name
+const MAX_GROUP_NAME_LENGTH = 40;
+
+/**
+ * Tidy a group name (collapse whitespace, cap length on code points)
+ */
+function cleanGroupName(name) {
+    const collapsed = String(name).replace(/\s+/g, ' ').trim();
+    return Array.from(collapsed).slice(0, MAX_GROUP_NAME_LENGTH).join('');
+}
+
+/**
+ * The href to draw for a link: its URL when it is http(s) or mailto, otherwise '#'
+ * Links are checked when saved, but tapestries stored before that may hold anything.
+ */
+function safeLinkHref(url) {
+    return isSafeLinkURL(url) ? url : '#';
+}
+
+/**
+ * Validate a single link object
+ * @returns {string|null} Error message or null if valid
+ */
+function validateLink(link) {
+    if (!link || typeof link !== 'object' || Array.isArray(link)) {
+        return 'Each link must be an object';
+    }
+    if (link.title !== undefined && typeof link.title !== 'string') {
+        return 'Link title must be a string';
+    }
+    if (link.url !== undefined && typeof link.url !== 'string') {
+        return 'Link url must be a string';
+    }
+    if (link.url && !isSafeLinkURL(link.url)) {
+        return 'Link url must start with http:, https: or mailto:';
+    }
+    if (link.group !== undefined && link.group !== null && typeof link.group !== 'string') {
+        return 'Link group must be a string';
+    }
+    return null;
+}
+
+/**
+ * Normalize incoming links into a flat array, expanding named groups
+ *
+ * Accepts plain links ({ title, url, group?, isSocial? }), group containers
+ * ({ group: 'Music', links: [...] }) and header items ({ type: 'header', title: 'Music' })
+ * which put the links that follow them into that group.
+ *
+ * @returns {{ links?: Object[], error?: string }}
+ */
+function normalizeLinks(links) {
+    if (!links || !Array.isArray(links) || links.length === 0) {
+        return { error: 'Missing or invalid links array' };
+    }
+
+    const normalized = [];
+    let headerGroup = null;
+
+    const addLink = (link, group) => {
+        const { group: _ignored, ...rest } = link;
+        const entry = { ...rest };
+        const groupName = group ? cleanGroupName(group) : '';
+        if (groupName && !link.isSocial) entry.group = groupName;
+        normalized.push(entry);
+    };
+
+    for (const item of links) {
+        if (item && item.type === 'header') {
+            if (typeof item.title !== 'string') {
+                return { error: 'Header items need a title' };
+            }
+            headerGroup = item.title.trim() ? item.title : null;
+            continue;
+        }
+
+        if (item && Array.isArray(item.links)) {
+            const name = item.group ?? item.title;
+            if (typeof name !== 'string' || !name.trim()) {
+                return { error: 'Link groups need a name' };
+            }
+            for (const child of item.links) {
+                if (child && Array.isArray(child.links)) {
+                    return { error: 'Link groups cannot be nested' };
+                }
+                const error = validateLink(child);
+                if (error) return { error };
+                addLink(child, name);
+            }
+            continue;
+        }
+
+        const error = validateLink(item);
+        if (error) return { error };
+        addLink(item, item.group !== undefined ? item.group : headerGroup);
+    }
+
+    if (normalized.length === 0) {
+        return { error: 'Missing or invalid links array' };
+    }
+
+    return { links: normalized };
+}
+
+/**
+ * Lay out regular links in rows, starting a new row under a header whenever the group changes
+ *
+ * @param {Object[]} links - Regular (non-social) links
+ * @param {Object} options - { columns, startY, rowHeight }
+ * @returns {{ positions: {col: number, y: number}[], headers: {name: string, y: number}[], endY: number }}
+ *   positions[i] is the card position of links[i]; endY is where the last row ends
+ */
+function layoutGroupedLinks(links, { columns, startY, rowHeight }) {
+    const positions = [];
+    const headers = [];
+    let y = startY;
+    let col = 0;
+    let currentGroup = null;
+
+    links.forEach((link) => {
+        const group = link.group || null;
+
+        if (group !== currentGroup) {
+            // Groups always start on a fresh row
+            if (col > 0) {
+                y += rowHeight;
+                col = 0;
+            }
+            if (group) {
+                headers.push({ name: group, y, index: positions.length });
+                y += GROUP_HEADER_HEIGHT;
+            }
+            currentGroup = group;
+        }
+
+        positions.push({ col, y });
+
+        col++;
+        if (col === columns) {
+            col = 0;
+            y += rowHeight;
+        }
+    });
+
+    const endY = col > 0 ? y + rowHeight : y;
+    return { positions, headers, endY };
+}
+
+/**
+ * Generate the group section header that starts at a link, if any
+ * Emitted just before the group's first link so the reading order matches the layout
+ */
+function generateGroupHeaderAt(headers, index, x, palette, level = 2) {
+    const header = headers.find(h => h.index === index);
+    if (!header) return '';
+
+    const position = cardTextPosition(detectTextDirection(header.name), x, 700 - x);
+
+    return `
+    <text x="${position.x}" y="${header.y + 24}"${position.anchor} role="heading" aria-level="${level}" class="ll-accent-fill" fill="${palette.accentColor}" font-size="16" font-weight="bold" letter-spacing="1"
+          style="filter: drop-shadow(0 0 6px ${palette.accentColor});">${bidiText(header.name)}</text>
+    <line x1="${x}" y1="${header.y + 32}" x2="${700 - x}" y2="${header.y + 32}" aria-hidden="true"
+          class="ll-accent-stroke" stroke="${palette.accentColor}" stroke-width="1" opacity="0.3"/>`;
+}
+
+// Layout generators by name, for creators who pick one instead of the count-based default
+const SVG_LAYOUTS = {
+    compact: generateCompactSVG,
+    grid: generateGridSVG,
+    dense: generateDenseSVG,
+    paged: generatePagedSVG,
+    list: generateListSVG,
+    masonry: generateMasonrySVG,
+    glyph: generateGlyphSVG
+};
+
+// Most links the glyph's two rings hold; larger tapestries fall back to the count-based layout
+const GLYPH_MAX_LINKS = 18;
+
+/**
+ * Choose SVG template: the creator's layout if they picked one, otherwise by link count
+ */
+function chooseSVGTemplate(links, layout = 'auto') {
+    const regularCount = links.filter(link => !link.isSocial).length;
+    const fits = layout !== 'glyph' || regularCount <= GLYPH_MAX_LINKS;
+    if (SVG_LAYOUTS[layout] && fits) {
+        return SVG_LAYOUTS[layout];
+    }
+
+    const linkCount = links.length;
+    if (linkCount <= 6) {
+        return generateCompactSVG;
+    } else if (linkCount <= 13) {
+        return generateGridSVG;
+    } else if (linkCount <= 20) {
+        return generateDenseSVG;
+    } else {
+        return generatePagedSVG;
+    }
+}
+
+/**
+ * Template 1: Compact layout (1-6 links)
+ * Large cards, vertical stack - DARK MODE WITH GLOW
+ */
+function generateCompactSVG(links, template = null, options = {}) {
+    const palette = buildTemplatePalette(template, options.theme);
+
+    // Separate regular links from social links
+    const regularLinks = links.filter(link => !link.isSocial);
+    const socialLinks = links.filter(link => link.isSocial);
+
+    const profile = generateProfileHeader(options, palette, { y: 35, fontSize: 24 });
+    const layout = layoutGroupedLinks(regularLinks, { columns: 1, startY: 60 + profile.height, rowHeight: 110 });
+    const baseLinkHeight = layout.endY;
+    const somaHeight = socialLinks.length > 0 ? 100 : 0;
+    const height = Math.max(400, baseLinkHeight + somaHeight);
+
+    const linkElements = regularLinks.map((link, index) => {
+        const { y } = layout.positions[index];
+        const url = escapeXML(safeLinkHref(link.url));
+        const text = layoutCardTitle(link, 'compact', options.locale);
+        const position = cardTextPosition(text.direction, 90, 610);
+        const arrow = text.direction === 'rtl' ? { x: 100, anchor: ' text-anchor="end"', glyph: '←' } : { x: 600, anchor: '', glyph: '→' };
+
+        const gradients = palette.linkGradients;
+        const gradient = gradients[index % gradients.length];
+        const titleColor = palette.titleColor || (palette.titleColors ? palette.titleColors[index % palette.titleColors.length] : gradient[0]);
+        const gradId = `grad${index}`;
+        const glowId = `glow${index}`;
+
+        return `${generateGroupHeaderAt(layout.headers, index, 50, palette)}
+        <defs>
+            <linearGradient id="${gradId}" x1="0%" y1="0%" x2="100%" y2="100%">
+                <stop offset="0%" style="stop-color:${gradient[0]};stop-opacity:1" />
+                <stop offset="100%" style="stop-color:${gradient[1]};stop-opacity:1" />
+            </linearGradient>
+            <filter id="${glowId}" x="-50%" y="-50%" width="200%" height="200%">
+                <feGaussianBlur stdDeviation="8" result="coloredBlur"/>
+                <feMerge>
+                    <feMergeNode in="coloredBlur"/>
+                    <feMergeNode in="SourceGraphic"/>
+                </feMerge>
+            </filter>
+        </defs>
+
+        <a href="${url}" target="_blank" aria-label="${linkLabel(link, options.locale)}">
+            ${cardTitleTooltip(link, text)}
+            ${generateFocusRing(50, y, 600, 90, 15, palette)}
+            <g filter="url(#${glowId})">
+                <rect x="50" y="${y}" width="600" height="90" rx="15"
+                      class="ll-card" fill="url(#${gradId})" opacity="${palette.cardOpacity}"/>
+                <rect x="50" y="${y}" width="600" height="90" rx="15"
+                      fill="none" stroke="url(#${gradId})" stroke-width="2" opacity="0.8"/>
+            </g>
+            <text x="${position.x}" y="${y + text.titleY}"${position.anchor} class="ll-title-${index % gradients.length}" fill="${titleColor}" font-size="${text.fontSize}" font-weight="bold"
+                  style="filter: drop-shadow(0 0 8px ${gradient[0]});">${cardTitleLines(text, position.x)}</text>
+            <text x="${position.x}" y="${y + text.subtitleY}"${position.anchor} aria-hidden="true" class="ll-subtitle" fill="${palette.subtitleColor}" font-size="14">${bidiText(`✨ ${t(options.locale, 'svg.tapToOpen')}`)}</text>
+            <text x="${arrow.x}" y="${y + 50}"${arrow.anchor} aria-hidden="true" class="ll-title-${index % gradients.length}" fill="${titleColor}" font-size="30"
+                  style="filter: drop-shadow(0 0 6px ${gradient[0]});">${arrow.glyph}</text>
+        </a>`;
+    }).join('\n');
+
+    return `
+<svg class="ll-tapestry" width="700" height="${height}" viewBox="0 0 700 ${height}" xmlns="http://www.w3.org/2000/svg">
+    ${generateSVGPreamble(links, palette, height, options)}
+
+    ${profile.svg}
+
+    ${linkElements}
+
+    <!-- Social Media Section (SoMa) -->
+    ${socialLinks.length > 0 ? generateSoMaSection(socialLinks, baseLinkHeight + 50, palette, options.locale) : ''}
+</svg>`;
+}
+
+/**
+ * Template 2: Grid layout (7-13 links)
+ * 2-column grid with medium cards - DARK MODE WITH GLOW
+ */
+function generateGridSVG(links, template = null, options = {}) {
+    const palette = buildTemplatePalette(template, options.theme);
+
+    // Separate regular links from social links
+    const regularLinks = links.filter(link => !link.isSocial);
+    const socialLinks = links.filter(link => link.isSocial);
+
+    const profile = generateProfileHeader(options, palette, { y: 40, fontSize: 24 });
+    const layout = layoutGroupedLinks(regularLinks, { columns: 2, startY: 80 + profile.height, rowHeight: 100 });
+    const baseLinkHeight = layout.endY + 20;
+    const somaHeight = socialLinks.length > 0 ? 100 : 0;
+    const height = Math.max(400, baseLinkHeight + somaHeight);
+
+    const linkElements = regularLinks.map((link, index) => {
+        const { col, y } = layout.positions[index];
+        const x = col === 0 ? 40 : 370;
+
+        const url = escapeXML(safeLinkHref(link.url));
+        const text = layoutCardTitle(link, 'grid', options.locale);
+        const position = cardTextPosition(text.direction, x + 20, x + 270);
+
+        const gradients = palette.linkGradients;
+        const gradient = gradients[index % gradients.length];
+        const titleColor = palette.titleColor || (palette.titleColors ? palette.titleColors[index % palette.titleColors.length] : gradient[0]);
+        const gradId = `grad${index}`;
+        const glowId = `glow${index}`;
+
+        return `${generateGroupHeaderAt(layout.headers, index, 40, palette)}
+        <defs>
+            <linearGradient id="${gradId}" x1="0%" y1="0%" x2="100%" y2="100%">
+                <stop offset="0%" style="stop-color:${gradient[0]};stop-opacity:1" />
+                <stop offset="100%" style="stop-color:${gradient[1]};stop-opacity:1" />
+            </linearGradient>
+            <filter id="${glowId}" x="-50%" y="-50%" width="200%" height="200%">
+                <feGaussianBlur stdDeviation="6" result="coloredBlur"/>
+                <feMerge>
+                    <feMergeNode in="coloredBlur"/>
+                    <feMergeNode in="SourceGraphic"/>
+                </feMerge>
+            </filter>
+        </defs>
+
+        <a href="${url}" target="_blank" aria-label="${linkLabel(link, options.locale)}">
+            ${cardTitleTooltip(link, text)}
+            ${generateFocusRing(x, y, 290, 80, 12, palette)}
+            <g filter="url(#${glowId})">
+                <rect x="${x}" y="${y}" width="290" height="80" rx="12"
+                      class="ll-card" fill="url(#${gradId})" opacity="${palette.cardOpacity}"/>
+                <rect x="${x}" y="${y}" width="290" height="80" rx="12"
+                      fill="none" stroke="url(#${gradId})" stroke-width="2" opacity="0.8"/>
+            </g>
+            <text x="${position.x}" y="${y + text.titleY}"${position.anchor} class="ll-title-${index % gradients.length}" fill="${titleColor}" font-size="${text.fontSize}" font-weight="bold"
+                  style="filter: drop-shadow(0 0 6px ${gradient[0]});">${cardTitleLines(text, position.x)}</text>
+            <text x="${position.x}" y="${y + text.subtitleY}"${position.anchor} aria-hidden="true" class="ll-subtitle" fill="${palette.subtitleColor}" font-size="12">${bidiText(`✨ ${t(options.locale, 'svg.click')}`)}</text>
+        </a>`;
+    }).join('\n');
+
+    return `
+<svg class="ll-tapestry" width="700" height="${height}" viewBox="0 0 700 ${height}" xmlns="http://www.w3.org/2000/svg">
+    ${generateSVGPreamble(links, palette, height, options)}
+
+    ${profile.svg}
 
-        .link-card .url {
-            font-size: 0.9rem;
-            color: #666;
-            word-break: break-all;
-        }
+    ${linkElements}
 
-        .svg-container {
-            max-width: 800px;
-            width: 100%;
-            margin-bottom: 40px;
-            background: white;
-            border-radius: 20px;
-            padding: 30px;
-            box-shadow: 0 10px 40px rgba(0,0,0,0.2);
-        }
+    <!-- Social Media Section (SoMa) -->
+    ${socialLinks.length > 0 ? generateSoMaSection(socialLinks, baseLinkHeight + 20, palette, options.locale) : ''}
+</svg>`;
+}
 
-        .cta-container {
-            text-align: center;
-            background: rgba(255,255,255,0.1);
-            border-radius: 20px;
-            padding: 40px;
-            max-width: 600px;
-            width: 100%;
-            backdrop-filter: blur(10px);
-        }
+/**
+ * Template 3: Dense layout (14-20 links)
+ * 3-column grid with compact cards - DARK MODE WITH GLOW
+ */
+function generateDenseSVG(links, template = null, options = {}) {
+    const palette = buildTemplatePalette(template, options.theme);
 
-        .cta-container h2 {
-            color: white;
-            margin-bottom: 20px;
-            font-size: 1.8rem;
-        }
+    // Separate regular links from social links
+    const regularLinks = links.filter(link => !link.isSocial);
+    const socialLinks = links.filter(link => link.isSocial);
 
-        .cta-container p {
-            color: rgba(255,255,255,0.9);
-            margin-bottom: 25px;
-            font-size: 1.1rem;
-            line-height: 1.6;
-        }
+    const profile = generateProfileHeader(options, palette, { y: 40, fontSize: 22 });
+    const layout = layoutGroupedLinks(regularLinks, { columns: 3, startY: 80 + profile.height, rowHeight: 80 });
+    const baseLinkHeight = layout.endY + 20;
+    const somaHeight = socialLinks.length > 0 ? 100 : 0;
+    const height = Math.max(400, baseLinkHeight + somaHeight);
 
-        .cta-button {
-            background: linear-gradient(135deg, #10b981 0%, #059669 100%);
-            color: white;
-            padding: 15px 40px;
-            border-radius: 30px;
-            text-decoration: none;
-            font-weight: 600;
-            font-size: 1.1rem;
-            display: inline-block;
-            transition: transform 0.2s, box-shadow 0.2s;
-            box-shadow: 0 4px 20px rgba(16, 185, 129, 0.3);
-        }
+    const linkElements = regularLinks.map((link, index) => {
+        const { col, y } = layout.positions[index];
+        const x = 30 + (col * 220);
 
-        .cta-button:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 6px 30px rgba(16, 185, 129, 0.4);
-        }
+        const url = escapeXML(safeLinkHref(link.url));
+        const text = layoutCardTitle(link, 'dense', options.locale);
+        const position = cardTextPosition(text.direction, x + 15, x + 175);
 
-        .footer {
-            margin-top: 40px;
-            text-align: center;
-            color: rgba(255,255,255,0.7);
-            font-size: 0.9rem;
-        }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>${userName}</h1>
-        ${authenticated ? '<div class="badge">🔐 Authenticated</div>' : '<div class="badge">👁️ Demo Mode</div>'}
-    </div>
+        const gradients = palette.linkGradients;
+        const gradient = gradients[index % gradients.length];
+        const titleColor = palette.titleColor || (palette.titleColors ? palette.titleColors[index % palette.titleColors.length] : gradient[0]);
+        const gradId = `grad${index}`;
+        const glowId = `glow${index}`;
 
-    <div class="svg-container">
-        ${svgTemplate(links)}
-    </div>
+        return `${generateGroupHeaderAt(layout.headers, index, 30, palette)}
+        <defs>
+            <linearGradient id="${gradId}" x1="0%" y1="0%" x2="100%" y2="100%">
+                <stop offset="0%" style="stop-color:${gradient[0]};stop-opacity:1" />
+                <stop offset="100%" style="stop-color:${gradient[1]};stop-opacity:1" />
+            </linearGradient>
+            <filter id="${glowId}" x="-50%" y="-50%" width="200%" height="200%">
+                <feGaussianBlur stdDeviation="5" result="coloredBlur"/>
+                <feMerge>
+                    <feMergeNode in="coloredBlur"/>
+                    <feMergeNode in="SourceGraphic"/>
+                </feMerge>
+            </filter>
+        </defs>
 
-    <div class="cta-container">
-        <h2>✨ Weave Your Own Linkitylink</h2>
-        <p>Cast the Linkitylink enchantment to create your mystical link tapestry. Visit The Enchantment Emporium in The Advancement app.</p>
-        <a href="#purchase" class="cta-button" onclick="handlePurchase()">
-            Visit The Enchantment Emporium
-        </a>
-        <p style="font-size: 0.9rem; margin-top: 20px; opacity: 0.8;">
-            ✨ Privacy-first • 🔐 Cryptographically secure • 🎨 Mystically beautiful
-        </p>
-    </div>
+        <a href="${url}" target="_blank" aria-label="${linkLabel(link, options.locale)}">
+            ${cardTitleTooltip(link, text)}
+            ${generateFocusRing(x, y, 190, 65, 10, palette)}
+            <g filter="url(#${glowId})">
+                <rect x="${x}" y="${y}" width="190" height="65" rx="10"
+                      class="ll-card" fill="url(#${gradId})" opacity="${palette.cardOpacity}"/>
+                <rect x="${x}" y="${y}" width="190" height="65" rx="10"
+                      fill="none" stroke="url(#${gradId})" stroke-width="2" opacity="0.8"/>
+            </g>
+            <text x="${position.x}" y="${y + text.titleY}"${position.anchor} class="ll-title-${index % gradients.length}" fill="${titleColor}" font-size="${text.fontSize}" font-weight="bold"
+                  style="filter: drop-shadow(0 0 5px ${gradient[0]});">${cardTitleLines(text, position.x)}</text>
+            <text x="${position.x}" y="${y + text.subtitleY}"${position.anchor} aria-hidden="true" class="ll-subtitle" fill="${palette.subtitleColor}" font-size="11">✨</text>
+        </a>`;
+    }).join('\n');
 
-    <div class="footer">
-        <p>Woven by <strong>Planet Nine</strong></p>
-        <p style="margin-top: 5px;">The Enchantment Emporium • Linkitylink Tapestries</p>
-    </div>
+    return `
+<svg class="ll-tapestry" width="700" height="${height}" viewBox="0 0 700 ${height}" xmlns="http://www.w3.org/2000/svg">
+    ${generateSVGPreamble(links, palette, height, options)}
 
-    <script>
-        function handlePurchase() {
-            // TODO: Implement Enchantment Emporium integration
-            alert('Visit The Enchantment Emporium in The Advancement app to cast the Linkitylink enchantment!');
-            console.log('Redirecting to Enchantment Emporium');
+    ${profile.svg}
 
-            // Future implementation:
-            // 1. Deep link to The Advancement app
-            // 2. Open Enchantment Emporium
-            // 3. Show Linkitylink enchantment
-            // 4. Guide user through enchantment casting
-        }
+    ${linkElements}
 
-        // Make links clickable
-        document.querySelectorAll('.link-card').forEach(card => {
-            card.addEventListener('click', function(e) {
-                const url = this.dataset.url;
-                if (url) {
-                    window.open(url, '_blank');
-                }
-            });
-        });
-    </script>
-</body>
-</html>`;
+    <!-- Social Media Section (SoMa) -->
+    ${socialLinks.length > 0 ? generateSoMaSection(socialLinks, baseLinkHeight + 10, palette, options.locale) : ''}
+</svg>`;
 }
 
 /**
- * Get social media icon path for SVG
+ * Template 4: Paged layout (21+ links)
+ * Dense 3-column cards split into numbered panels - DARK MODE WITH GLOW
  */
-function getSocialIcon(type) {
-    const iconType = type.toUpperCase();
-    const icons = {
-        INSTAGRAM: 'M12 2.163c3.204 0 3.584.012 4.85.07 3.252.148 4.771 1.691 4.919 4.919.058 1.265.069 1.645.069 4.849 0 3.205-.012 3.584-.069 4.849-.149 3.225-1.664 4.771-4.919 4.919-1.266.058-1.644.07-4.85.07-3.204 0-3.584-.012-4.849-.07-3.26-.149-4.771-1.699-4.919-4.92-.058-1.265-.07-1.644-.07-4.849 0-3.204.013-3.583.07-4.849.149-3.227 1.664-4.771 4.919-4.919 1.266-.057 1.645-.069 4.849-.069zm0-2.163c-3.259 0-3.667.014-4.947.072-4.358.2-6.78 2.618-6.98 6.98-.059 1.281-.073 1.689-.073 4.948 0 3.259.014 3.668.072 4.948.2 4.358 2.618 6.78 6.98 6.98 1.281.058 1.689.072 4.948.072 3.259 0 3.668-.014 4.948-.072 4.354-.2 6.782-2.618 6.979-6.98.059-1.28.073-1.689.073-4.948 0-3.259-.014-3.667-.072-4.947-.196-4.354-2.617-6.78-6.979-6.98-1.281-.059-1.69-.073-4.949-.073zm0 5.838c-3.403 0-6.162 2.759-6.162 6.162s2.759 6.163 6.162 6.163 6.162-2.759 6.162-6.163c0-3.403-2.759-6.162-6.162-6.162zm0 10.162c-2.209 0-4-1.79-4-4 0-2.209 1.791-4 4-4s4 1.791 4 4c0 2.21-1.791 4-4 4zm6.406-11.845c-.796 0-1.441.645-1.441 1.44s.645 1.44 1.441 1.44c.795 0 1.439-.645 1.439-1.44s-.644-1.44-1.439-1.44z',
-        TIKTOK: 'M19.59 6.69a4.83 4.83 0 01-3.77-4.25V2h-3.45v13.67a2.89 2.89 0 01-5.2 1.74 2.89 2.89 0 012.31-4.64 2.93 2.93 0 01.88.13V9.4a6.84 6.84 0 00-1-.05A6.33 6.33 0 005 20.1a6.34 6.34 0 0010.86-4.43v-7a8.16 8.16 0 004.77 1.52v-3.4a4.85 4.85 0 01-1-.1z',
-        YOUTUBE: 'M23.498 6.186a3.016 3.016 0 00-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.017 3.017 0 00.502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.016 3.016 0 002.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.015 3.015 0 002.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814zM9.545 15.568V8.432L15.818 12l-6.273 3.568z',
-        TWITTER: 'M23.953 4.57a10 10 0 01-2.825.775 4.958 4.958 0 002.163-2.723c-.951.555-2.005.959-3.127 1.184a4.92 4.92 0 00-8.384 4.482C7.69 8.095 4.067 6.13 1.64 3.162a4.822 4.822 0 00-.666 2.475c0 1.71.87 3.213 2.188 4.096a4.904 4.904 0 01-2.228-.616v.06a4.923 4.923 0 003.946 4.827 4.996 4.996 0 01-2.212.085 4.936 4.936 0 004.604 3.417 9.867 9.867 0 01-6.102 2.105c-.39 0-.779-.023-1.17-.067a13.995 13.995 0 007.557 2.209c9.053 0 13.998-7.496 13.998-13.985 0-.21 0-.42-.015-.63A9.935 9.935 0 0024 4.59z',
-        FACEBOOK: 'M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z',
-        LINKEDIN: 'M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z',
-        GITHUB: 'M12 .297c-6.63 0-12 5.373-12 12 0 5.303 3.438 9.8 8.205 11.385.6.113.82-.258.82-.577 0-.285-.01-1.04-.015-2.04-3.338.724-4.042-1.61-4.042-1.61C4.422 18.07 3.633 17.7 3.633 17.7c-1.087-.744.084-.729.084-.729 1.205.084 1.838 1.236 1.838 1.236 1.07 1.835 2.809 1.305 3.495.998.108-.776.417-1.305.76-1.605-2.665-.3-5.466-1.332-5.466-5.93 0-1.31.465-2.38 1.235-3.22-.135-.303-.54-1.523.105-3.176 0 0 1.005-.322 3.3 1.23.96-.267 1.98-.399 3-.405 1.02.006 2.04.138 3 .405 2.28-1.552 3.285-1.23 3.285-1.23.645 1.653.24 2.873.12 3.176.765.84 1.23 1.91 1.23 3.22 0 4.61-2.805 5.625-5.475 5.92.42.36.81 1.096.81 2.22 0 1.606-.015 2.896-.015 3.286 0 .315.21.69.825.57C20.565 22.092 24 17.592 24 12.297c0-6.627-5.373-12-12-12'
-    };
-    return icons[iconType] || icons.INSTAGRAM; // Default to Instagram if unknown
-}
+function generatePagedSVG(links, template = null, options = {}) {
+    const palette = buildTemplatePalette(template, options.theme);
 
-/**
- * Generate SoMa (Social Media) section with icons
- */
-function generateSoMaSection(socialLinks, yPosition) {
-    if (!socialLinks || socialLinks.length === 0) return '';
+    // Separate regular links from social links
+    const regularLinks = links.filter(link => !link.isSocial);
+    const socialLinks = links.filter(link => link.isSocial);
 
-    const iconSize = 32;
-    const iconSpacing = 50;
-    const startX = 350 - ((socialLinks.length * iconSpacing) / 2);
+    const pageCount = Math.ceil(regularLinks.length / PAGED_LINKS_PER_PAGE);
+    const profile = generateProfileHeader(options, palette, { y: 40, fontSize: 22 });
 
-    const socialIcons = socialLinks.map((link, index) => {
-        const x = startX + (index * iconSpacing);
-        const iconPath = getSocialIcon(link.title);
-        const url = escapeXML(link.url || '#');
+    // Right-to-left pages put the panel heading on the right and the link range on the left
+    const rtl = localeDirection(options.locale) === 'rtl';
+    const pages = [];
+    let y = 70 + profile.height;
 
-        return `
-        <a href="${url}" target="_blank">
-            <g transform="translate(${x}, ${yPosition})">
-                <circle cx="16" cy="16" r="18" fill="rgba(167, 139, 250, 0.1)"
-                        stroke="#a78bfa" stroke-width="1" opacity="0.6"/>
-                <path d="${iconPath}" fill="#a78bfa" opacity="0.8"
-                      transform="scale(0.65) translate(4, 4)"
-                      style="filter: drop-shadow(0 0 4px #a78bfa);"/>
+    for (let page = 0; page < pageCount; page++) {
+        const start = page * PAGED_LINKS_PER_PAGE;
+        const pageLinks = regularLinks.slice(start, start + PAGED_LINKS_PER_PAGE);
+        const layout = layoutGroupedLinks(pageLinks, { columns: 3, startY: y + 45, rowHeight: 80 });
+        const panelHeight = layout.endY - y + 5;
+
+        const linkElements = pageLinks.map((link, pageIndex) => {
+            const index = start + pageIndex;
+            const { col, y: cardY } = layout.positions[pageIndex];
+            const x = 30 + (col * 220);
+
+            const url = escapeXML(safeLinkHref(link.url));
+            const text = layoutCardTitle(link, 'dense', options.locale);
+            const position = cardTextPosition(text.direction, x + 15, x + 175);
+
+            const gradients = palette.linkGradients;
+            const gradient = gradients[index % gradients.length];
+            const titleColor = palette.titleColor || (palette.titleColors ? palette.titleColors[index % palette.titleColors.length] : gradient[0]);
+            const gradId = `grad${index}`;
+            const glowId = `glow${index}`;
+
+            return `${generateGroupHeaderAt(layout.headers, pageIndex, 30, palette, 3)}
+        <defs>
+            <linearGradient id="${gradId}" x1="0%" y1="0%" x2="100%" y2="100%">
+                <stop offset="0%" style="stop-color:${gradient[0]};stop-opacity:1" />
+                <stop offset="100%" style="stop-color:${gradient[1]};stop-opacity:1" />
+            </linearGradient>
+            <filter id="${glowId}" x="-50%" y="-50%" width="200%" height="200%">
+                <feGaussianBlur stdDeviation="5" result="coloredBlur"/>
+                <feMerge>
+                    <feMergeNode in="coloredBlur"/>
+                    <feMergeNode in="SourceGraphic"/>
+                </feMerge>
+            </filter>
+        </defs>
+
+        <a href="${url}" target="_blank" aria-label="${linkLabel(link, options.locale)}">
+            ${cardTitleTooltip(link, text)}
+            ${generateFocusRing(x, cardY, 190, 65, 10, palette)}
+            <g filter="url(#${glowId})">
+                <rect x="${x}" y="${cardY}" width="190" height="65" rx="10"
+                      class="ll-card" fill="url(#${gradId})" opacity="${palette.cardOpacity}"/>
+                <rect x="${x}" y="${cardY}" width="190" height="65" rx="10"
+                      fill="none" stroke="url(#${gradId})" stroke-width="2" opacity="0.8"/>
             </g>
+            <text x="${position.x}" y="${cardY + text.titleY}"${position.anchor} class="ll-title-${index % gradients.length}" fill="${titleColor}" font-size="${text.fontSize}" font-weight="bold"
+                  style="filter: drop-shadow(0 0 5px ${gradient[0]});">${cardTitleLines(text, position.x)}</text>
+            <text x="${position.x}" y="${cardY + text.subtitleY}"${position.anchor} aria-hidden="true" class="ll-subtitle" fill="${palette.subtitleColor}" font-size="11">✨ ${index + 1}</text>
         </a>`;
-    }).join('\n');
+        }).join('\n');
+
+        pages.push(`
+    <g id="page-${page + 1}" role="group">
+        <line x1="30" y1="${y}" x2="670" y2="${y}" aria-hidden="true" class="ll-accent-stroke" stroke="${palette.accentColor}" stroke-width="1" opacity="0.3"/>
+        <text x="${rtl ? 670 : 30}" y="${y + 28}"${rtl ? ' text-anchor="end"' : ''} role="heading" aria-level="2" class="ll-accent-fill" fill="${palette.accentColor}" font-size="14" font-weight="bold" opacity="0.8">
+            ${bidiText(t(options.locale, 'svg.pageOf', { page: page + 1, count: pageCount }))}
+        </text>
+        <text x="${rtl ? 30 : 670}" y="${y + 28}"${rtl ? '' : ' text-anchor="end"'} class="ll-subtitle" fill="${palette.subtitleColor}" font-size="12">
+            ${bidiText(t(options.locale, 'svg.linkRange', { first: start + 1, last: start + pageLinks.length, total: regularLinks.length }))}
+        </text>
+        ${linkElements}
+    </g>`);
+
+        y += panelHeight + 20;
+    }
+
+    const baseLinkHeight = y + 10;
+    const somaHeight = socialLinks.length > 0 ? 100 : 0;
+    const height = Math.max(400, baseLinkHeight + somaHeight);
 
     return `
-    <text x="350" y="${yPosition - 15}" fill="#a78bfa" font-size="16" font-weight="bold"
-          text-anchor="middle" opacity="0.7"
-          style="filter: drop-shadow(0 0 6px #a78bfa);">
-        SoMa:
-    </text>
-    ${socialIcons}`;
+<svg class="ll-tapestry" width="700" height="${height}" viewBox="0 0 700 ${height}" xmlns="http://www.w3.org/2000/svg">
+    ${generateSVGPreamble(links, palette, height, options)}
+
+    ${profile.svg}
+    ${pages.join('\n')}
+
+    <!-- Social Media Section (SoMa) -->
+    ${socialLinks.length > 0 ? generateSoMaSection(socialLinks, baseLinkHeight + 10, palette, options.locale) : ''}
+</svg>`;
 }
 
 /**
- * Choose SVG template based on link count (regular links only)
+ * Host name shown under a link ("github.com"), or the address of a mailto: link
  */
-function chooseSVGTemplate(linkCount) {
-    if (linkCount <= 6) {
-        return generateCompactSVG;
-    } else if (linkCount <= 13) {
-        return generateGridSVG;
-    } else {
-        return generateDenseSVG;
+function linkHost(url) {
+    try {
+        const parsed = new URL(String(url || '').trim());
+        if (parsed.protocol === 'mailto:') return decodeURIComponent(parsed.pathname);
+        return parsed.hostname.replace(/^www\./, '');
+    } catch (error) {
+        return '';
     }
 }
 
 /**
- * Template 1: Compact layout (1-6 links)
- * Large cards, vertical stack - DARK MODE WITH GLOW
+ * Site icon tile for a link: the platform's icon for known sites, otherwise the
+ * site's initial. Drawn from built-in data, so viewing a tapestry never fetches
+ * anything from the linked sites.
+ */
+function generateSiteIcon(link, x, y, size) {
+    const platform = detectPlatformFromURL(link.url);
+    const tile = `<rect x="${x}" y="${y}" width="${size}" height="${size}" rx="${size * 0.25}" fill="#ffffff" opacity="0.92"/>`;
+
+    if (platform) {
+        const inset = size * 0.2;
+        return `<g aria-hidden="true">
+                ${tile}
+                <path d="${SOCIAL_PLATFORMS[platform].path}" fill="#1f2937"
+                      transform="translate(${x + inset}, ${y + inset}) scale(${(size - inset * 2) / 24})"/>
+            </g>`;
+    }
+
+    const host = linkHost(link.url);
+    const initial = /^[a-z0-9]/i.test(host) ? host[0].toUpperCase() : (splitGraphemes(link.title || '?')[0] || '?');
+    return `<g aria-hidden="true">
+                ${tile}
+                <text x="${x + size / 2}" y="${y + size * 0.7}" fill="#1f2937" font-size="${size * 0.55}" font-weight="bold" text-anchor="middle">${escapeXML(initial)}</text>
+            </g>`;
+}
+
+/**
+ * Template 5: List layout (chosen by the creator)
+ * Single column of slim rows with site icons - DARK MODE WITH GLOW
  */
-function generateCompactSVG(links) {
+function generateListSVG(links, template = null, options = {}) {
+    const palette = buildTemplatePalette(template, options.theme);
+
     // Separate regular links from social links
     const regularLinks = links.filter(link => !link.isSocial);
     const socialLinks = links.filter(link => link.isSocial);
 
-    const baseLinkHeight = regularLinks.length * 110 + 60;
+    const profile = generateProfileHeader(options, palette, { y: 35, fontSize: 24 });
+    const layout = layoutGroupedLinks(regularLinks, { columns: 1, startY: 60 + profile.height, rowHeight: 78 });
+    const baseLinkHeight = layout.endY;
     const somaHeight = socialLinks.length > 0 ? 100 : 0;
     const height = Math.max(400, baseLinkHeight + somaHeight);
 
     const linkElements = regularLinks.map((link, index) => {
-        const y = 60 + (index * 110);
-        const title = escapeXML(link.title || 'Untitled');
-        const url = escapeXML(link.url || '#');
-        const truncatedTitle = title.length > 30 ? title.substring(0, 30) + '...' : title;
-
-        // Magical glowing gradients
-        const gradients = [
-            ['#10b981', '#059669'],  // Emerald glow
-            ['#3b82f6', '#2563eb'],  // Sapphire glow
-            ['#8b5cf6', '#7c3aed'],  // Amethyst glow
-            ['#ec4899', '#db2777'],  // Ruby glow
-            ['#fbbf24', '#f59e0b'],  // Topaz glow
-            ['#06b6d4', '#0891b2']   // Aquamarine glow
-        ];
+        const { y } = layout.positions[index];
+        const url = escapeXML(safeLinkHref(link.url));
+        const text = layoutCardTitle(link, 'list', options.locale);
+        const rtl = text.direction === 'rtl';
+        const position = cardTextPosition(text.direction, 116, 584);
+
+        const gradients = palette.linkGradients;
         const gradient = gradients[index % gradients.length];
+        const titleColor = palette.titleColor || (palette.titleColors ? palette.titleColors[index % palette.titleColors.length] : gradient[0]);
         const gradId = `grad${index}`;
         const glowId = `glow${index}`;
 
-        return `
+        return `${generateGroupHeaderAt(layout.headers, index, 50, palette)}
         <defs>
-            <linearGradient id="${gradId}" x1="0%" y1="0%" x2="100%" y2="100%">
+            <linearGradient id="${gradId}" x1="0%" y1="0%" x2="100%" y2="0%">
                 <stop offset="0%" style="stop-color:${gradient[0]};stop-opacity:1" />
                 <stop offset="100%" style="stop-color:${gradient[1]};stop-opacity:1" />
             </linearGradient>
             <filter id="${glowId}" x="-50%" y="-50%" width="200%" height="200%">
-                <feGaussianBlur stdDeviation="8" result="coloredBlur"/>
+                <feGaussianBlur stdDeviation="5" result="coloredBlur"/>
                 <feMerge>
                     <feMergeNode in="coloredBlur"/>
                     <feMergeNode in="SourceGraphic"/>
@@ -850,92 +3377,121 @@ function generateCompactSVG(links) {
             </filter>
         </defs>
 
-        <a href="${url}" target="_blank">
+        <a href="${url}" target="_blank" aria-label="${linkLabel(link, options.locale)}">
+            ${cardTitleTooltip(link, text)}
+            ${generateFocusRing(50, y, 600, 64, 12, palette)}
             <g filter="url(#${glowId})">
-                <rect x="50" y="${y}" width="600" height="90" rx="15"
-                      fill="url(#${gradId})" opacity="0.15"/>
-                <rect x="50" y="${y}" width="600" height="90" rx="15"
+                <rect x="50" y="${y}" width="600" height="64" rx="12"
+                      class="ll-card" fill="url(#${gradId})" opacity="${palette.cardOpacity}"/>
+                <rect x="50" y="${y}" width="600" height="64" rx="12"
                       fill="none" stroke="url(#${gradId})" stroke-width="2" opacity="0.8"/>
             </g>
-            <text x="90" y="${y + 40}" fill="${gradient[0]}" font-size="20" font-weight="bold"
-                  style="filter: drop-shadow(0 0 8px ${gradient[0]});">${truncatedTitle}</text>
-            <text x="90" y="${y + 65}" fill="rgba(167, 139, 250, 0.7)" font-size="14">✨ Tap to open</text>
-            <text x="600" y="${y + 50}" fill="${gradient[0]}" font-size="30"
-                  style="filter: drop-shadow(0 0 6px ${gradient[0]});">→</text>
+            ${generateSiteIcon(link, rtl ? 598 : 66, y + 14, 36)}
+            <text x="${position.x}" y="${y + text.titleY}"${position.anchor} class="ll-title-${index % gradients.length}" fill="${titleColor}" font-size="${text.fontSize}" font-weight="bold"
+                  style="filter: drop-shadow(0 0 6px ${gradient[0]});">${cardTitleLines(text, position.x)}</text>
+            <text x="${position.x}" y="${y + text.subtitleY}"${position.anchor} aria-hidden="true" class="ll-subtitle" fill="${palette.subtitleColor}" font-size="12">${escapeXML(linkHost(link.url))}</text>
+            <text x="${rtl ? 78 : 622}" y="${y + 40}"${rtl ? ' text-anchor="end"' : ''} aria-hidden="true" class="ll-title-${index % gradients.length}" fill="${titleColor}" font-size="22"
+                  style="filter: drop-shadow(0 0 6px ${gradient[0]});">${rtl ? '←' : '→'}</text>
         </a>`;
     }).join('\n');
 
     return `
-<svg width="700" height="${height}" viewBox="0 0 700 ${height}" xmlns="http://www.w3.org/2000/svg">
-    <defs>
-        <radialGradient id="bgGrad" cx="50%" cy="50%">
-            <stop offset="0%" style="stop-color:#1a0033;stop-opacity:1" />
-            <stop offset="100%" style="stop-color:#0a001a;stop-opacity:1" />
-        </radialGradient>
-    </defs>
+<svg class="ll-tapestry" width="700" height="${height}" viewBox="0 0 700 ${height}" xmlns="http://www.w3.org/2000/svg">
+    ${generateSVGPreamble(links, palette, height, options)}
 
-    <rect width="700" height="${height}" fill="url(#bgGrad)"/>
-
-    <!-- Magical particles -->
-    <circle cx="100" cy="20" r="2" fill="#fbbf24" opacity="0.6">
-        <animate attributeName="opacity" values="0.3;0.8;0.3" dur="3s" repeatCount="indefinite"/>
-    </circle>
-    <circle cx="600" cy="30" r="1.5" fill="#a78bfa" opacity="0.5">
-        <animate attributeName="opacity" values="0.2;0.7;0.2" dur="4s" repeatCount="indefinite"/>
-    </circle>
-    <circle cx="350" cy="15" r="1" fill="#10b981" opacity="0.4">
-        <animate attributeName="opacity" values="0.2;0.6;0.2" dur="5s" repeatCount="indefinite"/>
-    </circle>
-
-    <text x="350" y="35" fill="#fbbf24" font-size="24" font-weight="bold" text-anchor="middle"
-          style="filter: drop-shadow(0 0 10px #fbbf24);">
-        ✨ My Links ✨
-    </text>
+    ${profile.svg}
 
     ${linkElements}
 
     <!-- Social Media Section (SoMa) -->
-    ${socialLinks.length > 0 ? generateSoMaSection(socialLinks, baseLinkHeight + 50) : ''}
+    ${socialLinks.length > 0 ? generateSoMaSection(socialLinks, baseLinkHeight + 50, palette, options.locale) : ''}
 </svg>`;
 }
 
+// Masonry card text: titles wrap to as many as four lines and the card grows to fit
+const MASONRY_TEXT = { fontSize: 17, maxWidth: 232, lineHeight: 21, maxLines: 4 };
+
+// Vertical space between masonry cards
+const MASONRY_GAP = 20;
+
 /**
- * Template 2: Grid layout (7-13 links)
- * 2-column grid with medium cards - DARK MODE WITH GLOW
+ * Lay out cards of varying height in two columns, each card going under the shorter column
+ * Groups start below both columns, under their header.
+ *
+ * @param {Object[]} links - Regular (non-social) links
+ * @param {number[]} heights - Card height of each link
+ * @param {number} startY
+ * @returns {{ positions: {col: number, y: number}[], headers: {name: string, y: number, index: number}[], endY: number }}
+ */
+function layoutMasonryLinks(links, heights, startY) {
+    const positions = [];
+    const headers = [];
+    const bottoms = [startY, startY];
+    let currentGroup = null;
+
+    links.forEach((link, index) => {
+        const group = link.group || null;
+
+        if (group !== currentGroup) {
+            const y = Math.max(...bottoms);
+            if (group) {
+                headers.push({ name: group, y, index });
+                bottoms[0] = bottoms[1] = y + GROUP_HEADER_HEIGHT;
+            } else {
+                bottoms[0] = bottoms[1] = y;
+            }
+            currentGroup = group;
+        }
+
+        const col = bottoms[1] < bottoms[0] ? 1 : 0;
+        positions.push({ col, y: bottoms[col] });
+        bottoms[col] += heights[index] + MASONRY_GAP;
+    });
+
+    return { positions, headers, endY: Math.max(...bottoms) };
+}
+
+/**
+ * Template 6: Masonry layout (chosen by the creator)
+ * Two columns of cards sized to their titles - DARK MODE WITH GLOW
  */
-function generateGridSVG(links) {
+function generateMasonrySVG(links, template = null, options = {}) {
+    const palette = buildTemplatePalette(template, options.theme);
+
     // Separate regular links from social links
     const regularLinks = links.filter(link => !link.isSocial);
     const socialLinks = links.filter(link => link.isSocial);
 
-    const rows = Math.ceil(regularLinks.length / 2);
-    const baseLinkHeight = rows * 100 + 100;
+    const texts = regularLinks.map((link) => {
+        const title = link.title || t(options.locale, 'untitled');
+        const direction = detectTextDirection(title) || localeDirection(options.locale);
+        const { lines, truncated } = wrapText(title, MASONRY_TEXT);
+        return { lines: lines.map(line => isolateBidi(escapeXML(line), direction)), truncated, direction, lineHeight: MASONRY_TEXT.lineHeight };
+    });
+    const heights = texts.map(text => 49 + text.lines.length * MASONRY_TEXT.lineHeight);
+
+    const profile = generateProfileHeader(options, palette, { y: 40, fontSize: 24 });
+    const layout = layoutMasonryLinks(regularLinks, heights, 80 + profile.height);
+    const baseLinkHeight = layout.endY;
     const somaHeight = socialLinks.length > 0 ? 100 : 0;
     const height = Math.max(400, baseLinkHeight + somaHeight);
 
     const linkElements = regularLinks.map((link, index) => {
-        const col = index % 2;
-        const row = Math.floor(index / 2);
+        const { col, y } = layout.positions[index];
         const x = col === 0 ? 40 : 370;
-        const y = 80 + (row * 100);
-
-        const title = escapeXML(link.title || 'Untitled');
-        const url = escapeXML(link.url || '#');
-        const truncatedTitle = title.length > 15 ? title.substring(0, 15) + '...' : title;
-
-        const gradients = [
-            ['#10b981', '#059669'],  // Emerald
-            ['#3b82f6', '#2563eb'],  // Sapphire
-            ['#8b5cf6', '#7c3aed'],  // Amethyst
-            ['#ec4899', '#db2777'],  // Ruby
-            ['#fbbf24', '#f59e0b'],  // Topaz
-            ['#06b6d4', '#0891b2']   // Aquamarine
-        ];
+        const cardHeight = heights[index];
+        const text = texts[index];
+        const position = cardTextPosition(text.direction, x + 20, x + 270);
+
+        const url = escapeXML(safeLinkHref(link.url));
+
+        const gradients = palette.linkGradients;
         const gradient = gradients[index % gradients.length];
+        const titleColor = palette.titleColor || (palette.titleColors ? palette.titleColors[index % palette.titleColors.length] : gradient[0]);
         const gradId = `grad${index}`;
         const glowId = `glow${index}`;
 
-        return `
+        return `${generateGroupHeaderAt(layout.headers, index, 40, palette)}
         <defs>
             <linearGradient id="${gradId}" x1="0%" y1="0%" x2="100%" y2="100%">
                 <stop offset="0%" style="stop-color:${gradient[0]};stop-opacity:1" />
@@ -950,100 +3506,133 @@ function generateGridSVG(links) {
             </filter>
         </defs>
 
-        <a href="${url}" target="_blank">
+        <a href="${url}" target="_blank" aria-label="${linkLabel(link, options.locale)}">
+            ${cardTitleTooltip(link, text)}
+            ${generateFocusRing(x, y, 290, cardHeight, 12, palette)}
             <g filter="url(#${glowId})">
-                <rect x="${x}" y="${y}" width="290" height="80" rx="12"
-                      fill="url(#${gradId})" opacity="0.15"/>
-                <rect x="${x}" y="${y}" width="290" height="80" rx="12"
+                <rect x="${x}" y="${y}" width="290" height="${cardHeight}" rx="12"
+                      class="ll-card" fill="url(#${gradId})" opacity="${palette.cardOpacity}"/>
+                <rect x="${x}" y="${y}" width="290" height="${cardHeight}" rx="12"
                       fill="none" stroke="url(#${gradId})" stroke-width="2" opacity="0.8"/>
             </g>
-            <text x="${x + 20}" y="${y + 35}" fill="${gradient[0]}" font-size="16" font-weight="bold"
-                  style="filter: drop-shadow(0 0 6px ${gradient[0]});">${truncatedTitle}</text>
-            <text x="${x + 20}" y="${y + 55}" fill="rgba(167, 139, 250, 0.7)" font-size="12">✨ Click</text>
+            <text x="${position.x}" y="${y + 30}"${position.anchor} class="ll-title-${index % gradients.length}" fill="${titleColor}" font-size="${MASONRY_TEXT.fontSize}" font-weight="bold"
+                  style="filter: drop-shadow(0 0 6px ${gradient[0]});">${cardTitleLines(text, position.x)}</text>
+            <text x="${position.x}" y="${y + cardHeight - 16}"${position.anchor} aria-hidden="true" class="ll-subtitle" fill="${palette.subtitleColor}" font-size="12">✨ ${escapeXML(linkHost(link.url))}</text>
         </a>`;
     }).join('\n');
 
     return `
-<svg width="700" height="${height}" viewBox="0 0 700 ${height}" xmlns="http://www.w3.org/2000/svg">
-    <defs>
-        <radialGradient id="bgGrad" cx="50%" cy="50%">
-            <stop offset="0%" style="stop-color:#1a0033;stop-opacity:1" />
-            <stop offset="100%" style="stop-color:#0a001a;stop-opacity:1" />
-        </radialGradient>
-    </defs>
+<svg class="ll-tapestry" width="700" height="${height}" viewBox="0 0 700 ${height}" xmlns="http://www.w3.org/2000/svg">
+    ${generateSVGPreamble(links, palette, height, options)}
 
-    <rect width="700" height="${height}" fill="url(#bgGrad)"/>
-
-    <!-- Magical particles -->
-    <circle cx="120" cy="25" r="2" fill="#fbbf24" opacity="0.6">
-        <animate attributeName="opacity" values="0.3;0.8;0.3" dur="3s" repeatCount="indefinite"/>
-    </circle>
-    <circle cx="580" cy="35" r="1.5" fill="#a78bfa" opacity="0.5">
-        <animate attributeName="opacity" values="0.2;0.7;0.2" dur="4s" repeatCount="indefinite"/>
-    </circle>
-    <circle cx="350" cy="20" r="1" fill="#10b981" opacity="0.4">
-        <animate attributeName="opacity" values="0.2;0.6;0.2" dur="5s" repeatCount="indefinite"/>
-    </circle>
-    <circle cx="200" cy="30" r="1.5" fill="#ec4899" opacity="0.5">
-        <animate attributeName="opacity" values="0.3;0.7;0.3" dur="3.5s" repeatCount="indefinite"/>
-    </circle>
-
-    <text x="350" y="40" fill="#fbbf24" font-size="24" font-weight="bold" text-anchor="middle"
-          style="filter: drop-shadow(0 0 10px #fbbf24);">
-        ✨ My Links ✨
-    </text>
+    ${profile.svg}
 
     ${linkElements}
 
     <!-- Social Media Section (SoMa) -->
-    ${socialLinks.length > 0 ? generateSoMaSection(socialLinks, baseLinkHeight + 20) : ''}
+    ${socialLinks.length > 0 ? generateSoMaSection(socialLinks, baseLinkHeight + 30, palette, options.locale) : ''}
 </svg>`;
 }
 
+// Glyph layout geometry: one ring for up to 8 links, otherwise 6 inside and up to 12 outside
+const GLYPH_SINGLE_RING_LINKS = 8;
+const GLYPH_INNER_RING_LINKS = 6;
+const GLYPH_NODE_RADIUS = 34;
+
 /**
- * Template 3: Dense layout (14-20 links)
- * 3-column grid with compact cards - DARK MODE WITH GLOW
+ * Ring radius and angle of each glyph node (clockwise from the top)
  */
-function generateDenseSVG(links) {
+function layoutGlyphNodes(count) {
+    const rings = count <= GLYPH_SINGLE_RING_LINKS
+        ? [{ count, radius: 150, offset: 0 }]
+        : [
+            { count: GLYPH_INNER_RING_LINKS, radius: 140, offset: 0 },
+            { count: count - GLYPH_INNER_RING_LINKS, radius: 265, offset: 0.5 }
+        ];
+
+    const nodes = [];
+    for (const ring of rings) {
+        for (let i = 0; i < ring.count; i++) {
+            const angle = ((i + ring.offset) / ring.count) * Math.PI * 2 - Math.PI / 2;
+            nodes.push({ radius: ring.radius, angle });
+        }
+    }
+    return { nodes, outerRadius: rings[rings.length - 1].radius, radii: rings.map(ring => ring.radius) };
+}
+
+/**
+ * Template 7: Glyph layout (chosen by the creator, up to GLYPH_MAX_LINKS links)
+ * Links orbit a central sigil on one or two rings; groups share a color - DARK MODE WITH GLOW
+ */
+function generateGlyphSVG(links, template = null, options = {}) {
+    const palette = buildTemplatePalette(template, options.theme);
+
     // Separate regular links from social links
     const regularLinks = links.filter(link => !link.isSocial);
     const socialLinks = links.filter(link => link.isSocial);
 
-    const rows = Math.ceil(regularLinks.length / 3);
-    const baseLinkHeight = rows * 80 + 100;
+    const profile = generateProfileHeader(options, palette, { y: 40, fontSize: 24 });
+    const { nodes, outerRadius, radii } = layoutGlyphNodes(regularLinks.length);
+    const cx = 350;
+    const cy = 80 + profile.height + outerRadius + GLYPH_NODE_RADIUS + 10;
+    const accent = palette.accentColor;
+
+    // With groups, color follows the group so each group reads as one arc of the glyph
+    const grouped = regularLinks.some(link => link.group);
+    const groupNames = [...new Set(regularLinks.map(link => link.group || null))];
+    const gradients = palette.linkGradients;
+    const colorIndex = (link, index) => (grouped ? groupNames.indexOf(link.group || null) : index) % gradients.length;
+
+    const legendY = cy + outerRadius + GLYPH_NODE_RADIUS + 50;
+    const namedGroups = groupNames.filter(Boolean);
+    const baseLinkHeight = namedGroups.length > 0 ? legendY + 30 : legendY;
     const somaHeight = socialLinks.length > 0 ? 100 : 0;
     const height = Math.max(400, baseLinkHeight + somaHeight);
 
-    const linkElements = regularLinks.map((link, index) => {
-        const col = index % 3;
-        const row = Math.floor(index / 3);
-        const x = 30 + (col * 220);
-        const y = 80 + (row * 80);
-
-        const title = escapeXML(link.title || 'Untitled');
-        const url = escapeXML(link.url || '#');
-        const truncatedTitle = title.length > 12 ? title.substring(0, 12) + '...' : title;
-
-        const gradients = [
-            ['#10b981', '#059669'],  // Emerald
-            ['#3b82f6', '#2563eb'],  // Sapphire
-            ['#8b5cf6', '#7c3aed'],  // Amethyst
-            ['#ec4899', '#db2777'],  // Ruby
-            ['#fbbf24', '#f59e0b'],  // Topaz
-            ['#06b6d4', '#0891b2']   // Aquamarine
-        ];
-        const gradient = gradients[index % gradients.length];
+    const spokes = nodes.map(({ radius, angle }) => {
+        const x = cx + radius * Math.cos(angle);
+        const y = cy + radius * Math.sin(angle);
+        return `<line x1="${cx}" y1="${cy}" x2="${x.toFixed(1)}" y2="${y.toFixed(1)}" class="ll-accent-stroke" stroke="${accent}" stroke-width="1" opacity="0.25"/>`;
+    }).join('\n        ');
+
+    const orbits = radii.map(radius =>
+        `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" class="ll-accent-stroke" stroke="${accent}" stroke-width="1" stroke-dasharray="4 8" opacity="0.3"/>`
+    ).join('\n        ');
+
+    const triangle = (rotation) => [0, 1, 2].map((i) => {
+        const angle = rotation + (i / 3) * Math.PI * 2 - Math.PI / 2;
+        return `${(cx + 46 * Math.cos(angle)).toFixed(1)},${(cy + 46 * Math.sin(angle)).toFixed(1)}`;
+    }).join(' ');
+
+    const nodeElements = regularLinks.map((link, index) => {
+        const { radius, angle } = nodes[index];
+        const x = Number((cx + radius * Math.cos(angle)).toFixed(1));
+        const y = Number((cy + radius * Math.sin(angle)).toFixed(1));
+        const url = escapeXML(safeLinkHref(link.url));
+        const color = colorIndex(link, index);
+        const gradient = gradients[color];
         const gradId = `grad${index}`;
         const glowId = `glow${index}`;
 
-        return `
+        const label = truncateText(link.title || t(options.locale, 'untitled'), { maxWidth: 120, fontSize: 12 });
+        const platform = detectPlatformFromURL(link.url);
+        const symbol = platform
+            ? `<path d="${SOCIAL_PLATFORMS[platform].path}" aria-hidden="true" fill="#ffffff" transform="translate(${x - 14}, ${y - 14}) scale(${28 / 24})"/>`
+            : `<text x="${x}" y="${y + 9}" aria-hidden="true" fill="#ffffff" font-size="26" font-weight="bold" text-anchor="middle">${escapeXML(splitGraphemes(link.title || '?')[0] || '?')}</text>`;
+
+        const groupStart = grouped && link.group && (index === 0 || regularLinks[index - 1].group !== link.group)
+            ? `<g role="group" aria-label="${escapeXML(link.group)}">` : '';
+        const groupEnd = grouped && link.group && (index === regularLinks.length - 1 || regularLinks[index + 1].group !== link.group)
+            ? '</g>' : '';
+
+        return `${groupStart}
         <defs>
-            <linearGradient id="${gradId}" x1="0%" y1="0%" x2="100%" y2="100%">
+            <radialGradient id="${gradId}" cx="35%" cy="35%">
                 <stop offset="0%" style="stop-color:${gradient[0]};stop-opacity:1" />
                 <stop offset="100%" style="stop-color:${gradient[1]};stop-opacity:1" />
-            </linearGradient>
+            </radialGradient>
             <filter id="${glowId}" x="-50%" y="-50%" width="200%" height="200%">
-                <feGaussianBlur stdDeviation="5" result="coloredBlur"/>
+                <feGaussianBlur stdDeviation="6" result="coloredBlur"/>
                 <feMerge>
                     <feMergeNode in="coloredBlur"/>
                     <feMergeNode in="SourceGraphic"/>
@@ -1051,56 +3640,65 @@ function generateDenseSVG(links) {
             </filter>
         </defs>
 
-        <a href="${url}" target="_blank">
+        <a href="${url}" target="_blank" aria-label="${linkLabel(link, options.locale)}">
+            ${label.truncated ? `<title>${escapeXML(link.title)}</title>` : ''}
+            <circle class="ll-focus-ring" cx="${x}" cy="${y}" r="${GLYPH_NODE_RADIUS + 6}" fill="none"
+                    stroke="${palette.headerColor}" stroke-width="3" opacity="0"/>
             <g filter="url(#${glowId})">
-                <rect x="${x}" y="${y}" width="190" height="65" rx="10"
-                      fill="url(#${gradId})" opacity="0.15"/>
-                <rect x="${x}" y="${y}" width="190" height="65" rx="10"
-                      fill="none" stroke="url(#${gradId})" stroke-width="2" opacity="0.8"/>
+                <circle cx="${x}" cy="${y}" r="${GLYPH_NODE_RADIUS}"
+                        class="ll-card" fill="url(#${gradId})" opacity="${palette.cardOpacity}"/>
+                <circle cx="${x}" cy="${y}" r="${GLYPH_NODE_RADIUS}"
+                        fill="none" stroke="url(#${gradId})" stroke-width="2" opacity="0.8"/>
             </g>
-            <text x="${x + 15}" y="${y + 30}" fill="${gradient[0]}" font-size="14" font-weight="bold"
-                  style="filter: drop-shadow(0 0 5px ${gradient[0]});">${truncatedTitle}</text>
-            <text x="${x + 15}" y="${y + 48}" fill="rgba(167, 139, 250, 0.7)" font-size="11">✨</text>
-        </a>`;
+            ${symbol}
+            <text x="${x}" y="${y + GLYPH_NODE_RADIUS + 18}" aria-hidden="true" class="ll-accent-fill" fill="${accent}" font-size="12" font-weight="bold" text-anchor="middle">${bidiText(label.text)}</text>
+        </a>${groupEnd}`;
     }).join('\n');
 
+    // Legend: one swatch per named group
+    let legend = '';
+    if (namedGroups.length > 0) {
+        const entries = namedGroups.map((name) => {
+            const text = truncateText(name, { maxWidth: 140, fontSize: 13 }).text;
+            return { name, text, width: measureText(text, 13) + 36 };
+        });
+        let x = cx - entries.reduce((sum, entry) => sum + entry.width, 0) / 2;
+        legend = `<g aria-hidden="true">
+        ${entries.map((entry) => {
+            const gradient = gradients[groupNames.indexOf(entry.name) % gradients.length];
+            const item = `<circle cx="${(x + 8).toFixed(1)}" cy="${legendY - 5}" r="7" fill="${gradient[0]}"/>
+        <text x="${(x + 22).toFixed(1)}" y="${legendY}" class="ll-accent-fill" fill="${accent}" font-size="13" font-weight="bold">${bidiText(entry.text)}</text>`;
+            x += entry.width;
+            return item;
+        }).join('\n        ')}
+    </g>`;
+    }
+
     return `
-<svg width="700" height="${height}" viewBox="0 0 700 ${height}" xmlns="http://www.w3.org/2000/svg">
-    <defs>
-        <radialGradient id="bgGrad" cx="50%" cy="50%">
-            <stop offset="0%" style="stop-color:#1a0033;stop-opacity:1" />
-            <stop offset="100%" style="stop-color:#0a001a;stop-opacity:1" />
-        </radialGradient>
-    </defs>
+<svg class="ll-tapestry" width="700" height="${height}" viewBox="0 0 700 ${height}" xmlns="http://www.w3.org/2000/svg">
+    ${generateSVGPreamble(links, palette, height, options)}
 
-    <rect width="700" height="${height}" fill="url(#bgGrad)"/>
-
-    <!-- Magical particles -->
-    <circle cx="100" cy="25" r="2" fill="#fbbf24" opacity="0.6">
-        <animate attributeName="opacity" values="0.3;0.8;0.3" dur="3s" repeatCount="indefinite"/>
-    </circle>
-    <circle cx="350" cy="20" r="1.5" fill="#a78bfa" opacity="0.5">
-        <animate attributeName="opacity" values="0.2;0.7;0.2" dur="4s" repeatCount="indefinite"/>
-    </circle>
-    <circle cx="600" cy="30" r="1" fill="#10b981" opacity="0.4">
-        <animate attributeName="opacity" values="0.2;0.6;0.2" dur="5s" repeatCount="indefinite"/>
-    </circle>
-    <circle cx="200" cy="35" r="1.5" fill="#ec4899" opacity="0.5">
-        <animate attributeName="opacity" values="0.3;0.7;0.3" dur="3.5s" repeatCount="indefinite"/>
-    </circle>
-    <circle cx="500" cy="28" r="1" fill="#06b6d4" opacity="0.4">
-        <animate attributeName="opacity" values="0.2;0.6;0.2" dur="4.5s" repeatCount="indefinite"/>
-    </circle>
-
-    <text x="350" y="40" fill="#fbbf24" font-size="22" font-weight="bold" text-anchor="middle"
-          style="filter: drop-shadow(0 0 10px #fbbf24);">
-        ✨ My Links ✨
-    </text>
+    ${profile.svg}
 
-    ${linkElements}
+    <!-- Sigil -->
+    <g aria-hidden="true">
+        ${orbits}
+        ${spokes}
+        <g class="ll-accent-stroke ll-spin" stroke="${accent}" stroke-width="1.5" fill="none" opacity="0.7"
+           style="transform-origin: ${cx}px ${cy}px; filter: drop-shadow(0 0 6px ${accent});">
+            <polygon points="${triangle(0)}"/>
+            <polygon points="${triangle(Math.PI)}"/>
+        </g>
+        <circle cx="${cx}" cy="${cy}" r="20" class="ll-accent-fill" fill="${accent}" opacity="0.15"/>
+        <text x="${cx}" y="${cy + 7}" font-size="20" text-anchor="middle">✨</text>
+    </g>
+
+    ${nodeElements}
+
+    ${legend}
 
     <!-- Social Media Section (SoMa) -->
-    ${socialLinks.length > 0 ? generateSoMaSection(socialLinks, baseLinkHeight + 10) : ''}
+    ${socialLinks.length > 0 ? generateSoMaSection(socialLinks, baseLinkHeight + 30, palette, options.locale) : ''}
 </svg>`;
 }
 
@@ -1256,143 +3854,559 @@ app.get('/create', async (req, res) => {
  * Body:
  * {
  *   "title": "My Links",
- *   "links": [{"title": "...", "url": "..."}, ...],
+ *   "links": [{"title": "...", "url": "...", "group": "Music" (optional)}, ...],
  *   "source": "linktree" | "manual" (optional),
  *   "sourceUrl": "https://..." (optional),
  *   "style": "stunning" | "dazzling" | ... (optional),
- *   "template": "Sunset" | "Ocean" | ... (optional)
+ *   "template": "Sunset" | "<community template emojicode>" (optional),
+ *   "theme": "dark" | "light" | "auto" (optional, default "dark"),
+ *   "layout": "auto" | "compact" | "grid" | "dense" | "paged" | "list" | "masonry" | "glyph" (optional, default "auto"),
+ *   "particles": "subtle" | "none" | "snow" | "fireflies" (optional, default "subtle"),
+ *   "paymentIntentId": "pi_..." (optional, the confirmed payment from /create-payment-intent),
+ *   "hideCTA": true | false (optional, paid tapestries only),
+ *   "handle": "jane_doe" (optional, vanity handle for /@jane_doe)
  * }
+ *
+ * Links can also be grouped as {"group": "Music", "links": [...]} or preceded by
+ * {"type": "header", "title": "Music"} items; both are stored as a flat array with
+ * a "group" field on each link.
+ *
+ * The template is resolved server-side (built-in name, or an approved community
+ * template's emojicode), baked into svgContent and recorded on the BDO. Without a
+ * template the style's default is used; without either, the classic dark palette.
+ *
+ * The theme is the tapestry's color mode. "auto" follows the viewer's
+ * prefers-color-scheme in both the SVG and the page.
+ *
+ * The layout is stored on the BDO; "auto" keeps picking compact, grid, dense or
+ * paged by link count as links change. Particles are drawn by the built-in layouts
+ * and stop for viewers who prefer reduced motion.
+ *
+ * A paymentIntentId matching this session's last payment intent, which Stripe
+ * reports as succeeded for the tapestry price, marks the tapestry as paid; paid tapestries can leave the "Weave Your Own" prompt off their page
+ * (hideCTA here, or later via PUT /t/:identifier/settings).
+ *
+ * A handle is claimed before the BDO is created, so a taken one (409) or an invalid
+ * or reserved one (400) fails the request without creating anything. The owner can
+ * also claim one later via PUT /t/:identifier/handle.
  */
 app.post('/create', async (req, res) => {
+    // Set once a handle is held for the new tapestry, to free it if creation fails
+    let handleHolder = null;
+    // Set once this request has taken the session's payment intent, to give it back if creation fails
+    let takenPaymentIntent = null;
+
+    try {
+        console.log('🎨 Creating Linkitylink BDO...');
+
+        // Get or create user account
+        const user = await getOrCreateUser(req);
+
+        const { title, source, sourceUrl, style, template, theme, layout, particles, paymentIntentId, hideCTA, handle } = req.body;
+
+        // Validate input and expand link groups
+        const { links, error: linksError } = normalizeLinks(req.body.links);
+        if (linksError) {
+            return res.status(400).json({
+                error: linksError
+            });
+        }
+
+        if (theme !== undefined && !THEME_MODES.includes(theme)) {
+            return res.status(400).json({
+                error: `theme must be one of: ${THEME_MODES.join(', ')}`
+            });
+        }
+
+        if (layout !== undefined && !LAYOUT_CHOICES.includes(layout)) {
+            return res.status(400).json({
+                error: `layout must be one of: ${LAYOUT_CHOICES.join(', ')}`
+            });
+        }
+
+        if (particles !== undefined && !PARTICLE_PRESETS.includes(particles)) {
+            return res.status(400).json({
+                error: `particles must be one of: ${PARTICLE_PRESETS.join(', ')}`
+            });
+        }
+
+        if (hideCTA !== undefined && typeof hideCTA !== 'boolean') {
+            return res.status(400).json({
+                error: 'hideCTA must be true or false'
+            });
+        }
+
+        if (hideCTA && paymentIntentId === undefined) {
+            return res.status(400).json({
+                error: 'Only paid tapestries can hide the purchase prompt'
+            });
+        }
+
+        // Reject a malformed or reserved handle up front; it is claimed once the tapestry has keys
+        const { error: handleError } = handle !== undefined ? validateHandle(handle) : {};
+        if (handleError) {
+            return res.status(400).json({
+                error: handleError
+            });
+        }
+
+        // Optional header text, bio and avatar
+        const { profile, error: profileError } = normalizeProfile(req.body);
+        if (profileError) {
+            return res.status(400).json({
+                error: profileError
+            });
+        }
+
+        // A payment intent is single-use and must be the one created for this session.
+        // It is taken before Stripe is asked, so a concurrent /create can't use it too.
+        if (paymentIntentId !== undefined) {
+            if (!getPaymentIntentId(paymentIntentId) || !takePaymentIntent(req, paymentIntentId)) {
+                return res.status(400).json({
+                    error: 'paymentIntentId does not match a payment started in this session'
+                });
+            }
+            takenPaymentIntent = paymentIntentId;
+
+            // The client only reports that checkout finished; ask Stripe whether it was paid
+            const payment = await verifyWebCheckoutPayment(paymentIntentId);
+            if (payment.error) {
+                returnPaymentIntent(req, paymentIntentId);
+                takenPaymentIntent = null;
+                return res.status(payment.status).json({
+                    error: payment.error
+                });
+            }
+        }
+
+        console.log(`📊 Received ${links.length} links`);
+        console.log(`📝 Title: ${title || 'My Links'}`);
+
+        // Resolve the chosen template (built-in name or approved community emojicode)
+        const resolvedTemplate = await resolveTapestryTemplate(style, template);
+        console.log(`🎨 Template: ${resolvedTemplate ? `${resolvedTemplate.name} (${resolvedTemplate.source})` : 'default'}`);
+
+        // Generate composite SVG
+        const svgContent = renderTapestrySVG(links, resolvedTemplate, { theme, layout, particles, locale: resolveLocale(req), title: title || 'My Links', ...profile });
+
+        console.log(`✅ Generated SVG (${svgContent.length} characters)`);
+
+        // Build complete BDO with svgContent
+        const linkitylinkBDO = {
+            title: title || 'My Links',
+            type: 'linkitylink',
+            svgContent: svgContent,  // Added by Linkitylink!
+            links: links,
+            theme: normalizeTheme(theme),
+            layout: normalizeLayout(layout),
+            particles: normalizeParticles(particles),
+            ...profile,
+            createdAt: new Date().toISOString()
+        };
+
+        // Add optional metadata
+        if (source) linkitylinkBDO.source = source;
+        if (sourceUrl) linkitylinkBDO.sourceUrl = sourceUrl;
+        if (style) linkitylinkBDO.style = style;
+        if (resolvedTemplate) linkitylinkBDO.template = resolvedTemplate;
+
+        // Generate temporary keys for BDO
+        const saveKeys = (keys) => { tempKeys = keys; };
+        const getKeys = () => tempKeys;
+        let tempKeys = null;
+
+        const keys = await sessionless.generateKeys(saveKeys, getKeys);
+        const pubKey = keys.pubKey;
+
+        console.log(`🔑 Generated keys: ${pubKey.substring(0, 16)}...`);
+
+        // Hold the handle while the BDO is created (someone may have claimed it meanwhile)
+        let claimedHandle = null;
+        if (handle !== undefined) {
+            const claimed = tapestryHandles.claim(handle, pubKey);
+            if (claimed.error) {
+                if (takenPaymentIntent) {
+                    returnPaymentIntent(req, takenPaymentIntent);
+                }
+                return res.status(claimed.status).json({
+                    error: claimed.error
+                });
+            }
+            claimedHandle = claimed.handle;
+            handleHolder = pubKey;
+        }
+
+        // Create BDO via bdo-js (handles signing automatically)
+        const hash = 'Linkitylink';
+        console.log(`🌐 Creating BDO with hash: ${hash}`);
+
+        const bdoUUID = await bdoLib.createUser(hash, linkitylinkBDO, saveKeys, getKeys);
+        console.log(`✅ BDO created: ${bdoUUID}`);
+
+        // Make BDO public to get emojicode (using bdo-js)
+        console.log(`🌍 Making BDO public...`);
+        const updatedBDO = await bdoLib.updateBDO(bdoUUID, hash, linkitylinkBDO, true);
+        const emojicode = updatedBDO.emojiShortcode;
+
+        console.log(`✅ Emojicode generated: ${emojicode}`);
+
+        // Store pubKey metadata for alphanumeric URL lookup
+        const metadata = {
+            uuid: bdoUUID,
+            emojicode: emojicode,
+            createdAt: new Date()
+        };
+        if (paymentIntentId) {
+            metadata.purchasedVia = 'web-checkout';
+            metadata.paymentIntentId = paymentIntentId;
+            metadata.paymentVerified = true;
+            if (hideCTA) metadata.hideCTA = true;
+        }
+        if (claimedHandle) metadata.handle = claimedHandle;
+        const identifier = registerTapestryMapping(pubKey, metadata);
+        handleHolder = null;
+        takenPaymentIntent = null;
+        markMappingsDirty();
+
+        // Add tapestry to user's carrierBag
+        await addTapestryToUser(req, {
+            bdoUUID: bdoUUID,
+            emojicode: emojicode,
+            pubKey: pubKey,
+            title: title || 'My Tapestry',
+            linkCount: links.length,
+            createdAt: new Date().toISOString()
+        });
+
+        // Return identifiers only - let client construct URLs
+        res.json({
+            success: true,
+            uuid: bdoUUID,
+            pubKey: pubKey,
+            identifier,
+            handle: metadata.handle || null,
+            emojicode: emojicode,
+            template: resolvedTemplate ? resolvedTemplate.name : null,
+            theme: linkitylinkBDO.theme,
+            layout: linkitylinkBDO.layout,
+            particles: linkitylinkBDO.particles,
+            paid: isPaidTapestry(metadata),
+            hideCTA: isPurchasePromptHidden(metadata),
+            userUUID: user.uuid  // Include user UUID for reference
+        });
+
+    } catch (error) {
+        if (handleHolder) {
+            tapestryHandles.release(handleHolder);
+        }
+        if (takenPaymentIntent) {
+            returnPaymentIntent(req, takenPaymentIntent);
+        }
+        console.error('❌ Error creating Linkitylink:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /my-tapestries - Get user's tapestries
+ *
+ * Returns all tapestries created by the current user from session,
+ * with their handle and whether each was paid for and hides its purchase prompt
+ */
+app.get('/my-tapestries', async (req, res) => {
+    try {
+        // Check if user has session
+        if (!req.session.userUUID) {
+            return res.json({
+                success: true,
+                tapestries: [],
+                message: 'No user session found'
+            });
+        }
+
+        console.log(`📋 Fetching tapestries for user ${req.session.userUUID}`);
+
+        // Get carrierBag from session
+        const carrierBag = req.session.carrierBag || {};
+        const tapestries = (carrierBag.linkitylink || []).map(tapestry => {
+            const metadata = tapestry.pubKey ? bdoMetadataMap.get(tapestry.pubKey) : null;
+            return {
+                ...tapestry,
+                identifier: metadata ? getTapestryIdentifier(tapestry.pubKey) : null,
+                handle: (metadata && metadata.handle) || null,
+                paid: isPaidTapestry(metadata),
+                hideCTA: isPurchasePromptHidden(metadata)
+            };
+        });
+
+        console.log(`✅ Found ${tapestries.length} tapestries`);
+
+        res.json({
+            success: true,
+            tapestries: tapestries,
+            userUUID: req.session.userUUID
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching tapestries:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /t/:identifier/settings - Update a tapestry's page settings
+ *
+ * Only the tapestry's owner (the session that created it) may change its settings,
+ * and only once it is paid for - a web checkout payment is confirmed with Stripe.
+ *
+ * Body:
+ * {
+ *   "hideCTA": true | false  // Leave "Weave Your Own" off the page (paid tapestries only)
+ * }
+ */
+app.put('/t/:identifier/settings', async (req, res) => {
+    try {
+        const { identifier } = req.params;
+        const { hideCTA } = req.body;
+
+        if (typeof hideCTA !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'hideCTA must be true or false'
+            });
+        }
+
+        const mapping = resolveTapestryMapping(identifier);
+        if (mapping.reason) {
+            return res.status(mapping.status).json({
+                success: false,
+                ...tapestryErrorBody(mapping)
+            });
+        }
+
+        if (!ownsTapestry(req, mapping.pubKey)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only the owner can change this tapestry\'s settings'
+            });
+        }
+
+        // Web checkouts recorded before payments were confirmed with Stripe are checked now
+        const { metadata } = mapping;
+        if (metadata.purchasedVia === 'web-checkout' && !metadata.paymentVerified) {
+            const payment = await verifyWebCheckoutPayment(metadata.paymentIntentId);
+            if (payment.status === 503) {
+                return res.status(503).json({
+                    success: false,
+                    error: payment.error
+                });
+            }
+            if (!payment.error) {
+                metadata.paymentVerified = true;
+                markMappingsDirty();
+            }
+        }
+
+        if (!isPaidTapestry(metadata)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only paid tapestries can hide the purchase prompt'
+            });
+        }
+
+        if (hideCTA) {
+            metadata.hideCTA = true;
+        } else {
+            delete metadata.hideCTA;
+        }
+        markMappingsDirty();
+
+        console.log(`⚙️ Tapestry ${identifier}: purchase prompt ${hideCTA ? 'hidden' : 'shown'}`);
+
+        res.json({
+            success: true,
+            hideCTA
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating tapestry settings:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /handles/:handle - Check whether a vanity handle can be claimed
+ *
+ * Returns the handle as it would be stored (canonicalized), and whether it is free;
+ * when it isn't, the reason says whether it is taken or too close to a taken handle.
+ * Invalid and reserved handles are a 400 with the reason.
+ */
+app.get('/handles/:handle', (req, res) => {
+    const { handle, error } = validateHandle(req.params.handle);
+    if (error) {
+        return res.status(400).json({
+            error
+        });
+    }
+
+    const conflict = tapestryHandles.conflict(handle);
+    res.json({
+        handle,
+        available: conflict === null,
+        ...(conflict && { reason: conflict })
+    });
+});
+
+/**
+ * PUT /t/:identifier/handle - Claim or change a tapestry's vanity handle
+ *
+ * Only the tapestry's owner may claim one. The tapestry's previous handle, if any,
+ * is released.
+ *
+ * Body:
+ * {
+ *   "handle": "jane_doe"
+ * }
+ */
+app.put('/t/:identifier/handle', async (req, res) => {
     try {
-        console.log('🎨 Creating Linkitylink BDO...');
-
-        // Get or create user account
-        const user = await getOrCreateUser(req);
-
-        const { title, links, source, sourceUrl, style, template } = req.body;
-
-        // Validate input
-        if (!links || !Array.isArray(links) || links.length === 0) {
-            return res.status(400).json({
-                error: 'Missing or invalid links array'
+        const mapping = resolveTapestryMapping(req.params.identifier);
+        if (mapping.reason) {
+            return res.status(mapping.status).json({
+                success: false,
+                ...tapestryErrorBody(mapping)
             });
         }
 
-        console.log(`📊 Received ${links.length} links`);
-        console.log(`📝 Title: ${title || 'My Links'}`);
-
-        // Generate composite SVG
-        const linkCount = links.length;
-        const svgTemplate = chooseSVGTemplate(linkCount);
-        const svgContent = svgTemplate(links);
-
-        console.log(`✅ Generated SVG (${svgContent.length} characters)`);
-
-        // Build complete BDO with svgContent
-        const linkitylinkBDO = {
-            title: title || 'My Links',
-            type: 'linkitylink',
-            svgContent: svgContent,  // Added by Linkitylink!
-            links: links,
-            createdAt: new Date().toISOString()
-        };
-
-        // Add optional metadata
-        if (source) linkitylinkBDO.source = source;
-        if (sourceUrl) linkitylinkBDO.sourceUrl = sourceUrl;
+        if (!ownsTapestry(req, mapping.pubKey)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only the owner can change this tapestry\'s handle'
+            });
+        }
 
-        // Generate temporary keys for BDO
-        const saveKeys = (keys) => { tempKeys = keys; };
-        const getKeys = () => tempKeys;
-        let tempKeys = null;
+        const claimed = tapestryHandles.claim(req.body.handle, mapping.pubKey);
+        if (claimed.error) {
+            return res.status(claimed.status).json({
+                success: false,
+                error: claimed.error
+            });
+        }
 
-        const keys = await sessionless.generateKeys(saveKeys, getKeys);
-        const pubKey = keys.pubKey;
+        mapping.metadata.handle = claimed.handle;
+        markMappingsDirty();
 
-        console.log(`🔑 Generated keys: ${pubKey.substring(0, 16)}...`);
+        console.log(`🏷️ Tapestry ${req.params.identifier} claimed @${claimed.handle}`);
 
-        // Create BDO via bdo-js (handles signing automatically)
-        const hash = 'Linkitylink';
-        console.log(`🌐 Creating BDO with hash: ${hash}`);
+        res.json({
+            success: true,
+            handle: claimed.handle
+        });
 
-        const bdoUUID = await bdoLib.createUser(hash, linkitylinkBDO, saveKeys, getKeys);
-        console.log(`✅ BDO created: ${bdoUUID}`);
+    } catch (error) {
+        console.error('❌ Error claiming handle:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
-        // Make BDO public to get emojicode (using bdo-js)
-        console.log(`🌍 Making BDO public...`);
-        const updatedBDO = await bdoLib.updateBDO(bdoUUID, hash, linkitylinkBDO, true);
-        const emojicode = updatedBDO.emojiShortcode;
+/**
+ * DELETE /t/:identifier/handle - Release a tapestry's vanity handle
+ * Owner only; the handle is free for anyone to claim right away.
+ */
+app.delete('/t/:identifier/handle', async (req, res) => {
+    try {
+        const mapping = resolveTapestryMapping(req.params.identifier);
+        if (mapping.reason) {
+            return res.status(mapping.status).json({
+                success: false,
+                ...tapestryErrorBody(mapping)
+            });
+        }
 
-        console.log(`✅ Emojicode generated: ${emojicode}`);
+        if (!ownsTapestry(req, mapping.pubKey)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only the owner can change this tapestry\'s handle'
+            });
+        }
 
-        // Store pubKey metadata for alphanumeric URL lookup
-        bdoMetadataMap.set(pubKey, {
-            uuid: bdoUUID,
-            emojicode: emojicode,
-            createdAt: new Date()
-        });
+        const released = tapestryHandles.release(mapping.pubKey);
+        delete mapping.metadata.handle;
         markMappingsDirty();
 
-        // Add tapestry to user's carrierBag
-        await addTapestryToUser(req, {
-            bdoUUID: bdoUUID,
-            emojicode: emojicode,
-            pubKey: pubKey,
-            title: title || 'My Tapestry',
-            linkCount: links.length,
-            createdAt: new Date().toISOString()
-        });
+        if (released) {
+            console.log(`🏷️ Tapestry ${req.params.identifier} released @${released}`);
+        }
 
-        // Return identifiers only - let client construct URLs
         res.json({
             success: true,
-            uuid: bdoUUID,
-            pubKey: pubKey,
-            emojicode: emojicode,
-            userUUID: user.uuid  // Include user UUID for reference
+            released
         });
 
     } catch (error) {
-        console.error('❌ Error creating Linkitylink:', error);
+        console.error('❌ Error releasing handle:', error);
         res.status(500).json({
+            success: false,
             error: error.message
         });
     }
 });
 
 /**
- * GET /my-tapestries - Get user's tapestries
+ * DELETE /t/:identifier - Delete a tapestry from Linkitylink
  *
- * Returns all tapestries created by the current user from session
+ * Owner only. Drops the tapestry's alphanumeric mapping and releases its handle, so
+ * /t/ and /@ links stop resolving, and removes it from the owner's tapestries. The
+ * BDO itself stays on the BDO service, still reachable by emojicode.
  */
-app.get('/my-tapestries', async (req, res) => {
+app.delete('/t/:identifier', async (req, res) => {
     try {
-        // Check if user has session
-        if (!req.session.userUUID) {
-            return res.json({
-                success: true,
-                tapestries: [],
-                message: 'No user session found'
+        const mapping = resolveTapestryMapping(req.params.identifier);
+        if (mapping.reason) {
+            return res.status(mapping.status).json({
+                success: false,
+                ...tapestryErrorBody(mapping)
             });
         }
 
-        console.log(`📋 Fetching tapestries for user ${req.session.userUUID}`);
+        if (!ownsTapestry(req, mapping.pubKey)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only the owner can delete this tapestry'
+            });
+        }
 
-        // Get carrierBag from session
-        const carrierBag = req.session.carrierBag || {};
-        const tapestries = carrierBag.linkitylink || [];
+        unregisterTapestryMapping(mapping.pubKey);
+        markMappingsDirty();
 
-        console.log(`✅ Found ${tapestries.length} tapestries`);
+        const carrierBag = req.session.carrierBag;
+        carrierBag.linkitylink = carrierBag.linkitylink.filter(tapestry => tapestry.pubKey !== mapping.pubKey);
+        await new Promise((resolve, reject) => {
+            req.session.save((err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        console.log(`🗑️ Deleted tapestry ${req.params.identifier}${mapping.metadata.handle ? ` (released @${mapping.metadata.handle})` : ''}`);
 
         res.json({
-            success: true,
-            tapestries: tapestries,
-            userUUID: req.session.userUUID
+            success: true
         });
 
     } catch (error) {
-        console.error('❌ Error fetching tapestries:', error);
+        console.error('❌ Error deleting tapestry:', error);
         res.status(500).json({
             success: false,
             error: error.message
@@ -1400,6 +4414,39 @@ app.get('/my-tapestries', async (req, res) => {
     }
 });
 
+/**
+ * Extract links from Linktree's __NEXT_DATA__ account props
+ *
+ * Linktree HEADER items become the group of the links that follow them
+ * (an empty header ends the current group).
+ *
+ * @returns {{ links: Object[], socialLinks: Object[] }}
+ */
+function extractLinktreeLinks(pageProps) {
+    const links = [];
+    let currentGroup = null;
+
+    for (const link of pageProps.links) {
+        if (String(link.type || '').toUpperCase() === 'HEADER') {
+            currentGroup = link.title && link.title.trim() ? cleanGroupName(link.title) : null;
+            continue;
+        }
+
+        const entry = { title: link.title, url: link.url };
+        if (currentGroup) entry.group = currentGroup;
+        links.push(entry);
+    }
+
+    // Extract social links (Instagram, TikTok, YouTube, etc.)
+    const socialLinks = (pageProps.socialLinks || []).map(social => ({
+        title: social.type.charAt(0) + social.type.slice(1).toLowerCase(), // Capitalize type
+        url: social.url,
+        isSocial: true // Mark as social link
+    }));
+
+    return { links, socialLinks };
+}
+
 /**
  * POST /parse-linktree - Parse links from a Linktree URL using lightweight HTTP fetch
  *
@@ -1461,18 +4508,8 @@ app.post('/parse-linktree', async (req, res) => {
             });
         }
 
-        // Extract regular links
-        const links = pageProps.links.map(link => ({
-            title: link.title,
-            url: link.url
-        }));
-
-        // Extract social links (Instagram, TikTok, YouTube, etc.)
-        const socialLinks = (pageProps.socialLinks || []).map(social => ({
-            title: social.type.charAt(0) + social.type.slice(1).toLowerCase(), // Capitalize type
-            url: social.url,
-            isSocial: true // Mark as social link
-        }));
+        // Extract regular links (grouped under Linktree headers) and social links
+        const { links, socialLinks } = extractLinktreeLinks(pageProps);
 
         const username = pageProps.username || 'Unknown';
 
@@ -1488,15 +4525,6 @@ app.post('/parse-linktree', async (req, res) => {
     } catch (error) {
         console.error('❌ Error parsing Linktree:', error);
 
-        // Make sure browser is closed
-        if (browser) {
-            try {
-                await browser.close();
-            } catch (closeError) {
-                console.error('Error closing browser:', closeError);
-            }
-        }
-
         res.status(500).json({
             success: false,
             error: 'Failed to parse Linktree page. Please try again.'
@@ -1504,6 +4532,94 @@ app.post('/parse-linktree', async (req, res) => {
     }
 });
 
+/**
+ * Payment intent ID from a Stripe client secret ("pi_123_secret_456" -> "pi_123")
+ */
+function getPaymentIntentId(clientSecret) {
+    const match = /^(pi_[A-Za-z0-9]+)(?:_secret_|$)/.exec(String(clientSecret || ''));
+    return match ? match[1] : null;
+}
+
+// What web checkout charges for a tapestry
+const TAPESTRY_PRICE = 2000; // $20.00
+const TAPESTRY_CURRENCY = 'usd';
+
+// Payment intents a /create has taken: in progress, or spent on a tapestry.
+// Each request works on its own copy of the session, so clearing
+// pendingPaymentIntentId alone doesn't stop a concurrent request that loaded it first.
+const takenPaymentIntents = new Set();
+
+/**
+ * Take this session's pending payment intent for one /create
+ *
+ * @returns {boolean} false when it isn't this session's intent or another request has it
+ */
+function takePaymentIntent(req, paymentIntentId) {
+    if (paymentIntentId !== req.session.pendingPaymentIntentId || takenPaymentIntents.has(paymentIntentId)) {
+        return false;
+    }
+    takenPaymentIntents.add(paymentIntentId);
+    delete req.session.pendingPaymentIntentId;
+    return true;
+}
+
+/**
+ * Give a payment intent back to the session after a /create that failed
+ */
+function returnPaymentIntent(req, paymentIntentId) {
+    takenPaymentIntents.delete(paymentIntentId);
+    req.session.pendingPaymentIntentId = paymentIntentId;
+}
+
+/**
+ * Confirm with Stripe that a web checkout payment went through for the tapestry price
+ *
+ * Fails closed: when Stripe can't be asked (no STRIPE_SECRET_KEY, or it is unreachable)
+ * the payment is not treated as made.
+ *
+ * @returns {Promise<{ verified: true } | { status: number, error: string }>}
+ */
+async function verifyWebCheckoutPayment(paymentIntentId) {
+    const id = getPaymentIntentId(paymentIntentId);
+    if (!id) {
+        return { status: 400, error: 'paymentIntentId is not a payment intent' };
+    }
+
+    if (!STRIPE_SECRET_KEY) {
+        console.error('❌ STRIPE_SECRET_KEY is not set; web checkout payments cannot be verified');
+        return { status: 503, error: 'Payments cannot be verified right now. Please try again later.' };
+    }
+
+    let intent;
+    try {
+        const response = await fetch(`${STRIPE_API_URL}/payment_intents/${encodeURIComponent(id)}`, {
+            headers: { 'Authorization': `Bearer ${STRIPE_SECRET_KEY}` }
+        });
+        if (response.status === 404) {
+            return { status: 400, error: 'paymentIntentId does not match a payment' };
+        }
+        if (!response.ok) {
+            throw new Error(`Stripe responded ${response.status}`);
+        }
+        intent = await response.json();
+    } catch (error) {
+        console.error(`❌ Could not verify payment intent ${id}:`, error.message);
+        return { status: 503, error: 'Payments cannot be verified right now. Please try again later.' };
+    }
+
+    if (intent.status !== 'succeeded') {
+        console.log(`💳 Payment intent ${id} is ${intent.status}, not succeeded`);
+        return { status: 402, error: 'Payment has not completed' };
+    }
+
+    if (intent.currency !== TAPESTRY_CURRENCY || intent.amount_received < TAPESTRY_PRICE) {
+        console.log(`💳 Payment intent ${id} received ${intent.amount_received} ${intent.currency}, expected ${TAPESTRY_PRICE} ${TAPESTRY_CURRENCY}`);
+        return { status: 402, error: 'Payment does not cover a tapestry' };
+    }
+
+    return { verified: true };
+}
+
 /**
  * POST /create-payment-intent - Create Stripe payment intent via Addie
  *
@@ -1547,8 +4663,8 @@ app.post('/create-payment-intent', async (req, res) => {
         }
 
         // Create payment intent via addie-js SDK
-        const amount = 2000; // $20.00
-        const currency = 'usd';
+        const amount = TAPESTRY_PRICE;
+        const currency = TAPESTRY_CURRENCY;
 
         console.log(`💰 Creating payment intent for $${amount/100}...`);
 
@@ -1581,6 +4697,13 @@ app.post('/create-payment-intent', async (req, res) => {
         }
 
         console.log(`✅ Payment intent created`);
+
+        // Remember the intent so POST /create can record the tapestry as paid
+        req.session.pendingPaymentIntentId = getPaymentIntentId(intentData.paymentIntent);
+        await new Promise((resolve, reject) => {
+            req.session.save((err) => err ? reject(err) : resolve());
+        });
+
         if (Object.keys(stripeMetadata).length > 0) {
             console.log('📦 Stripe metadata prepared:', Object.keys(stripeMetadata).length, 'keys');
         }
@@ -1671,11 +4794,12 @@ app.post('/magic/spell/:spellName', async (req, res) => {
 async function resolveLinkitylinkSpell(caster, payload) {
     console.log('🎨 Resolving linkitylink spell...');
 
-    const { paymentMethod, links, title } = payload;
+    const { paymentMethod, title } = payload;
 
     // Validate required spell components
-    if (!links || !Array.isArray(links) || links.length === 0) {
-        return { success: false, error: 'Missing or invalid links array' };
+    const { links, error: linksError } = normalizeLinks(payload.links);
+    if (linksError) {
+        return { success: false, error: linksError };
     }
 
     if (!paymentMethod || (paymentMethod !== 'mp' && paymentMethod !== 'money')) {
@@ -1689,9 +4813,7 @@ async function resolveLinkitylinkSpell(caster, payload) {
     }
 
     // Generate SVG using existing template logic
-    const linkCount = links.length;
-    const svgTemplate = chooseSVGTemplate(linkCount);
-    const svgContent = svgTemplate(links);
+    const svgContent = renderTapestrySVG(links, null, { title: title || 'My Linkitylink' });
 
     console.log(`✅ Generated SVG (${svgContent.length} characters)`);
 
@@ -1743,10 +4865,11 @@ async function resolveLinkitylinkSpell(caster, payload) {
     }
 
     // Store pubKey metadata for alphanumeric URL lookup
-    bdoMetadataMap.set(pubKey, {
+    const identifier = registerTapestryMapping(pubKey, {
         uuid: bdoUUID,
         emojicode: emojicode,
-        createdAt: new Date()
+        createdAt: new Date(),
+        purchasedVia: 'emporium-spell'
     });
     markMappingsDirty();
 
@@ -1755,6 +4878,7 @@ async function resolveLinkitylinkSpell(caster, payload) {
         success: true,
         uuid: bdoUUID,
         pubKey: pubKey,
+        identifier,
         emojicode: emojicode,
         payment: paymentResult.payment
     };
@@ -1806,18 +4930,8 @@ async function resolveGlyphtreeSpell(caster, payload) {
         return { success: false, error: 'Invalid Linktree page structure' };
     }
 
-    // Extract regular links
-    const links = pageProps.links.map(link => ({
-        title: link.title,
-        url: link.url
-    }));
-
-    // Extract social links (Instagram, TikTok, YouTube, etc.)
-    const socialLinks = (pageProps.socialLinks || []).map(social => ({
-        title: social.type.charAt(0) + social.type.slice(1).toLowerCase(),
-        url: social.url,
-        isSocial: true
-    }));
+    // Extract regular links (grouped under Linktree headers) and social links
+    const { links, socialLinks } = extractLinktreeLinks(pageProps);
 
     // Combine all links
     const allLinks = [...links, ...socialLinks];
@@ -1833,9 +4947,7 @@ async function resolveGlyphtreeSpell(caster, payload) {
     }
 
     // Generate SVG using existing template logic
-    const linkCount = allLinks.length;
-    const svgTemplate = chooseSVGTemplate(linkCount);
-    const svgContent = svgTemplate(allLinks);
+    const svgContent = renderTapestrySVG(allLinks, null, { title });
 
     console.log(`✅ Generated SVG (${svgContent.length} characters)`);
 
@@ -1889,10 +5001,11 @@ async function resolveGlyphtreeSpell(caster, payload) {
     }
 
     // Store pubKey metadata for alphanumeric URL lookup
-    bdoMetadataMap.set(pubKey, {
+    const identifier = registerTapestryMapping(pubKey, {
         uuid: bdoUUID,
         emojicode: emojicode,
-        createdAt: new Date()
+        createdAt: new Date(),
+        purchasedVia: 'glyphtree-spell'
     });
     markMappingsDirty();
 
@@ -1901,6 +5014,7 @@ async function resolveGlyphtreeSpell(caster, payload) {
         success: true,
         uuid: bdoUUID,
         pubKey: pubKey,
+        identifier,
         emojicode: emojicode,
         linkCount: links.length,
         payment: paymentResult.payment
@@ -2047,7 +5161,10 @@ async function checkIsAdmin(pubKey) {
  *   template: {
  *     name: 'Sunset Gradient',
  *     colors: ['#ff6b6b', '#ee5a6f', '#feca57'],
- *     linkColors: ['#10b981', '#3b82f6', '#8b5cf6', '#ec4899']
+ *     linkColors: ['#10b981', '#3b82f6', '#8b5cf6', '#ec4899'],
+ *     background: '<svg viewBox="0 0 600 ${height}">...</svg>',   (optional, layout templates)
+ *     linkTemplate: '<a href="${url}" target="_blank">...</a>',  (optional, layout templates)
+ *     layout: { startY: 140, spacing: 100 }                      (optional)
  *   },
  *   payeeQuadEmojicode: '🔗💎🌟🎨🐉📌🌍🔑'
  * }
@@ -2070,6 +5187,33 @@ async function resolveSubmitTemplateSpell(caster, payload) {
         return { success: false, error: 'Template linkColors must be a non-empty array' };
     }
 
+    if (![...template.colors, ...template.linkColors].every(isHexColor)) {
+        return { success: false, error: 'Template colors must be hex colors (e.g. #ff6b6b)' };
+    }
+
+    // Layout templates (background + linkTemplate) are sanitized, then must be valid specs
+    const isLayoutTemplate = template.background !== undefined || template.linkTemplate !== undefined;
+    let sanitizedSpec = null;
+    let sanitizerReport = [];
+    if (isLayoutTemplate) {
+        if (!isTemplateSpec(template)) {
+            return { success: false, error: 'Layout templates need both background and linkTemplate strings' };
+        }
+
+        const { spec, removed } = sanitizeTemplateSpec(template);
+        sanitizedSpec = spec;
+        sanitizerReport = summarizeRemovals(removed);
+
+        if (sanitizerReport.length > 0) {
+            console.warn(`⚠️ Sanitizer stripped ${sanitizerReport.length} item(s) from template "${template.name}"`);
+        }
+
+        const { valid, errors } = validateTemplateSpec(sanitizedSpec);
+        if (!valid) {
+            return { success: false, error: `Invalid template spec: ${errors.join('; ')}`, removed: sanitizerReport };
+        }
+    }
+
     if (!payeeQuadEmojicode || payeeQuadEmojicode.length !== 8) {
         return { success: false, error: 'Invalid payeeQuadEmojicode (must be 8 emojis)' };
     }
@@ -2098,6 +5242,13 @@ async function resolveSubmitTemplateSpell(caster, payload) {
         status: 'pending' // Requires admin approval before showing to users
     };
 
+    if (sanitizedSpec) {
+        templateBDO.background = sanitizedSpec.background;
+        templateBDO.linkTemplate = sanitizedSpec.linkTemplate;
+        if (sanitizedSpec.layout) templateBDO.layout = sanitizedSpec.layout;
+        templateBDO.sanitizerReport = sanitizerReport;  // What submission stripped (moderators see a fresh check)
+    }
+
     // Generate temporary keys for template BDO
     const saveKeys = (keys) => { tempKeys = keys; };
     const getKeys = () => tempKeys;
@@ -2161,6 +5312,7 @@ async function resolveSubmitTemplateSpell(caster, payload) {
         pubKey: pubKey,
         emojicode: emojicode,
         templateName: template.name,
+        removed: sanitizerReport,
         payment: paymentResult.payment,
         message: 'Template submitted successfully! You will earn a share when users purchase linkitylinks with your template.'
     };
@@ -2173,6 +5325,62 @@ let templateCache = {
     ttl: 5 * 60 * 1000 // 5 minutes
 };
 
+/**
+ * Check whether the approved template cache is still within its TTL
+ */
+function isTemplateCacheFresh() {
+    return Boolean(templateCache.lastFetched) && (Date.now() - templateCache.lastFetched) < templateCache.ttl;
+}
+
+/**
+ * Fetch approved community templates (cached for 5 minutes)
+ *
+ * Used by GET /templates and by template resolution when rendering tapestries.
+ * Pending/rejected templates are never returned.
+ */
+async function fetchApprovedTemplates() {
+    if (isTemplateCacheFresh()) {
+        return templateCache.templates;
+    }
+
+    // Query BDO service for all templates with hash 'Linkitylink-Template'
+    const hash = 'Linkitylink-Template';
+    const templatesURL = `${BDO_BASE_URL}/templates/${hash}`;
+
+    console.log(`📡 Querying BDO service: ${templatesURL}`);
+
+    const response = await fetch(templatesURL);
+
+    if (!response.ok) {
+        throw new Error(`BDO service returned ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    console.log(`✅ Received ${data.count} templates from BDO service`);
+
+    // Filter for approved templates only (pending/rejected templates are hidden)
+    const templates = data.templates
+        .filter(t => t.status === 'approved')
+        .map(t => ({
+            name: t.name,
+            colors: t.colors,
+            linkColors: t.linkColors,
+            background: t.background,
+            linkTemplate: t.linkTemplate,
+            layout: t.layout,
+            emojicode: t.emojicode,
+            payeeEmojicode: t.payeeEmojicode,
+            creatorPubKey: t.creatorPubKey
+        }));
+
+    // Update cache
+    templateCache.templates = templates;
+    templateCache.lastFetched = Date.now();
+
+    return templates;
+}
+
 /**
  * GET /templates - Get all user-submitted templates
  *
@@ -2184,49 +5392,18 @@ app.get('/templates', async (req, res) => {
     try {
         console.log('🎨 Fetching user-submitted templates...');
 
-        // Check cache
-        const now = Date.now();
-        if (templateCache.lastFetched && (now - templateCache.lastFetched) < templateCache.ttl) {
-            console.log(`✅ Returning ${templateCache.templates.length} cached templates`);
+        const cached = isTemplateCacheFresh();
+        const templates = await fetchApprovedTemplates();
+
+        if (cached) {
+            console.log(`✅ Returning ${templates.length} cached templates`);
             return res.json({
                 success: true,
-                templates: templateCache.templates,
+                templates: templates,
                 cached: true
             });
         }
 
-        // Query BDO service for all templates with hash 'Linkitylink-Template'
-        const hash = 'Linkitylink-Template';
-        const templatesURL = `${BDO_BASE_URL}/templates/${hash}`;
-
-        console.log(`📡 Querying BDO service: ${templatesURL}`);
-
-        const response = await fetch(templatesURL);
-
-        if (!response.ok) {
-            throw new Error(`BDO service returned ${response.status}`);
-        }
-
-        const data = await response.json();
-
-        console.log(`✅ Received ${data.count} templates from BDO service`);
-
-        // Filter for approved templates only (pending/rejected templates are hidden)
-        const templates = data.templates
-            .filter(t => t.status === 'approved')
-            .map(t => ({
-                name: t.name,
-                colors: t.colors,
-                linkColors: t.linkColors,
-                emojicode: t.emojicode,
-                payeeEmojicode: t.payeeEmojicode,
-                creatorPubKey: t.creatorPubKey
-            }));
-
-        // Update cache
-        templateCache.templates = templates;
-        templateCache.lastFetched = now;
-
         res.json({
             success: true,
             templates: templates,
@@ -2284,18 +5461,26 @@ app.get('/templates/pending', async (req, res) => {
 
         console.log(`✅ Received ${data.count} total templates from BDO service`);
 
-        // Filter for pending templates only
+        // Filter for pending templates only. The sanitizer report is recomputed here: the
+        // stored one lives in the submitter's own BDO and could claim anything.
         const pendingTemplates = data.templates
             .filter(t => t.status === 'pending')
-            .map(t => ({
-                name: t.name,
-                colors: t.colors,
-                linkColors: t.linkColors,
-                emojicode: t.emojicode,
-                payeeEmojicode: t.payeeEmojicode,
-                creatorPubKey: t.creatorPubKey,
-                submittedAt: t.submittedAt
-            }));
+            .map(t => {
+                const { spec, removed } = isTemplateSpec(t) ? sanitizeTemplateSpec(t) : { spec: t, removed: [] };
+                return {
+                    name: t.name,
+                    colors: t.colors,
+                    linkColors: t.linkColors,
+                    background: spec.background,
+                    linkTemplate: spec.linkTemplate,
+                    layout: t.layout,
+                    sanitizerReport: summarizeRemovals(removed),
+                    emojicode: t.emojicode,
+                    payeeEmojicode: t.payeeEmojicode,
+                    creatorPubKey: t.creatorPubKey,
+                    submittedAt: t.submittedAt
+                };
+            });
 
         console.log(`📋 Returning ${pendingTemplates.length} pending templates`);
 
@@ -2426,20 +5611,32 @@ app.post('/handoff/create', async (req, res) => {
         const { bdoData, relevantBDOs, productType } = req.body;
 
         // Extract links from bdoData or directly from body (backward compat)
-        const links = bdoData?.links || req.body.links;
         const title = bdoData?.title || req.body.title;
 
-        // Validate
-        if (!links || !Array.isArray(links) || links.length === 0) {
+        // Validate and expand link groups
+        const { links, error: linksError } = normalizeLinks(bdoData?.links || req.body.links);
+        if (linksError) {
+            return res.status(400).json({
+                success: false,
+                error: linksError
+            });
+        }
+
+        // Optional header text, bio and avatar
+        const { profile, error: profileError } = normalizeProfile(bdoData || {});
+        if (profileError) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing or invalid links array'
+                error: profileError
             });
         }
 
-        // Generate SVG for the BDO
-        const svgTemplate = chooseSVGTemplate(links.length);
-        const svgContent = svgTemplate(links);
+        // Resolve the chosen template, color mode, layout and particles, then generate SVG for the BDO
+        const resolvedTemplate = await resolveTapestryTemplate(bdoData?.style, bdoData?.template);
+        const theme = normalizeTheme(bdoData?.theme);
+        const layout = normalizeLayout(bdoData?.layout);
+        const particles = normalizeParticles(bdoData?.particles);
+        const svgContent = renderTapestrySVG(links, resolvedTemplate, { theme, layout, particles, locale: resolveLocale(req), title: title || 'My Links', ...profile });
 
         // Build BDO data (not yet saved to BDO service)
         const finalBdoData = {
@@ -2449,7 +5646,11 @@ app.post('/handoff/create', async (req, res) => {
             links: links,
             source: bdoData?.source || 'create-page',
             style: bdoData?.style,
-            template: bdoData?.template,
+            template: resolvedTemplate,
+            theme,
+            layout,
+            particles,
+            ...profile,
             createdAt: new Date().toISOString(),
             status: 'pending_purchase'
         };
@@ -2591,7 +5792,10 @@ app.get('/handoff/:token/status', async (req, res) => {
             appPubKey: handoff.appPubKey ? handoff.appPubKey.substring(0, 16) + '...' : null,
             completedAt: handoff.completedAt,
             emojicode: handoff.completedAt ? handoff.bdoEmojicode : null,
-            bdoPubKey: handoff.completedAt ? handoff.bdoPubKey : null
+            bdoPubKey: handoff.completedAt ? handoff.bdoPubKey : null,
+            identifier: handoff.completedAt && bdoMetadataMap.has(handoff.bdoPubKey)
+                ? getTapestryIdentifier(handoff.bdoPubKey)
+                : null
         });
 
     } catch (error) {
@@ -2686,7 +5890,7 @@ app.post('/handoff/:token/complete', async (req, res) => {
         console.log(`✅ Emojicode: ${emojicode}`);
 
         // Store pubKey metadata for alphanumeric URL lookup
-        bdoMetadataMap.set(handoff.bdoPubKey, {
+        const identifier = registerTapestryMapping(handoff.bdoPubKey, {
             uuid: bdoUUID,
             emojicode: emojicode,
             createdAt: new Date(),
@@ -2706,6 +5910,7 @@ app.post('/handoff/:token/complete', async (req, res) => {
             success: true,
             uuid: bdoUUID,
             pubKey: handoff.bdoPubKey,
+            identifier,
             emojicode: emojicode,
             message: 'BDO created and added to carrierBag'
         });
@@ -2726,6 +5931,13 @@ app.get('/handoff-stats', async (req, res) => {
     res.json(getHandoffStats());
 });
 
+/**
+ * GET /tapestry-cache-stats - Tapestry BDO cache size and hit rate
+ */
+app.get('/tapestry-cache-stats', async (req, res) => {
+    res.json(getTapestryCacheStats());
+});
+
 // ============================================================================
 
 // Start server
@@ -2737,6 +5949,7 @@ app.listen(PORT, () => {
     console.log(`   By emojicode: http://localhost:${PORT}/view/😀🔗💎🌟...`);
     console.log(`   By alphanumeric: http://localhost:${PORT}/t/abc123...`);
     console.log(`   Legacy auth: http://localhost:${PORT}?pubKey=YOUR_PUBKEY&timestamp=TIMESTAMP&signature=SIGNATURE`);
+    console.log(`   PNG export: http://localhost:${PORT}/t/abc123.png?size=og`);
     console.log(`\n📝 Creation Endpoints:`);
     console.log(`   POST /create - Create new Linkitylink with auto-generated SVG`);
     console.log(`   POST /magic/spell/linkitylink - Cast linkitylink spell (carrierBag links)`);
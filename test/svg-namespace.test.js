@@ -0,0 +1,130 @@
+/**
+ * svg-namespace.test.js - Two tapestries inlined in one document must not share
+ * ids, classes, selectors or @keyframes names
+ *
+ * The fixtures are built-in layout renders (before namespacing) of two tapestries
+ * with the same layout, theme and particles, so their raw markup collides.
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { namespaceSVG } from '../lib/svg-namespace.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const ada = fixture('tapestry-ada.svg');
+const grace = fixture('tapestry-grace.svg');
+
+function stylesheet(svg) {
+    return Array.from(svg.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/g), match => match[1]).join('\n');
+}
+
+// Rule selectors, leaving out at-rules and keyframe steps (from, to, 50%)
+function selectors(svg) {
+    return Array.from(stylesheet(svg).matchAll(/([^{};]+)\{/g), match => match[1].trim())
+        .filter(prelude => !prelude.startsWith('@') && !/^(?:from|to|[\d.%,\s]+)$/.test(prelude))
+        .flatMap(prelude => prelude.split(',').map(selector => selector.trim()));
+}
+
+function keyframeNames(svg) {
+    return Array.from(stylesheet(svg).matchAll(/@keyframes\s+([\w-]+)/g), match => match[1]);
+}
+
+function classNames(svg) {
+    return Array.from(svg.matchAll(/\sclass="([^"]*)"/g), match => match[1].split(/\s+/)).flat();
+}
+
+function ids(svg) {
+    return Array.from(svg.matchAll(/\sid="([^"]+)"/g), match => match[1]);
+}
+
+function shared(a, b) {
+    const names = new Set(a);
+    return [...new Set(b)].filter(name => names.has(name));
+}
+
+// Both tapestries inlined in one HTML document, then read back out of it
+function renderTogether(...svgs) {
+    const document = `<!DOCTYPE html><html><body>${svgs.map(svg => namespaceSVG(svg)).join('\n')}</body></html>`;
+    return Array.from(document.matchAll(/<svg\b[\s\S]*?<\/svg>/g), match => match[0]);
+}
+
+test('the raw renders collide', () => {
+    assert.deepEqual(shared(keyframeNames(ada), keyframeNames(grace)), ['ll-snow-400', 'll-spin']);
+    assert.ok(shared(selectors(ada), selectors(grace)).includes('.ll-tapestry .ll-card'));
+});
+
+test('two tapestries in one document share no selector, keyframes name, class or id', () => {
+    const [first, second] = renderTogether(ada, grace);
+
+    assert.ok(selectors(first).length > 0);
+    assert.deepEqual(shared(selectors(first), selectors(second)), []);
+    assert.deepEqual(shared(keyframeNames(first), keyframeNames(second)), []);
+    assert.deepEqual(shared(classNames(first), classNames(second)), []);
+    assert.deepEqual(shared(ids(first), ids(second)), []);
+});
+
+test('every selector is confined to its own tapestry', () => {
+    for (const svg of renderTogether(ada, grace)) {
+        const [, root] = /^<svg class="([^"]+)"/.exec(svg);
+        const prefix = root.replace(/ll-tapestry$/, '');
+        assert.notEqual(prefix, '');
+
+        for (const selector of selectors(svg)) {
+            const classes = Array.from(selector.matchAll(/\.(-?[_a-zA-Z][\w-]*)/g), match => match[1]);
+            assert.ok(classes.length > 0, `${selector} names no class`);
+            assert.ok(classes.every(name => name.startsWith(prefix)), `${selector} is not namespaced`);
+        }
+
+        // Element-only rules like a:focus-visible hang off the root class
+        for (const selector of selectors(svg).filter(selector => /(^|\s)a:/.test(selector))) {
+            assert.ok(selector.startsWith(`.${root} `), `${selector} is not scoped to the root`);
+        }
+    }
+});
+
+test('animations use the renamed keyframes', () => {
+    for (const svg of renderTogether(ada, grace)) {
+        const keyframes = new Set(keyframeNames(svg));
+        const animated = Array.from(svg.matchAll(/\banimation(?:-name)?\s*:([^;{}"]*)/g), match => match[1])
+            .flatMap(value => value.match(/[_a-zA-Z][\w-]*/g) || [])
+            .filter(name => name.includes('ll-'));
+
+        assert.ok(animated.length > 0);
+        assert.deepEqual(animated.filter(name => !keyframes.has(name)), []);
+    }
+});
+
+test('url() and href references follow their renamed ids', () => {
+    for (const svg of renderTogether(ada, grace)) {
+        const defined = new Set(ids(svg));
+        const references = Array.from(svg.matchAll(/url\(#([^)]+)\)|href="#([^"]+)"/g), match => match[1] || match[2]);
+
+        assert.ok(references.length > 0);
+        assert.deepEqual(references.filter(id => !defined.has(id)), []);
+    }
+});
+
+test('the default prefix is stable and an explicit one is used as given', () => {
+    assert.equal(namespaceSVG(ada), namespaceSVG(ada));
+
+    const svg = namespaceSVG(ada, 'tapestry');
+    assert.ok(svg.includes('<svg class="tapestry-ll-tapestry"'));
+    assert.ok(svg.includes('.tapestry-ll-tapestry .tapestry-ll-card { opacity: 0.2; }'));
+    assert.ok(svg.includes('@keyframes tapestry-ll-snow-400'));
+});
+
+test('selectors with entities and attribute values keep their meaning', () => {
+    const svg = namespaceSVG(
+        '<svg class="card"><style>.card &gt; .title[data-kind=".title"] { fill: red; } .card { opacity: 0.5; }</style></svg>',
+        'x'
+    );
+
+    assert.equal(
+        svg,
+        '<svg class="x-card"><style>.x-card &gt; .x-title[data-kind=".title"] { fill: red; } .x-card { opacity: 0.5; }</style></svg>'
+    );
+});
@@ -0,0 +1,144 @@
+/**
+ * svg-sanitizer.test.js - What community template SVG may and may not carry
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeSVG, sanitizeTemplateSpec, summarizeRemovals } from '../lib/svg-sanitizer.js';
+
+// Sanitize and return the markup plus the reasons things were removed
+function sanitize(markup) {
+    const { svg, removed } = sanitizeSVG(markup);
+    return { svg, reasons: removed.map(entry => entry.reason) };
+}
+
+function assertStripped(markup, pattern) {
+    const { svg, reasons } = sanitize(markup);
+    assert.ok(reasons.length > 0, `nothing removed from ${markup}`);
+    assert.doesNotMatch(svg, pattern);
+    return { svg, reasons };
+}
+
+test('keeps ordinary drawing markup unchanged', () => {
+    const markup = '<svg viewBox="0 0 600 400"><defs><linearGradient id="g"><stop offset="0%" stop-color="#ff6b6b"/></linearGradient></defs>' +
+        '<rect width="600" height="400" fill="url(#g)" style="opacity: 0.9"/><use href="#g"/></svg>';
+    assert.deepEqual(sanitizeSVG(markup), { svg: markup, removed: [] });
+});
+
+test('drops event handlers', () => {
+    const { svg, reasons } = assertStripped('<rect onclick="alert(1)" ONload="alert(2)" width="10"/>', /on\w+=/i);
+    assert.equal(svg, '<rect width="10"/>');
+    assert.deepEqual(reasons, ['event handler', 'event handler']);
+});
+
+test('drops <script> and <foreignObject> with everything inside them', () => {
+    assert.equal(sanitizeSVG('<g><script>alert(1)</script><rect/></g>').svg, '<g><rect/></g>');
+    assert.equal(
+        sanitizeSVG('<g><foreignObject><div xmlns="http://www.w3.org/1999/xhtml"><iframe src="https://evil.example"/></div></foreignObject></g>').svg,
+        '<g></g>'
+    );
+    assertStripped('<SCRIPT>alert(1)</SCRIPT>', /alert/);
+});
+
+test('drops hrefs that leave the document', () => {
+    assertStripped('<use href="https://evil.example/sprite.svg#a"/>', /evil/);
+    assertStripped('<use xlink:href="//evil.example/a.svg#x"/>', /evil/);
+    assertStripped('<a href="javascript:alert(1)"><rect/></a>', /javascript/);
+    assertStripped('<a href="&#106;avascript:alert(1)"><rect/></a>', /avascript/);
+    assertStripped('<a href="java&#9;script:alert(1)"><rect/></a>', /script:/);
+});
+
+test('keeps in-document hrefs and the ${url} link placeholder', () => {
+    assert.deepEqual(sanitize('<a href="${url}"><use href="#icon"/></a>'), {
+        svg: '<a href="${url}"><use href="#icon"/></a>',
+        reasons: []
+    });
+    assertStripped('<use href="${url}"/>', /\$\{url\}/);
+});
+
+test('drops off-document url() references', () => {
+    assertStripped('<rect fill="url(https://evil.example/track.png)"/>', /evil/);
+    assertStripped('<rect style="fill: url(\'//evil.example/a.png\')"/>', /evil/);
+    assertStripped('<style>rect { fill: url(https://evil.example/a.png) }</style>', /evil/);
+});
+
+test('drops @import, image-set() and quoted URLs in stylesheets', () => {
+    assertStripped('<style>@import "https://evil.example/a.css";</style>', /import/);
+    assertStripped('<style>@import url(https://evil.example/a.css);</style>', /import/);
+    assertStripped('<style>rect { fill: image-set("https://evil.example/a.png" 1x) }</style>', /evil/);
+    assertStripped('<style>rect { fill: -webkit-image-set("https://evil.example/a.png" 1x) }</style>', /evil/);
+    assertStripped('<style>@font-face { font-family: x; src: "https://evil.example/f.woff" }</style>', /evil/);
+});
+
+test('a <style> body split by comments or CDATA is checked as a whole', () => {
+    assertStripped('<style>@imp<!---->ort "https://evil.example/a.css";</style>', /ort/);
+    assertStripped('<style>rect { fill: u<!---->rl(//evil.example/a.png) }</style>', /evil/);
+    assertStripped('<style>@imp<![CDATA[ort "https://evil.example/a.css";]]></style>', /ort/);
+    assertStripped('<style>rect { fill: u/**/rl(//evil.example/a.png) }</style>', /evil/);
+});
+
+test('elements inside <style> are dropped', () => {
+    assertStripped('<style>rect { fill: red }<script>alert(1)</script></style>', /alert/);
+});
+
+test('entity-encoded CSS is decoded before checking', () => {
+    assertStripped('<rect style="fill: &#117;rl(https://evil.example/a.png)"/>', /evil/);
+    assertStripped('<rect style="background: java&#9;script:alert(1)"/>', /script/);
+});
+
+test('CSS escapes are decoded before checking', () => {
+    assertStripped('<rect style="fill: u\\72 l(http://evil.example/a.png)"/>', /evil/);
+    assertStripped('<rect style="fill: \\75 \\72 \\6c (http://evil.example/a.png)"/>', /evil/);
+    assertStripped('<rect style="fill: u\\rl(http://evil.example/a.png)"/>', /evil/);
+    assertStripped('<style>@\\69mport "https://evil.example/a.css";</style>', /evil/);
+    assertStripped('<rect style="background: \\6a avascript:alert(1)"/>', /alert/);
+});
+
+test('animations may only target presentation attributes', () => {
+    const { svg, reasons } = assertStripped(
+        '<a href="${url}"><animate attributeName="hr&#101;f" values="java&#9;script:alert(1)" fill="freeze"/><rect/></a>',
+        /animate|script/
+    );
+    assert.equal(svg, '<a href="${url}"><rect/></a>');
+    assert.deepEqual(reasons, ['animates href']);
+
+    assertStripped('<a href="${url}"><animate attributeName="href" to="https://evil.example"/></a>', /evil/);
+    assertStripped('<rect><animate attributeName="onbegin" to="alert(1)"/></rect>', /animate/);
+    assertStripped('<rect><animate attributeName=" XLINK:HREF " to="#x"/></rect>', /animate/);
+});
+
+test('animation values may not carry a URL scheme', () => {
+    assertStripped('<rect><animate attributeName="fill" to="https://evil.example/a.png"/></rect>', /evil/);
+    assertStripped('<rect><animate attributeName="fill" values="red;java&#9;script:alert(1)"/></rect>', /script/);
+    assertStripped('<rect><animate attributeName="fill" from="url(//evil.example/a.png)"/></rect>', /evil/);
+});
+
+test('keeps ordinary animations', () => {
+    const markup = '<circle r="4"><animate attributeName="r" values="4;8;4" dur="2s" repeatCount="indefinite"/>' +
+        '<animateTransform attributeName="transform" type="rotate" from="0 50 50" to="360 50 50" dur="9s"/></circle>';
+    assert.deepEqual(sanitize(markup), { svg: markup, reasons: [] });
+});
+
+test('drops comments, DOCTYPEs and processing instructions', () => {
+    const { svg, reasons } = sanitize('<!DOCTYPE svg [<!ENTITY x "y">]><?xml-stylesheet href="https://evil.example/a.css"?><g><!-- note --></g>');
+    assert.equal(svg, '<g></g>');
+    assert.equal(reasons.length, 3);
+});
+
+test('sanitizeTemplateSpec reports which fragment each removal came from', () => {
+    const { spec, removed } = sanitizeTemplateSpec({
+        name: 'Sneaky',
+        background: '<svg><script>alert(1)</script></svg>',
+        linkTemplate: '<a href="${url}"><rect onclick="alert(1)"/></a>'
+    });
+
+    assert.equal(spec.name, 'Sneaky');
+    assert.equal(spec.background, '<svg></svg>');
+    assert.equal(spec.linkTemplate, '<a href="${url}"><rect/></a>');
+    assert.deepEqual(summarizeRemovals(removed), [
+        'background: <script> (element not allowed)',
+        'linkTemplate: onclick on <rect> (event handler)'
+    ]);
+});
@@ -0,0 +1,79 @@
+/**
+ * tapestry-handles.test.js - Claiming, conflicting, releasing and reserved handles
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HandleRegistry, validateHandle, handleSkeleton } from '../lib/tapestry-handles.js';
+
+const ada = '02' + 'a'.repeat(64);
+const grace = '03' + 'b'.repeat(64);
+
+test('validateHandle canonicalizes and checks the format', () => {
+    assert.deepEqual(validateHandle('@Jane_Doe'), { handle: 'jane_doe' });
+    assert.deepEqual(validateHandle('ｊａｎｅ_ｄｏｅ'), { handle: 'jane_doe' });
+    assert.ok(validateHandle('jé').error);
+    assert.ok(validateHandle('jané').error);
+    assert.ok(validateHandle('jаne').error, 'Cyrillic а is not a-z');
+    assert.ok(validateHandle('-jane').error);
+    assert.ok(validateHandle('a'.repeat(31)).error);
+    assert.ok(validateHandle(42).error);
+});
+
+test('reserved handles and their lookalikes are refused', () => {
+    assert.deepEqual(validateHandle('Admin'), { error: '@admin is reserved' });
+    assert.deepEqual(validateHandle('adm1n'), { error: '@adm1n is reserved' });
+    assert.deepEqual(validateHandle('my_tapestries'), { error: '@my_tapestries is reserved' });
+
+    const handles = new HandleRegistry();
+    assert.deepEqual(handles.claim('support', ada), { status: 400, error: '@support is reserved' });
+    assert.equal(handles.size, 0);
+});
+
+test('a claimed handle resolves exactly, and only to its holder', () => {
+    const handles = new HandleRegistry();
+    assert.deepEqual(handles.claim('Jane_Doe', ada), { handle: 'jane_doe' });
+
+    assert.equal(handles.lookup('@JANE_DOE'), ada);
+    assert.equal(handles.lookup('janedoe'), null);
+    assert.equal(handles.handleFor(ada), 'jane_doe');
+    assert.equal(handles.handleFor(grace), null);
+});
+
+test('a taken handle and its lookalikes conflict for everyone but the holder', () => {
+    const handles = new HandleRegistry();
+    handles.claim('jane_doe', ada);
+
+    assert.deepEqual(handles.claim('jane_doe', grace), { status: 409, error: '@jane_doe is taken' });
+    assert.deepEqual(handles.claim('jane-d0e', grace), {
+        status: 409,
+        error: '@jane-d0e is too close to @jane_doe, which is taken'
+    });
+    assert.equal(handleSkeleton('jane-d0e'), handleSkeleton('janedoe'));
+    assert.equal(handles.isAvailable('janedoe', grace), false);
+    assert.equal(handles.isAvailable('janedoe', ada), true);
+    assert.equal(handles.lookup('jane_doe'), ada);
+});
+
+test('claiming a new handle frees the old one', () => {
+    const handles = new HandleRegistry();
+    handles.claim('jane_doe', ada);
+    assert.deepEqual(handles.claim('ada', ada), { handle: 'ada' });
+
+    assert.equal(handles.size, 1);
+    assert.equal(handles.lookup('jane_doe'), null);
+    assert.deepEqual(handles.claim('janedoe', grace), { handle: 'janedoe' });
+});
+
+test('a released handle is free for anyone', () => {
+    const handles = new HandleRegistry();
+    handles.claim('jane_doe', ada);
+
+    assert.equal(handles.release(ada), 'jane_doe');
+    assert.equal(handles.release(ada), null);
+    assert.equal(handles.lookup('jane_doe'), null);
+    assert.equal(handles.size, 0);
+    assert.deepEqual(handles.claim('jane-doe', grace), { handle: 'jane-doe' });
+});
@@ -0,0 +1,68 @@
+/**
+ * template-engine.test.js - Link text stays out of CSS and URL contexts
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateTemplateSpec, renderTemplateSpec, isSafeLinkURL } from '../lib/template-engine.js';
+
+const background = '<svg viewBox="0 0 600 ${height}"><rect width="600" height="${height}" fill="#111"/></svg>';
+
+function linkTemplateErrors(linkTemplate) {
+    return validateTemplateSpec({ background, linkTemplate }).errors;
+}
+
+test('accepts link text in text content and plain attributes', () => {
+    assert.deepEqual(linkTemplateErrors(
+        '<a href="${url}"><rect y="${y}" fill="${color}" style="opacity: 0.9"/><text y="${y + 35}" aria-label="${title}">${title} - ${domain}</text></a>'
+    ), []);
+});
+
+test('rejects link text in style attributes and <style> bodies', () => {
+    assert.deepEqual(linkTemplateErrors('<a href="${url}"><rect style="fill: ${title}"/></a>'), [
+        'linkTemplate: ${title} can\'t be used in style on <rect>'
+    ]);
+    assert.deepEqual(linkTemplateErrors('<a href="${url}"><style>.card { fill: ${domain} }</style></a>'), [
+        'linkTemplate: ${domain} can\'t be used in <style>'
+    ]);
+});
+
+test('rejects link text in URL-reference and animation attributes', () => {
+    assert.deepEqual(linkTemplateErrors('<a href="${url}"><rect fill=\'${title}\'/><use href="#${title}"/></a>'), [
+        'linkTemplate: ${title} can\'t be used in fill on <rect>',
+        'linkTemplate: ${title} can\'t be used in href on <use>'
+    ]);
+    assert.deepEqual(linkTemplateErrors('<a href="${url}"><animate attributeName="fill" to="${url}"/></a>'), [
+        'linkTemplate: ${url} can\'t be used in to on <animate>'
+    ]);
+});
+
+test('a link titled like a CSS url() renders as text only', () => {
+    const linkTemplate = '<a href="${url}"><text>${title}</text></a>';
+    const svg = renderTemplateSpec({ background, linkTemplate }, [
+        { title: 'url(https://evil.example/track.png)', url: 'javascript:alert(1)' }
+    ]);
+
+    assert.match(svg, /<a href="#"><text>url\(https:\/\/evil\.example\/track\.png\)<\/text><\/a>/);
+});
+
+test('only hex link colors are substituted', () => {
+    const svg = renderTemplateSpec(
+        { background, linkTemplate: '<a href="${url}"><rect fill="${color}"/></a>', linkColors: ['url(https://evil.example/a.png)'] },
+        [{ title: 'Home', url: 'https://example.com' }]
+    );
+
+    assert.match(svg, /fill="#8b5cf6"/);
+    assert.doesNotMatch(svg, /evil/);
+});
+
+test('only http, https and mailto links are safe to link to', () => {
+    for (const url of ['https://example.com', 'http://example.com/a?b=c', 'mailto:ada@example.com', 'HTTPS://EXAMPLE.COM']) {
+        assert.equal(isSafeLinkURL(url), true, url);
+    }
+    for (const url of ['javascript:alert(1)', ' javascript:alert(1)', 'data:text/html,<b>hi</b>', '//evil.example', '', undefined, 42]) {
+        assert.equal(isSafeLinkURL(url), false, String(url));
+    }
+});